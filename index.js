@@ -10,10 +10,35 @@
 
 // Core SDK components
 const CoinPlexClient = require('./src/core/CoinPlexClient');
+const CoinPlexPool = require('./src/core/CoinPlexPool');
 const AuthenticationManager = require('./src/core/authentication');
+const { HttpsTransport } = require('./src/core/transport');
+const { RequestPipeline } = require('./src/core/pipeline');
+const { MemorySessionStore, FileSessionStore } = require('./src/core/session');
+const { RateLimiter } = require('./src/core/rateLimiter');
+const { RetryPolicy } = require('./src/core/retry');
+const { MetricsCollector, createMetricsHandler } = require('./src/core/metrics');
+const { RequestCoalescer } = require('./src/core/coalescer');
+const { ResponseCache, MemoryCacheStore, FileCacheStore } = require('./src/core/cache');
+const { RecordingTransport, ReplayTransport } = require('./src/core/fixtures');
+const { ChaosTransport } = require('./src/core/chaos');
+const { SystemClock, VirtualClock } = require('./src/core/clock');
+const { Scrubber } = require('./src/utils/scrubber');
+const {
+  CoinPlexError,
+  AuthenticationError,
+  RateLimitError,
+  DecryptionError,
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  FixtureNotFoundError
+} = require('./src/core/errors');
 const { calculateSignature, prepareSignedPayload, verifySignature } = require('./src/core/signature');
 const { 
   decryptRSAResponse, 
+  encryptRSAResponse,
   decryptAESString, 
   encryptAESString, 
   processApiResponse,
@@ -34,6 +59,9 @@ const DailyExecutor = require('./src/automation/DailyExecutor');
 // Utilities
 const { createLogger, createFileLogger, getDailyLogFilename } = require('./src/utils/logger');
 const { loadConfig, createSampleConfig, validateConfig } = require('./src/utils/config');
+const { parseBaseUrl } = require('./src/utils/url');
+const { runBatch } = require('./src/utils/batch');
+const testing = require('./src/testing');
 const { 
   ENDPOINTS, 
   API_CONFIG, 
@@ -42,6 +70,7 @@ const {
   COINS, 
   USER_LEVELS,
   TRANSACTION_TYPES,
+  RATE_LIMITS,
   SDK_INFO 
 } = require('./src/utils/constants');
 
@@ -134,6 +163,17 @@ class CoinPlex extends CoinPlexClient {
   static validateConfig(config) {
     return validateConfig(config);
   }
+
+  /**
+   * Create a client backed by an offline simulated account
+   * 
+   * @param {Object} [initialState={}] - Starting level, balances and rates (see SandboxAccount)
+   * @param {Object} [config={}] - Client configuration, e.g. a VirtualClock as `clock`
+   * @returns {CoinPlex} Client with the account as `client.sandbox`
+   */
+  static sandbox(initialState, config) {
+    return testing.createSandbox(initialState, config);
+  }
 }
 
 // Export the main class as default
@@ -141,8 +181,38 @@ module.exports = CoinPlex;
 
 // Named exports for advanced usage
 module.exports.CoinPlexClient = CoinPlexClient;
+module.exports.CoinPlexPool = CoinPlexPool;
 module.exports.AuthenticationManager = AuthenticationManager;
 module.exports.DailyExecutor = DailyExecutor;
+module.exports.HttpsTransport = HttpsTransport;
+module.exports.RequestPipeline = RequestPipeline;
+module.exports.MemorySessionStore = MemorySessionStore;
+module.exports.FileSessionStore = FileSessionStore;
+module.exports.RateLimiter = RateLimiter;
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.MetricsCollector = MetricsCollector;
+module.exports.createMetricsHandler = createMetricsHandler;
+module.exports.RequestCoalescer = RequestCoalescer;
+module.exports.ResponseCache = ResponseCache;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.FileCacheStore = FileCacheStore;
+module.exports.RecordingTransport = RecordingTransport;
+module.exports.ReplayTransport = ReplayTransport;
+module.exports.ChaosTransport = ChaosTransport;
+module.exports.SystemClock = SystemClock;
+module.exports.VirtualClock = VirtualClock;
+module.exports.Scrubber = Scrubber;
+
+// Errors
+module.exports.CoinPlexError = CoinPlexError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.DecryptionError = DecryptionError;
+module.exports.ApiError = ApiError;
+module.exports.NetworkError = NetworkError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.AbortError = AbortError;
+module.exports.FixtureNotFoundError = FixtureNotFoundError;
 
 // API Modules
 module.exports.WalletAPI = WalletAPI;
@@ -155,12 +225,17 @@ module.exports.AdsAPI = AdsAPI;
 // Utilities
 module.exports.utils = {
   signature: { calculateSignature, prepareSignedPayload, verifySignature },
-  decryption: { decryptRSAResponse, decryptAESString, encryptAESString, processApiResponse },
+  decryption: { decryptRSAResponse, encryptRSAResponse, decryptAESString, encryptAESString, processApiResponse },
   logger: { createLogger, createFileLogger, getDailyLogFilename },
   config: { loadConfig, createSampleConfig, validateConfig },
-  constants: { ENDPOINTS, API_CONFIG, ENCRYPTION, STATUS_CODES, COINS, USER_LEVELS, TRANSACTION_TYPES }
+  url: { parseBaseUrl },
+  batch: { runBatch },
+  constants: { ENDPOINTS, API_CONFIG, ENCRYPTION, STATUS_CODES, COINS, USER_LEVELS, TRANSACTION_TYPES, RATE_LIMITS }
 };
 
+// Testing kit
+module.exports.testing = testing;
+
 // Version information
 module.exports.version = SDK_INFO.VERSION;
 module.exports.name = SDK_INFO.NAME;
\ No newline at end of file
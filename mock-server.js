@@ -0,0 +1,59 @@
+/**
+ * CoinPlex SDK - Mock Server Entry Point
+ *
+ * Local CoinPlex API for tests and development:
+ *
+ *   const { MockServer } = require('@krystianslowik/coinplex-sdk/mock-server');
+ *
+ * Or run it standalone, with the API key and secret taken from
+ * COINPLEX_API_KEY/COINPLEX_API_SECRET when set:
+ *
+ *   node mock-server.js [--port 3000] [--scenario empty-wallet]
+ */
+
+const { MockServer, ENCRYPTED_ENDPOINTS } = require('./src/mock/MockServer');
+const { MockApi } = require('./src/mock/MockApi');
+const { SCENARIOS, DEFAULT_SCENARIO, PRODUCTS, resolveScenario } = require('./src/mock/scenarios');
+
+/**
+ * Read a `--name value` command line option
+ *
+ * @private
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value when the option is missing
+ * @returns {string} Option value
+ */
+function readOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const server = new MockServer({
+    apiKey: process.env.COINPLEX_API_KEY || undefined,
+    apiSecret: process.env.COINPLEX_API_SECRET || undefined,
+    scenario: readOption(args, 'scenario', 'default')
+  });
+
+  server.listen(Number(readOption(args, 'port', '3000'))).then((url) => {
+    console.log(`🧪 CoinPlex mock server listening on ${url} (scenario: ${readOption(args, 'scenario', 'default')})`);
+    console.log(`   Set COINPLEX_BASE_URL=${url} to use it`);
+  }).catch((error) => {
+    console.error('❌ Could not start mock server:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+}
+
+module.exports = {
+  MockServer,
+  MockApi,
+  SCENARIOS,
+  DEFAULT_SCENARIO,
+  PRODUCTS,
+  ENCRYPTED_ENDPOINTS,
+  resolveScenario
+};
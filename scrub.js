@@ -0,0 +1,80 @@
+/**
+ * CoinPlex SDK - Data Scrubber Entry Point
+ *
+ * Pseudonymizes personal data in captured payloads, fixtures and logs
+ * before they are shared:
+ *
+ *   node scrub.js <file-or-directory> [--out path] [--salt secret] [--reencrypt]
+ *
+ * Output defaults to `<input>-scrubbed` (directories) or
+ * `<name>.scrubbed<ext>` (files). The salt is taken from
+ * COINPLEX_SCRUB_SALT when set; without one, pseudonyms differ between runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Scrubber } = require('./src/utils/scrubber');
+
+/**
+ * Read a `--name value` command line option
+ *
+ * @private
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value when the option is missing
+ * @returns {string} Option value
+ */
+function readOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+/**
+ * Get the default output path of an input
+ *
+ * @private
+ * @param {string} input - Input file or directory
+ * @param {boolean} isDirectory - Whether the input is a directory
+ * @returns {string} Output path
+ */
+function defaultOutput(input, isDirectory) {
+  const resolved = path.resolve(input);
+  if (isDirectory) {
+    return `${resolved}-scrubbed`;
+  }
+
+  const ext = path.extname(resolved);
+  return `${resolved.slice(0, resolved.length - ext.length)}.scrubbed${ext}`;
+}
+
+async function main(args) {
+  const input = args[0];
+  if (!input || input.startsWith('--')) {
+    console.error('Usage: node scrub.js <file-or-directory> [--out path] [--salt secret] [--reencrypt]');
+    process.exit(1);
+  }
+
+  const isDirectory = (await fs.promises.stat(input)).isDirectory();
+  const output = readOption(args, 'out', defaultOutput(input, isDirectory));
+  const scrubber = new Scrubber({
+    salt: readOption(args, 'salt', process.env.COINPLEX_SCRUB_SALT || undefined),
+    reencrypt: args.includes('--reencrypt')
+  });
+
+  const files = isDirectory
+    ? await scrubber.scrubDirectory(input, output)
+    : await scrubber.scrubFile(input, output).then(() => [path.basename(input)]);
+
+  const { replacements, pseudonyms } = scrubber.getStats();
+  console.log(`🧹 Scrubbed ${files.length} file(s) into ${output}`);
+  console.log(`   ${pseudonyms} value(s) pseudonymized: ${JSON.stringify(replacements)}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error('❌ Could not scrub:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = require('./src/utils/scrubber');
@@ -4,6 +4,8 @@
  * Handles advertisement-related operations and promotional content.
  */
 
+const { isAbortError, onAbort } = require('../core/abort');
+
 class AdsAPI {
   constructor(client) {
     this.client = client;
@@ -13,41 +15,52 @@ class AdsAPI {
    * Get advertisement list for a specific position
    * 
    * @param {string} positionKey - Advertisement position key
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Array>} Array of advertisements
    * @example
    * const ads = await client.ads.getList('NODE_CPLX_OPEN');
    * console.log(`Found ${ads.length} advertisements`);
    */
-  async getList(positionKey) {
-    const response = await this.client.request('/api/ads/list', { positionKey });
+  async getList(positionKey, requestOptions = {}) {
+    const response = await this.client.request('/api/ads/list', { positionKey }, requestOptions);
     return response.data || [];
   }
 
   /**
    * Get CPLX node opening advertisements
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Array>} CPLX node advertisements
    */
-  async getCPLXNodeAds() {
-    return await this.getList('NODE_CPLX_OPEN');
+  async getCPLXNodeAds(requestOptions = {}) {
+    return await this.getList('NODE_CPLX_OPEN', requestOptions);
   }
 
   /**
    * Get advertisements for all known positions
    * 
    * @param {Array<string>} [positions] - Array of position keys to fetch
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
    * @returns {Promise<Object>} Object with position keys as keys and ad arrays as values
    */
-  async getAllAds(positions = ['NODE_CPLX_OPEN']) {
+  async getAllAds(positions = ['NODE_CPLX_OPEN'], requestOptions = {}) {
+    const { results } = await this.client.batch(
+      positions,
+      position => this.getList(position, requestOptions),
+      requestOptions
+    );
     const allAds = {};
     
-    for (const position of positions) {
-      try {
-        const ads = await this.getList(position);
-        allAds[position] = ads;
-      } catch (error) {
-        console.log(`Could not fetch ads for position ${position}:`, error.message);
-        allAds[position] = [];
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.log(`Could not fetch ads for position ${result.item}:`, result.error.message);
+        allAds[result.item] = [];
+      } else {
+        allAds[result.item] = result.value;
       }
     }
     
@@ -58,13 +71,18 @@ class AdsAPI {
    * Check if advertisements are available for a position
    * 
    * @param {string} positionKey - Advertisement position key
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<boolean>} True if ads are available
    */
-  async hasAds(positionKey) {
+  async hasAds(positionKey, requestOptions = {}) {
     try {
-      const ads = await this.getList(positionKey);
+      const ads = await this.getList(positionKey, requestOptions);
       return Array.isArray(ads) && ads.length > 0;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       return false;
     }
   }
@@ -73,9 +91,12 @@ class AdsAPI {
    * Get advertisement statistics
    * 
    * @param {Array<string>} [positions] - Positions to check
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
    * @returns {Promise<Object>} Advertisement statistics
    */
-  async getAdStats(positions = ['NODE_CPLX_OPEN']) {
+  async getAdStats(positions = ['NODE_CPLX_OPEN'], requestOptions = {}) {
     const stats = {
       totalPositions: positions.length,
       activePositions: 0,
@@ -83,30 +104,35 @@ class AdsAPI {
       positions: {}
     };
     
-    for (const position of positions) {
-      try {
-        const ads = await this.getList(position);
-        const adCount = Array.isArray(ads) ? ads.length : 0;
-        
-        stats.positions[position] = {
-          hasAds: adCount > 0,
-          count: adCount,
-          ads: ads
-        };
-        
-        stats.totalAds += adCount;
-        
-        if (adCount > 0) {
-          stats.activePositions++;
-        }
-        
-      } catch (error) {
+    const { results } = await this.client.batch(
+      positions,
+      position => this.getList(position, requestOptions),
+      requestOptions
+    );
+    
+    for (const { item: position, status, value: ads, error } of results) {
+      if (status === 'rejected') {
         stats.positions[position] = {
           hasAds: false,
           count: 0,
           error: error.message,
           ads: []
         };
+        continue;
+      }
+      
+      const adCount = Array.isArray(ads) ? ads.length : 0;
+      
+      stats.positions[position] = {
+        hasAds: adCount > 0,
+        count: adCount,
+        ads: ads
+      };
+      
+      stats.totalAds += adCount;
+      
+      if (adCount > 0) {
+        stats.activePositions++;
       }
     }
     
@@ -122,10 +148,14 @@ class AdsAPI {
    * @param {string} positionKey - Position to monitor
    * @param {number} [intervalMinutes=30] - Check interval in minutes
    * @param {Function} [onChange] - Callback when ads change
+   * @param {Object} [options={}] - Monitor options
+   * @param {AbortSignal} [options.signal] - Signal that stops monitoring, cancelling
+   *   the running check and the wait for the next one
    * @returns {Object} Monitor control object
    */
-  monitorAds(positionKey, intervalMinutes = 30, onChange) {
-    let isMonitoring = true;
+  monitorAds(positionKey, intervalMinutes = 30, onChange, options = {}) {
+    const { signal } = options;
+    let isMonitoring = !(signal && signal.aborted);
     let lastAdsHash = null;
     
     const monitor = {
@@ -136,11 +166,16 @@ class AdsAPI {
       isRunning: () => isMonitoring
     };
     
+    onAbort(signal, () => {
+      isMonitoring = false;
+      console.log(`Aborted monitoring ads for position: ${positionKey}`);
+    });
+    
     // Start monitoring loop
     (async () => {
       while (isMonitoring) {
         try {
-          const ads = await this.getList(positionKey);
+          const ads = await this.getList(positionKey, { signal });
           const currentHash = this._hashAds(ads);
           
           if (lastAdsHash && lastAdsHash !== currentHash) {
@@ -150,7 +185,7 @@ class AdsAPI {
               onChange({
                 position: positionKey,
                 ads,
-                timestamp: new Date().toISOString(),
+                timestamp: new Date(this.client.clock.now()).toISOString(),
                 previousHash: lastAdsHash,
                 currentHash
               });
@@ -161,15 +196,20 @@ class AdsAPI {
           
           // Wait for next check
           if (isMonitoring) {
-            await this._delay(intervalMinutes * 60 * 1000);
+            await this._delay(intervalMinutes * 60 * 1000, signal);
           }
           
         } catch (error) {
+          if (isAbortError(error)) {
+            break;
+          }
+          
           console.log(`Error monitoring ads for position ${positionKey}:`, error.message);
           
           // Wait before retrying
           if (isMonitoring) {
-            await this._delay(60000); // 1 minute retry delay
+            // 1 minute retry delay; an abort ends the loop via isMonitoring
+            await this._delay(60000, signal).catch(() => {});
           }
         }
       }
@@ -190,7 +230,7 @@ class AdsAPI {
     
     return ads.length.toString() + '-' + 
            JSON.stringify(ads).length.toString() + '-' +
-           Date.now();
+           this.client.clock.now();
   }
 
   /**
@@ -198,10 +238,11 @@ class AdsAPI {
    * 
    * @private
    * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
    * @returns {Promise<void>}
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return this.client.clock.sleep(ms, signal);
   }
 }
 
@@ -13,10 +13,12 @@ class FinancialAPI {
   /**
    * Get general financial view/statistics
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Financial overview data
    */
-  async getView() {
-    const response = await this.client.request('/api/financial/view');
+  async getView(requestOptions = {}) {
+    const response = await this.client.request('/api/financial/view', {}, requestOptions);
     return response.data;
   }
 
@@ -24,15 +26,17 @@ class FinancialAPI {
    * Get detailed information about a financial product
    * 
    * @param {string|number} productId - Product ID to get details for
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Product details
    * @example
    * const product = await client.financial.getProductDetail('6');
    * console.log(`Product: ${product.name}, Min: ${product.min}, Max: ${product.max}`);
    */
-  async getProductDetail(productId) {
+  async getProductDetail(productId, requestOptions = {}) {
     const response = await this.client.request('/api/financial/product/detail', {
       productId: productId.toString()
-    });
+    }, requestOptions);
     return response.data;
   }
 
@@ -41,20 +45,25 @@ class FinancialAPI {
    * Note: This method attempts to fetch common product IDs
    * 
    * @param {Array<string>} [productIds=['1','2','3','4','5','6']] - Product IDs to fetch
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
    * @returns {Promise<Array>} Array of product details
    */
-  async getAllProducts(productIds = ['1', '2', '3', '4', '5', '6']) {
+  async getAllProducts(productIds = ['1', '2', '3', '4', '5', '6'], requestOptions = {}) {
+    const { results } = await this.client.batch(
+      productIds,
+      id => this.getProductDetail(id, requestOptions),
+      requestOptions
+    );
     const products = [];
     
-    for (const id of productIds) {
-      try {
-        const product = await this.getProductDetail(id);
-        if (product) {
-          products.push(product);
-        }
-      } catch (error) {
+    for (const result of results) {
+      if (result.status === 'rejected') {
         // Skip products that don't exist or cause errors
-        console.log(`Could not fetch product ${id}:`, error.message);
+        console.log(`Could not fetch product ${result.item}:`, result.error.message);
+      } else if (result.value) {
+        products.push(result.value);
       }
     }
     
@@ -65,10 +74,12 @@ class FinancialAPI {
    * Check if user can invest in a specific product
    * 
    * @param {string|number} productId - Product ID to check
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Investment eligibility info
    */
-  async checkInvestmentEligibility(productId) {
-    const product = await this.getProductDetail(productId);
+  async checkInvestmentEligibility(productId, requestOptions = {}) {
+    const product = await this.getProductDetail(productId, requestOptions);
     
     if (!product) {
       return { canInvest: false, reason: 'Product not found' };
@@ -109,10 +120,12 @@ class FinancialAPI {
    * Get user's investment capacity for a product
    * 
    * @param {string|number} productId - Product ID
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Investment capacity info
    */
-  async getInvestmentCapacity(productId) {
-    const product = await this.getProductDetail(productId);
+  async getInvestmentCapacity(productId, requestOptions = {}) {
+    const product = await this.getProductDetail(productId, requestOptions);
     
     if (!product) {
       return null;
@@ -153,10 +166,12 @@ class FinancialAPI {
    * Get best available financial products based on return rate
    * 
    * @param {number} [minAmount] - Minimum investment amount filter
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Array>} Products sorted by maximum return rate
    */
-  async getBestProducts(minAmount) {
-    const products = await this.getAllProducts();
+  async getBestProducts(minAmount, requestOptions = {}) {
+    const products = await this.getAllProducts(undefined, requestOptions);
     
     let filtered = products.filter(p => p.hasBuy === true);
     
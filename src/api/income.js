@@ -4,6 +4,8 @@
  * Handles income tracking, team earnings, and revenue analytics.
  */
 
+const { isAbortError } = require('../core/abort');
+
 class IncomeAPI {
   constructor(client) {
     this.client = client;
@@ -12,13 +14,15 @@ class IncomeAPI {
   /**
    * Get team income data (new format)
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Team income statistics
    * @example
    * const teamIncome = await client.income.getTeamData();
    * console.log(`Team income: ${teamIncome.totalTeamIncome}`);
    */
-  async getTeamData() {
-    const response = await this.client.request('/api/income/team/dataNew');
+  async getTeamData(requestOptions = {}) {
+    const response = await this.client.request('/api/income/team/dataNew', {}, requestOptions);
     return response.data;
   }
 
@@ -26,52 +30,85 @@ class IncomeAPI {
    * Get income data for specific period
    * 
    * @param {number} [days=1] - Number of days to get income data for
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Income data for the specified period
    */
-  async getIncomeData(days = 1) {
-    const response = await this.client.request('/api/income/data', { days });
+  async getIncomeData(days = 1, requestOptions = {}) {
+    const response = await this.client.request('/api/income/data', { days }, requestOptions);
     return response.data;
   }
 
   /**
    * Get today's income summary
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Today's income breakdown
    */
-  async getTodayIncome() {
-    return await this.getIncomeData(1);
+  async getTodayIncome(requestOptions = {}) {
+    return await this.getIncomeData(1, requestOptions);
   }
 
   /**
    * Get weekly income summary
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Weekly income breakdown
    */
-  async getWeeklyIncome() {
-    return await this.getIncomeData(7);
+  async getWeeklyIncome(requestOptions = {}) {
+    return await this.getIncomeData(7, requestOptions);
   }
 
   /**
    * Get monthly income summary
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Monthly income breakdown
    */
-  async getMonthlyIncome() {
-    return await this.getIncomeData(30);
+  async getMonthlyIncome(requestOptions = {}) {
+    return await this.getIncomeData(30, requestOptions);
   }
 
   /**
    * Get comprehensive income analytics
    * 
-   * @returns {Promise<Object>} Complete income analytics
+   * Team data is required; a period whose income data can't be fetched
+   * is reported as null, with its error under the same key in `errors`.
+   * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
+   * @returns {Promise<Object>} Complete income analytics; `errors` is empty when every
+   *   period was fetched
+   * @throws {CoinPlexError} If the team data can't be fetched
    */
-  async getIncomeAnalytics() {
-    const [teamData, todayIncome, weeklyIncome, monthlyIncome] = await Promise.all([
-      this.getTeamData(),
-      this.getTodayIncome(),
-      this.getWeeklyIncome(),
-      this.getMonthlyIncome()
-    ]);
+  async getIncomeAnalytics(requestOptions = {}) {
+    const { results } = await this.client.batch([
+      () => this.getTeamData(requestOptions),
+      () => this.getTodayIncome(requestOptions),
+      () => this.getWeeklyIncome(requestOptions),
+      () => this.getMonthlyIncome(requestOptions)
+    ], load => load(), requestOptions);
+    
+    if (results[0].status === 'rejected') {
+      throw results[0].error;
+    }
+    
+    const [teamData, todayIncome, weeklyIncome, monthlyIncome] = results.map(result => {
+      return result.status === 'fulfilled' ? result.value : null;
+    });
+    
+    const errors = {};
+    ['today', 'weekly', 'monthly'].forEach((period, index) => {
+      const result = results[index + 1];
+      if (result.status === 'rejected') {
+        console.log(`Could not fetch ${period} income data:`, result.error.message);
+        errors[period] = result.error;
+      }
+    });
 
     return {
       team: {
@@ -93,6 +130,7 @@ class IncomeAPI {
         weekly: weeklyIncome,
         monthly: monthlyIncome
       },
+      errors,
       summary: {
         totalIncome: parseFloat(teamData.totalTeamIncome || '0') + parseFloat(teamData.incomeAmount || '0'),
         netFlow: parseFloat(teamData.rechargeAmount || '0') - parseFloat(teamData.withdrawAmount || '0'),
@@ -105,18 +143,25 @@ class IncomeAPI {
    * Get income trends over time
    * 
    * @param {Array<number>} periods - Array of day periods to compare (e.g., [1, 7, 30])
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
    * @returns {Promise<Object>} Income trends data
    */
-  async getIncomeTrends(periods = [1, 7, 30]) {
+  async getIncomeTrends(periods = [1, 7, 30], requestOptions = {}) {
+    const { results } = await this.client.batch(
+      periods,
+      period => this.getIncomeData(period, requestOptions),
+      requestOptions
+    );
     const trends = {};
     
-    for (const period of periods) {
-      try {
-        const data = await this.getIncomeData(period);
-        trends[`${period}d`] = data;
-      } catch (error) {
-        console.log(`Could not fetch ${period}d income data:`, error.message);
-        trends[`${period}d`] = null;
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.log(`Could not fetch ${result.item}d income data:`, result.error.message);
+        trends[`${result.item}d`] = null;
+      } else {
+        trends[`${result.item}d`] = result.value;
       }
     }
     
@@ -127,14 +172,25 @@ class IncomeAPI {
    * Calculate income growth rate
    * 
    * @param {number} [compareDays=7] - Days to compare against
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
+   * @param {number} [requestOptions.concurrency] - Requests in flight at once (defaults to config.batchConcurrency)
    * @returns {Promise<Object>} Growth rate calculation
    */
-  async getIncomeGrowthRate(compareDays = 7) {
+  async getIncomeGrowthRate(compareDays = 7, requestOptions = {}) {
     try {
-      const [current, previous] = await Promise.all([
-        this.getIncomeData(1),
-        this.getIncomeData(compareDays)
-      ]);
+      const { results } = await this.client.batch(
+        [1, compareDays],
+        days => this.getIncomeData(days, requestOptions),
+        requestOptions
+      );
+      
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        throw failed.error;
+      }
+      
+      const [current, previous] = results.map(result => result.value);
       
       const currentAmount = this._extractIncomeAmount(current);
       const previousAmount = this._extractIncomeAmount(previous);
@@ -160,6 +216,10 @@ class IncomeAPI {
       };
       
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
       return {
         error: error.message,
         growthRate: 0,
@@ -172,10 +232,12 @@ class IncomeAPI {
   /**
    * Get team performance metrics
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Team performance data
    */
-  async getTeamPerformance() {
-    const teamData = await this.getTeamData();
+  async getTeamPerformance(requestOptions = {}) {
+    const teamData = await this.getTeamData(requestOptions);
     
     const performance = {
       teamSize: {
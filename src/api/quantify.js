@@ -4,6 +4,9 @@
  * Handles quantify operations, automated execution, and related services.
  */
 
+const { CoinPlexError, ApiError } = require('../core/errors');
+const { isAbortError, onAbort } = require('../core/abort');
+
 class QuantifyAPI {
   constructor(client) {
     this.client = client;
@@ -15,20 +18,23 @@ class QuantifyAPI {
    * @param {Object} [options={}] - Execution options
    * @param {string} [options.executionId] - Custom execution ID
    * @param {string} [options.nonce] - Custom nonce for uniqueness
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Execution result
    * @example
    * const result = await client.quantify.execute();
    * console.log(`Has tip: ${result.hasTip}, Expected completion: ${result.expectedCompletionTime}`);
    */
-  async execute(options = {}) {
+  async execute(options = {}, requestOptions = {}) {
+    const now = this.client.clock.now();
     const params = {
-      timestamp: new Date().getTime(),
-      nonce: options.nonce || Math.random().toString(36).substring(2, 15),
-      executionId: options.executionId || `exec-${new Date().toISOString().split('T')[0]}-${Date.now()}`,
+      timestamp: now,
+      nonce: options.nonce || now.toString(36) + Math.random().toString(36).substring(2, 8),
+      executionId: options.executionId || `exec-${new Date(now).toISOString().split('T')[0]}-${now}`,
       ...options
     };
 
-    const response = await this.client.request('/api/quantify/execute', params);
+    const response = await this.client.request('/api/quantify/execute', params, requestOptions);
     return response.data;
   }
 
@@ -37,16 +43,20 @@ class QuantifyAPI {
    * 
    * @param {number} [maxRetries=3] - Maximum number of retries
    * @param {number} [retryDelay=1000] - Delay between retries in milliseconds
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Execution result
+   * @throws {CoinPlexError} If every attempt fails, with the last failure as `cause`
+   * @throws {AbortError} If the signal aborts an attempt or the wait between attempts
    */
-  async executeWithRetry(maxRetries = 3, retryDelay = 1000) {
+  async executeWithRetry(maxRetries = 3, retryDelay = 1000, requestOptions = {}) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         const result = await this.execute({
-          executionId: `retry-exec-${attempt}-${Date.now()}`
-        });
+          executionId: `retry-exec-${attempt}-${this.client.clock.now()}`
+        }, requestOptions);
         
         // Check if execution was successful
         if (result && (result.hasTip || result.expectedCompletionTime > 0)) {
@@ -66,42 +76,60 @@ class QuantifyAPI {
         };
         
       } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        
         lastError = error;
         console.log(`Quantify execution attempt ${attempt} failed:`, error.message);
         
         if (attempt < maxRetries) {
-          await this._delay(retryDelay * attempt);
+          await this._delay(retryDelay * attempt, requestOptions.signal);
         }
       }
     }
     
-    throw new Error(`Quantify execution failed after ${maxRetries} attempts: ${lastError?.message}`);
+    // Keep the error class of the final failure so callers can still branch on it
+    const ErrorClass = lastError instanceof CoinPlexError ? lastError.constructor : ApiError;
+    throw new ErrorClass(`Quantify execution failed after ${maxRetries} attempts: ${lastError?.message}`, {
+      endpoint: '/api/quantify/execute',
+      statusCode: lastError?.statusCode,
+      code: lastError?.code,
+      serverMessage: lastError?.serverMessage,
+      cause: lastError
+    });
   }
 
   /**
    * Check quantify status and availability
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Quantify status information
    */
-  async getStatus() {
+  async getStatus(requestOptions = {}) {
     try {
       const result = await this.execute({
-        executionId: `status-check-${Date.now()}`
-      });
+        executionId: `status-check-${this.client.clock.now()}`
+      }, requestOptions);
       
       return {
         available: true,
         hasTips: result.hasTip || false,
         expectedCompletionTime: result.expectedCompletionTime || 0,
-        lastChecked: new Date().toISOString(),
+        lastChecked: new Date(this.client.clock.now()).toISOString(),
         status: result.hasTip ? 'tips_available' : 'no_tips'
       };
       
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
       return {
         available: false,
         error: error.message,
-        lastChecked: new Date().toISOString(),
+        lastChecked: new Date(this.client.clock.now()).toISOString(),
         status: 'error'
       };
     }
@@ -116,6 +144,8 @@ class QuantifyAPI {
    * @param {Function} [schedule.onSuccess] - Callback for successful executions
    * @param {Function} [schedule.onError] - Callback for failed executions
    * @param {Function} [schedule.onComplete] - Callback when all executions complete
+   * @param {AbortSignal} [schedule.signal] - Signal that stops the scheduler, cancelling
+   *   the running execution and the wait for the next one
    * @returns {Promise<Object>} Scheduler control object
    */
   async scheduleExecutions(schedule) {
@@ -124,12 +154,13 @@ class QuantifyAPI {
       intervalMinutes,
       onSuccess,
       onError,
-      onComplete
+      onComplete,
+      signal
     } = schedule;
 
     const results = [];
     let currentIteration = 0;
-    let isRunning = true;
+    let isRunning = !(signal && signal.aborted);
 
     const scheduler = {
       stop: () => {
@@ -141,6 +172,11 @@ class QuantifyAPI {
       getCurrentIteration: () => currentIteration
     };
 
+    onAbort(signal, () => {
+      isRunning = false;
+      console.log('Quantify scheduler aborted');
+    });
+
     // Start execution loop
     (async () => {
       try {
@@ -151,12 +187,12 @@ class QuantifyAPI {
             console.log(`Executing quantify operation ${i}/${iterations}...`);
             
             const result = await this.execute({
-              executionId: `scheduled-${i}-${Date.now()}`
-            });
+              executionId: `scheduled-${i}-${this.client.clock.now()}`
+            }, { signal });
             
             const executionResult = {
               iteration: i,
-              timestamp: new Date().toISOString(),
+              timestamp: new Date(this.client.clock.now()).toISOString(),
               success: true,
               result
             };
@@ -170,9 +206,14 @@ class QuantifyAPI {
             console.log(`✅ Quantify execution ${i} completed successfully`);
             
           } catch (error) {
+            // An aborted execution is not a failure; the loop ends below
+            if (isAbortError(error)) {
+              break;
+            }
+            
             const executionResult = {
               iteration: i,
-              timestamp: new Date().toISOString(),
+              timestamp: new Date(this.client.clock.now()).toISOString(),
               success: false,
               error: error.message
             };
@@ -189,7 +230,13 @@ class QuantifyAPI {
           // Wait for next iteration (except for the last one)
           if (i < iterations && isRunning) {
             console.log(`Waiting ${intervalMinutes} minutes until next execution...`);
-            await this._delay(intervalMinutes * 60 * 1000);
+            try {
+              await this._delay(intervalMinutes * 60 * 1000, signal);
+            } catch (error) {
+              if (!isAbortError(error)) {
+                throw error;
+              }
+            }
           }
         }
         
@@ -266,10 +313,11 @@ class QuantifyAPI {
    * 
    * @private
    * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
    * @returns {Promise<void>}
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return this.client.clock.sleep(ms, signal);
   }
 }
 
@@ -12,23 +12,27 @@ class UserAPI {
   /**
    * Get personal user information
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} User profile data
    * @example
    * const profile = await client.user.getProfile();
    * console.log(`User: ${profile.nickname}, Level: ${profile.levelName}`);
    */
-  async getProfile() {
-    const response = await this.client.request('/api/user/info/personal');
+  async getProfile(requestOptions = {}) {
+    const response = await this.client.request('/api/user/info/personal', {}, requestOptions);
     return response.data;
   }
 
   /**
    * Get user's current level and rank information
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Level information
    */
-  async getLevel() {
-    const profile = await this.getProfile();
+  async getLevel(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     return {
       level: profile.level,
       levelName: profile.levelName,
@@ -46,10 +50,12 @@ class UserAPI {
   /**
    * Get user's financial summary
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Financial summary
    */
-  async getFinancialSummary() {
-    const profile = await this.getProfile();
+  async getFinancialSummary(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         totalBalance: 0,
@@ -75,10 +81,12 @@ class UserAPI {
   /**
    * Get user's team information
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Team statistics
    */
-  async getTeamInfo() {
-    const profile = await this.getProfile();
+  async getTeamInfo(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         teamCount: 0,
@@ -102,10 +110,12 @@ class UserAPI {
   /**
    * Get user's security settings
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Security settings
    */
-  async getSecuritySettings() {
-    const profile = await this.getProfile();
+  async getSecuritySettings(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         hasSetPassword: false,
@@ -131,10 +141,12 @@ class UserAPI {
   /**
    * Get user's invite information
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Invite code and referral info
    */
-  async getInviteInfo() {
-    const profile = await this.getProfile();
+  async getInviteInfo(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         inviteCode: null,
@@ -152,10 +164,12 @@ class UserAPI {
   /**
    * Get user's chat/AI service information
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Chat service info
    */
-  async getChatInfo() {
-    const profile = await this.getProfile();
+  async getChatInfo(requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         chatCount: 0,
@@ -176,10 +190,12 @@ class UserAPI {
    * Check if user meets requirements for a specific level
    * 
    * @param {number} targetLevel - Target level to check
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Requirement check results
    */
-  async checkLevelRequirements(targetLevel) {
-    const profile = await this.getProfile();
+  async checkLevelRequirements(targetLevel, requestOptions = {}) {
+    const profile = await this.getProfile(requestOptions);
     if (!profile) {
       return {
         eligible: false,
@@ -221,12 +237,17 @@ class UserAPI {
   /**
    * Get user activity summary
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} User activity data
    */
-  async getActivitySummary() {
-    const profile = await this.getProfile();
-    const financial = await this.getFinancialSummary();
-    const team = await this.getTeamInfo();
+  async getActivitySummary(requestOptions = {}) {
+    // Started together so the three profile lookups share one request
+    const [profile, financial, team] = await Promise.all([
+      this.getProfile(requestOptions),
+      this.getFinancialSummary(requestOptions),
+      this.getTeamInfo(requestOptions)
+    ]);
     
     return {
       profile: {
@@ -238,7 +259,7 @@ class UserAPI {
       },
       financial,
       team,
-      lastUpdate: new Date().toISOString()
+      lastUpdate: new Date(this.client.clock.now()).toISOString()
     };
   }
 }
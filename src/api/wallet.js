@@ -14,13 +14,15 @@ class WalletAPI {
    * Get wallet asset overview
    * Shows all coins, balances, and amounts in different states
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Wallet asset overview
    * @example
    * const overview = await client.wallet.getOverview();
    * console.log(`Total balance: ${overview.totalBalance} USDT`);
    */
-  async getOverview() {
-    const response = await this.client.request('/api/wallet/asset/overview');
+  async getOverview(requestOptions = {}) {
+    const response = await this.client.request('/api/wallet/asset/overview', {}, requestOptions);
     return response.data;
   }
 
@@ -32,6 +34,8 @@ class WalletAPI {
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.pageSize=10] - Items per page
    * @param {string} [options.yearMonth] - Year-month filter (YYYYMM format)
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object>} Transaction records with pagination
    * @example
    * const records = await client.wallet.getRecords({
@@ -40,16 +44,16 @@ class WalletAPI {
    *   yearMonth: '202507'
    * });
    */
-  async getRecords(options = {}) {
+  async getRecords(options = {}, requestOptions = {}) {
     const params = {
       filter: 0,
       page: 1,
       pageSize: 10,
-      yearMonth: new Date().toISOString().slice(0, 7).replace('-', ''),
+      yearMonth: new Date(this.client.clock.now()).toISOString().slice(0, 7).replace('-', ''),
       ...options
     };
     
-    const response = await this.client.request('/api/v2/wallet/record', params);
+    const response = await this.client.request('/api/v2/wallet/record', params, requestOptions);
     return response.data;
   }
 
@@ -57,10 +61,12 @@ class WalletAPI {
    * Get recent transaction records (last 30 days)
    * 
    * @param {number} [limit=10] - Maximum number of records to return
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Array>} Array of recent transactions
    */
-  async getRecentRecords(limit = 10) {
-    const records = await this.getRecords({ pageSize: limit });
+  async getRecentRecords(limit = 10, requestOptions = {}) {
+    const records = await this.getRecords({ pageSize: limit }, requestOptions);
     return records.list || [];
   }
 
@@ -68,10 +74,12 @@ class WalletAPI {
    * Get balance for a specific coin
    * 
    * @param {string} coinName - Coin name (e.g., 'USDT', 'CPLX')
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<Object|null>} Coin balance info or null if not found
    */
-  async getCoinBalance(coinName) {
-    const overview = await this.getOverview();
+  async getCoinBalance(coinName, requestOptions = {}) {
+    const overview = await this.getOverview(requestOptions);
     const coin = overview.list?.find(c => c.coinName === coinName.toUpperCase());
     return coin || null;
   }
@@ -79,30 +87,36 @@ class WalletAPI {
   /**
    * Get total portfolio value in USDT
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<number>} Total portfolio value
    */
-  async getTotalValue() {
-    const overview = await this.getOverview();
+  async getTotalValue(requestOptions = {}) {
+    const overview = await this.getOverview(requestOptions);
     return parseFloat(overview.totalAmount || '0');
   }
 
   /**
    * Get flexible (available) balance
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<number>} Available balance in USDT
    */
-  async getFlexibleBalance() {
-    const overview = await this.getOverview();
+  async getFlexibleBalance(requestOptions = {}) {
+    const overview = await this.getOverview(requestOptions);
     return parseFloat(overview.totalFlexibleAmount || '0');
   }
 
   /**
    * Get pending (locked) balance
    * 
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<number>} Pending balance in USDT
    */
-  async getPendingBalance() {
-    const overview = await this.getOverview();
+  async getPendingBalance(requestOptions = {}) {
+    const overview = await this.getOverview(requestOptions);
     return parseFloat(overview.totalPendingAmount || '0');
   }
 
@@ -111,10 +125,12 @@ class WalletAPI {
    * 
    * @param {number} amount - Required amount
    * @param {string} [coinName='USDT'] - Coin to check
+   * @param {Object} [requestOptions={}] - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal that cancels the call
    * @returns {Promise<boolean>} True if sufficient balance exists
    */
-  async hasSufficientBalance(amount, coinName = 'USDT') {
-    const coin = await this.getCoinBalance(coinName);
+  async hasSufficientBalance(amount, coinName = 'USDT', requestOptions = {}) {
+    const coin = await this.getCoinBalance(coinName, requestOptions);
     if (!coin) return false;
     
     const available = parseFloat(coin.balance || '0');
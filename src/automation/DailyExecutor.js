@@ -6,6 +6,7 @@
  */
 
 const { createLogger } = require('../utils/logger');
+const { AuthenticationError } = require('../core/errors');
 
 class DailyExecutor {
   constructor(client, options = {}) {
@@ -45,7 +46,7 @@ class DailyExecutor {
       const authenticated = await this.client.authenticate();
       
       if (!authenticated) {
-        throw new Error('Failed to authenticate client');
+        throw this.client.auth.lastError || new AuthenticationError('Failed to authenticate client');
       }
     }
 
@@ -136,7 +137,7 @@ class DailyExecutor {
   exportResults() {
     const exportData = {
       configuration: this.options,
-      executionTime: new Date().toISOString(),
+      executionTime: new Date(this.client.clock.now()).toISOString(),
       status: this.getStatus(),
       statistics: this.getStats(),
       results: this.results
@@ -214,7 +215,7 @@ class DailyExecutor {
     const remainingIterations = this.options.iterations - this.results.length;
     const estimatedMs = remainingIterations * this.options.intervalMinutes * 60 * 1000;
     
-    return new Date(Date.now() + estimatedMs).toISOString();
+    return new Date(this.client.clock.now() + estimatedMs).toISOString();
   }
 
   /**
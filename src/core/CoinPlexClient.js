@@ -5,10 +5,21 @@
  * Provides a clean, organized way to access all CoinPlex services.
  */
 
-const https = require('https');
+const { EventEmitter } = require('events');
 const AuthenticationManager = require('./authentication');
-const { prepareSignedPayload } = require('./signature');
-const { processApiResponse } = require('./decryption');
+const { resolveTransport } = require('./transport');
+const { resolveFixtureTransport } = require('./fixtures');
+const { resolveChaosTransport } = require('./chaos');
+const { RequestPipeline } = require('./pipeline');
+const { resolveRateLimiter } = require('./rateLimiter');
+const { AuthenticationError, DecryptionError } = require('./errors');
+const { resolveRetryPolicy } = require('./retry');
+const { resolveMetrics } = require('./metrics');
+const { resolveCoalescer } = require('./coalescer');
+const { resolveCache } = require('./cache');
+const { resolveClock } = require('./clock');
+const { abortable, isAbortError, throwIfAborted } = require('./abort');
+const { runBatch } = require('../utils/batch');
 
 // Import API modules
 const WalletAPI = require('../api/wallet');
@@ -20,8 +31,19 @@ const AdsAPI = require('../api/ads');
 
 /**
  * Main CoinPlex SDK Client
+ * 
+ * Emits:
+ * - `request` ({ endpoint, params, attempt }) before each attempt is sent
+ * - `response` ({ endpoint, attempt, statusCode, latency, decryptionMethod }) after a successful attempt
+ * - `retry` ({ endpoint, attempt, delay, error }) when a failed attempt will be retried
+ * - `decrypted` ({ endpoint, attempt, method, latency }) when an encrypted response was decrypted
+ * - `decryptionFailed` ({ endpoint, attempt, error }) when a response could not be decrypted
+ * - `authenticated` ({ source, userId, expiresAt, latency }) when a token is obtained
+ * - `tokenExpired` ({ reason, expiresAt }) when an expired or rejected token is replaced
+ * - `error` ({ endpoint, error, latency }) when a call or login finally fails; only
+ *   emitted when an `error` listener is registered
  */
-class CoinPlexClient {
+class CoinPlexClient extends EventEmitter {
   /**
    * Initialize the CoinPlex client
    * 
@@ -32,23 +54,76 @@ class CoinPlexClient {
    * @param {string} config.credentials.prefix - Phone prefix
    * @param {string} config.credentials.account - Account identifier
    * @param {string} config.credentials.code - Authentication code
-   * @param {string} [config.baseUrl='api.coinplex.online'] - API base URL
+   * @param {string} [config.baseUrl='api.coinplex.online'] - API host or full URL with protocol,
+   *   port and path prefix (e.g. 'http://localhost:3000/coinplex')
    * @param {boolean} [config.autoRetry=true] - Auto-retry failed requests
+   * @param {number} [config.maxRetries=3] - Retries after the first attempt
+   * @param {RetryPolicy|Object} [config.retry] - Retry policy or its options
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
+   * @param {Object} [config.transport] - Custom transport implementing send(request)
+   * @param {Object|string} [config.fixtures] - Record API traffic to, or replay it from, a fixture
+   *   directory: { mode: 'record'|'replay', dir, redact, ignore } or just the mode
+   * @param {Object} [config.chaos] - Inject faults into requests from a seeded plan ({ seed, faults },
+   *   see ChaosTransport); for resilience tests only
+   * @param {Object} [config.clock] - Time source implementing now(), sleep(ms, signal) and
+   *   setTimer(callback, ms), e.g. a VirtualClock in tests; defaults to the system clock
+   * @param {boolean} [config.keepAlive=true] - Reuse connections between requests
+   * @param {number} [config.maxSockets=10] - Connection pool size per host
+   * @param {boolean} [config.compression=true] - Request gzip/deflate/brotli compressed responses
+   * @param {number} [config.batchConcurrency=4] - Requests in flight at once in methods that
+   *   fetch several items (getAllProducts, getIncomeTrends, getAllAds, ...)
+   * @param {string} [config.proxy] - Proxy URL (http://, https:// or socks5://, with optional credentials)
+   * @param {string|Array<string>} [config.noProxy] - Hosts reached without the proxy
+   * @param {boolean} [config.autoReauth=true] - Re-login when the token expires or is rejected
+   * @param {number} [config.tokenRefreshMargin=60000] - Refresh tokens this many ms before they expire
+   * @param {Object|boolean} [config.rateLimit] - Rate limit overrides (see RATE_LIMITS), or false to disable
+   * @param {RateLimiter} [config.rateLimiter] - Shared rate limiter instance
+   * @param {Object} [config.sessionStore] - Store for reusing tokens across clients and processes
+   * @param {string} [config.sessionFile] - Path of a JSON file session store (shorthand for sessionStore)
+   * @param {Function} [config.onTokenRefresh] - Called with { token, previousToken, expiresAt, reason }
+   *   after an automatic re-login
+   * @param {MetricsCollector|Object|boolean} [config.metrics] - Shared collector, collector options
+   *   ({ buckets, prefix }), or false to disable metrics
+   * @param {Object|boolean} [config.coalesce] - Share identical concurrent requests; options
+   *   ({ exclude }) or false to send every call separately
+   * @param {ResponseCache|Object|boolean} [config.cache] - Cache read endpoints: true for the
+   *   defaults, cache options ({ ttl, staleWhileRevalidate, invalidates, store, file }) or a
+   *   shared ResponseCache; off by default
    */
   constructor(config) {
+    super();
+    
     // Validate required configuration
     this._validateConfig(config);
     
     this.config = {
       baseUrl: 'api.coinplex.online',
       autoRetry: true,
+      autoReauth: true,
       timeout: 30000,
       ...config
     };
     
+    // Time source for schedulers, retry waits and request timestamps
+    this.clock = resolveClock(this.config);
+    
+    // Network layer and middleware pipeline shared by all requests, including login
+    this.transport = resolveChaosTransport(this.config, resolveFixtureTransport(this.config) || resolveTransport(this.config));
+    this.rateLimiter = resolveRateLimiter(this.config);
+    if (this.rateLimiter) {
+      this.rateLimiter.on('wait', (event) => this.emit('rateLimitWait', event));
+      this.rateLimiter.on('backoff', (event) => this.emit('rateLimitBackoff', event));
+    }
+    this.pipeline = new RequestPipeline(this.config, this.transport, this.rateLimiter);
+    this.retryPolicy = resolveRetryPolicy(this.config);
+    this.coalescer = resolveCoalescer(this.config);
+    this.cache = resolveCache(this.config);
+    
     // Initialize authentication manager
-    this.auth = new AuthenticationManager(this.config);
+    this.auth = new AuthenticationManager(this.config, this.pipeline);
+    this.auth.on('authenticated', (event) => this.emit('authenticated', event));
+    this.auth.on('tokenExpired', (event) => this.emit('tokenExpired', event));
+    this.auth.on('loginFailed', (event) => this._emitError(event));
     
     // Initialize API modules
     this.wallet = new WalletAPI(this);
@@ -65,6 +140,12 @@ class CoinPlexClient {
       failed: 0,
       encrypted: 0
     };
+    
+    // Aggregate lifecycle events into per-endpoint metrics
+    this.metrics = resolveMetrics(this.config);
+    if (this.metrics) {
+      this.metrics.attach(this);
+    }
   }
 
   /**
@@ -96,6 +177,18 @@ class CoinPlexClient {
     return this.auth.getToken();
   }
 
+  /**
+   * Get diagnostic information about the current token
+   * 
+   * @returns {Object|null} Token claims, issue time and expiry, or null if not authenticated
+   * @example
+   * const info = client.getTokenInfo();
+   * console.log(`User ${info.userId}, token expires ${info.expiresAt.toISOString()}`);
+   */
+  getTokenInfo() {
+    return this.auth.getTokenInfo();
+  }
+
   /**
    * Logout and clear authentication
    */
@@ -103,59 +196,221 @@ class CoinPlexClient {
     this.auth.logout();
   }
 
+  /**
+   * Register a request middleware
+   * 
+   * @param {Object} middleware - Object implementing beforeSign, afterSign,
+   *   afterResponse and/or onError hooks
+   * @returns {CoinPlexClient} The client, for chaining
+   * @example
+   * client.use({
+   *   beforeSign: (ctx) => { ctx.headers['X-Trace-Id'] = traceId(); },
+   *   afterResponse: (ctx, response) => { audit(ctx.endpoint, response.statusCode); }
+   * });
+   */
+  use(middleware) {
+    this.pipeline.use(middleware);
+    return this;
+  }
+
+  /**
+   * Run a worker over several items with the client's batch concurrency
+   * 
+   * @param {Array} items - Items to process
+   * @param {Function} worker - async (item, index) => value
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.concurrency] - Overrides config.batchConcurrency
+   * @param {AbortSignal} [options.signal] - Signal that stops the batch
+   * @returns {Promise<Object>} { results, fulfilled, rejected } (see runBatch)
+   * @throws {AbortError} If the signal aborts the batch
+   */
+  batch(items, worker, options = {}) {
+    return runBatch(items, worker, {
+      concurrency: options.concurrency || this.config.batchConcurrency,
+      signal: options.signal
+    });
+  }
+
   /**
    * Make authenticated API request
    * 
+   * An expired token is refreshed before sending. If the API rejects the
+   * token, the client logs in again and replays the request once.
+   * 
+   * Identical calls (same endpoint, parameters and options) made while one
+   * is in flight share its network call and receive copies of its response.
+   * With a cache configured, read endpoints are answered from it, and calls
+   * that change account state invalidate the responses they affect.
+   * 
    * @param {string} endpoint - API endpoint path
    * @param {Object} [params={}] - Request parameters
    * @param {Object} [options={}] - Request options
+   * @param {boolean} [options.retry] - Set to false to disable retries for this call
+   * @param {boolean} [options.coalesce] - Set to false to always send this call separately
+   * @param {boolean} [options.cache] - Set to false to bypass the cache for this call
+   * @param {AbortSignal} [options.signal] - Signal that cancels the call, including retry waits
    * @returns {Promise<Object>} API response
+   * @throws {CoinPlexError} Typed error describing the failure
+   * @throws {AbortError} If the signal aborts the call
    */
   async request(endpoint, params = {}, options = {}) {
+    throwIfAborted(options.signal, endpoint);
+    
+    if (!this.cache) {
+      return this._dispatch(endpoint, params, options);
+    }
+    
+    const scope = this.auth.getSessionKey();
+    
+    if (options.cache !== false && this.cache.isCacheable(endpoint)) {
+      return this.cache.fetch(scope, endpoint, params, (signal) => {
+        return this._dispatch(endpoint, params, { ...options, signal });
+      }, options.signal);
+    }
+    
+    try {
+      return await this._dispatch(endpoint, params, options);
+    } finally {
+      // Invalidate even after a failure: a timed out execution may still have gone through
+      await this.cache.invalidateAfter(scope, endpoint);
+    }
+  }
+
+  /**
+   * Send a request, sharing it with identical calls in flight
+   * 
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  _dispatch(endpoint, params, options) {
+    if (!this.coalescer || options.coalesce === false || !this.coalescer.canCoalesce(endpoint)) {
+      return this._execute(endpoint, params, options);
+    }
+    
+    return this.coalescer.run(endpoint, params, options.signal, (signal) => {
+      return this._execute(endpoint, params, { ...options, signal });
+    }, options);
+  }
+
+  /**
+   * Send a request, reporting a final failure as an `error` event
+   * 
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  async _execute(endpoint, params, options) {
+    const startedAt = this.clock.now();
+    
+    try {
+      return await this._requestWithReauth(endpoint, params, options);
+    } catch (error) {
+      this._emitError({ endpoint, error, latency: this.clock.now() - startedAt });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, refreshing an expired or rejected token
+   * 
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  async _requestWithReauth(endpoint, params, options) {
+    throwIfAborted(options.signal, endpoint);
+    
     // Check authentication
     if (!this.isAuthenticated()) {
-      throw new Error('Client not authenticated. Call authenticate() first.');
+      if (!this._canReauthenticate()) {
+        throw new AuthenticationError('Client not authenticated. Call authenticate() first.', { endpoint });
+      }
+      // Aborting stops waiting for the login, not the login itself, since other calls may share it
+      await abortable(this.auth.refresh('expired'), options.signal, endpoint);
     }
     
-    // Prepare signed payload
-    const payload = prepareSignedPayload(
-      params,
-      this.config.apiKey,
-      this.config.apiSecret
-    );
+    const sentToken = this.auth.token;
     
-    // Make request with retry logic
+    try {
+      return await this._requestWithRetry(endpoint, params, options);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError) || !this._canReauthenticate()) {
+        throw error;
+      }
+      
+      await abortable(this.auth.refresh('rejected', sentToken), options.signal, endpoint);
+      return this._requestWithRetry(endpoint, params, options);
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures
+   * 
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  async _requestWithRetry(endpoint, params, options) {
+    // Retries can be switched off per client (autoRetry) or per call (options.retry)
+    const retryEnabled = this.config.autoRetry !== false && options.retry !== false;
     let attempts = 0;
-    const maxAttempts = this.config.autoRetry ? 3 : 1;
     
-    while (attempts < maxAttempts) {
+    while (true) {
+      const attempt = ++attempts;
+      const startedAt = this.clock.now();
+      
       try {
         this.stats.requests++;
-        const response = await this._makeHttpRequest(endpoint, payload, options);
+        this.emit('request', { endpoint, params, attempt });
+        
+        const response = await this.pipeline.execute(endpoint, params, {
+          ...options,
+          token: this.getToken()
+        });
+        const latency = this.clock.now() - startedAt;
         
         // Update statistics
-        if (response.statusCode >= 200 && response.statusCode < 300) {
-          this.stats.successful++;
-        } else {
-          this.stats.failed++;
-        }
+        this.stats.successful++;
         
         if (response._decryptionMethod) {
           this.stats.encrypted++;
+          this.emit('decrypted', { endpoint, attempt, method: response._decryptionMethod, latency });
         }
         
+        this.emit('response', {
+          endpoint,
+          attempt,
+          statusCode: response.statusCode,
+          latency,
+          decryptionMethod: response._decryptionMethod || null
+        });
+        
         return response;
         
       } catch (error) {
-        attempts++;
         this.stats.failed++;
         
-        if (attempts >= maxAttempts) {
+        if (error instanceof DecryptionError) {
+          this.emit('decryptionFailed', { endpoint, attempt, error });
+        }
+        
+        if (!retryEnabled || isAbortError(error) || !this.retryPolicy.shouldRetry(error, attempt, endpoint)) {
           throw error;
         }
         
         // Wait before retry
-        await this._delay(1000 * attempts);
+        const retryDelay = this.retryPolicy.getDelay(error, attempt, endpoint);
+        this.emit('retry', { endpoint, attempt, delay: retryDelay, error });
+        await this._delay(retryDelay, options.signal);
       }
     }
   }
@@ -163,14 +418,80 @@ class CoinPlexClient {
   /**
    * Get client statistics
    * 
+   * When the transport reports its own statistics (the default transport
+   * does), they are included as `connection`: connections opened and
+   * reused, compressed responses and bytes saved by compression.
+   * `coalesced` counts calls that shared an identical in-flight request,
+   * and `cache` reports cache hits, stale hits and misses when caching is on.
+   * 
    * @returns {Object} Request statistics
    */
   getStats() {
-    return { ...this.stats };
+    const stats = { ...this.stats };
+    
+    if (this.coalescer) {
+      stats.coalesced = this.coalescer.stats.shared;
+    }
+    
+    if (this.cache) {
+      stats.cache = { ...this.cache.stats };
+    }
+    
+    if (typeof this.transport.getStats === 'function') {
+      stats.connection = this.transport.getStats();
+    }
+    
+    return stats;
+  }
+
+  /**
+   * Get per-endpoint metrics
+   * 
+   * Request, response and retry counts, latency histograms and failures by
+   * error class for each endpoint, plus decryption and authentication counts.
+   * 
+   * @param {string} [format='json'] - 'json' for an object, 'prometheus' for exposition text
+   * @returns {Object|string} Metrics in the requested format
+   * @throws {Error} If metrics are disabled or the format is unknown
+   * @example
+   * const text = client.getMetrics('prometheus');
+   */
+  getMetrics(format = 'json') {
+    if (!this.metrics) {
+      throw new Error('Metrics are disabled for this client');
+    }
+    
+    switch (format) {
+      case 'json':
+        return this.metrics.toJSON();
+      case 'prometheus':
+        return this.metrics.toPrometheus();
+      default:
+        throw new Error(`Unknown metrics format: ${format}`);
+    }
+  }
+
+  /**
+   * Invalidate cached responses of this account
+   * 
+   * @param {Array<string>} [endpoints] - Endpoints to invalidate, defaults to all
+   * @returns {Promise<number>} Number of cached responses removed
+   * @example
+   * await client.invalidateCache(['/api/wallet/asset/overview']);
+   */
+  async invalidateCache(endpoints) {
+    if (!this.cache) {
+      return 0;
+    }
+    
+    return this.cache.invalidate(this.auth.getSessionKey(), endpoints);
   }
 
   /**
    * Reset client statistics
+   * 
+   * Metrics are reset too, unless the collector was passed in through
+   * `config.metrics` and may be shared with other clients.
    */
   resetStats() {
     this.stats = {
@@ -179,6 +500,56 @@ class CoinPlexClient {
       failed: 0,
       encrypted: 0
     };
+    
+    if (typeof this.transport.resetStats === 'function') {
+      this.transport.resetStats();
+    }
+    
+    if (this.coalescer) {
+      this.coalescer.stats = { started: 0, shared: 0 };
+    }
+    
+    if (this.metrics && this.metrics !== this.config.metrics) {
+      this.metrics.reset();
+    }
+  }
+
+  /**
+   * Close pooled connections
+   * 
+   * Idle keep-alive connections do not keep the process alive, but
+   * long-running applications can call this when they are done with a client.
+   * A transport passed in through `config.transport` is left to its owner.
+   */
+  destroy() {
+    if (!this.config.transport && typeof this.transport.destroy === 'function') {
+      this.transport.destroy();
+    }
+  }
+
+  /**
+   * Emit an error event if anyone is listening
+   * 
+   * EventEmitter throws on an `error` event without listeners, which would
+   * turn monitoring into a crash for clients that don't subscribe.
+   * 
+   * @private
+   * @param {Object} event - Event payload with endpoint and error
+   */
+  _emitError(event) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', event);
+    }
+  }
+
+  /**
+   * Check if an expired or rejected token may be replaced automatically
+   * 
+   * @private
+   * @returns {boolean} True if auto re-authentication applies
+   */
+  _canReauthenticate() {
+    return this.config.autoReauth !== false && this.auth.hasSession();
   }
 
   /**
@@ -207,100 +578,16 @@ class CoinPlexClient {
     }
   }
 
-  /**
-   * Make HTTP request to CoinPlex API
-   * 
-   * @private
-   * @param {string} endpoint - API endpoint
-   * @param {Object} payload - Request payload
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} Response object
-   */
-  _makeHttpRequest(endpoint, payload, options = {}) {
-    return new Promise((resolve, reject) => {
-      const requestOptions = {
-        hostname: this.config.baseUrl,
-        port: 443,
-        path: endpoint,
-        method: 'POST',
-        timeout: options.timeout || this.config.timeout,
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': '*/*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Origin': 'https://coinplex.online',
-          'Referer': 'https://coinplex.online/',
-          'Lang': 'en_US',
-          'System': 'android',
-          'User-Agent': 'Mozilla/5.0 (compatible; CoinPlexSDK/1.0)',
-          'DNT': '1',
-          'Priority': 'u=1, i',
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-site',
-          ...options.headers
-        }
-      };
-      
-      // Add authentication token
-      const token = this.getToken();
-      if (token) {
-        requestOptions.headers['Token'] = token;
-      }
-
-      const req = https.request(requestOptions, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const responseData = JSON.parse(data);
-            const decryptedResponse = processApiResponse(responseData);
-            
-            resolve({ 
-              statusCode: res.statusCode,
-              headers: res.headers,
-              data: decryptedResponse.data,
-              _originalData: responseData,
-              _decryptionMethod: decryptedResponse._decryptionMethod
-            });
-          } catch (error) {
-            resolve({ 
-              statusCode: res.statusCode,
-              headers: res.headers,
-              data: data,
-              error: error.message
-            });
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        reject(new Error(`Request failed: ${error.message}`));
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error(`Request timeout after ${requestOptions.timeout}ms`));
-      });
-      
-      req.write(JSON.stringify(payload));
-      req.end();
-    });
-  }
-
   /**
    * Delay helper for retry logic
    * 
    * @private
    * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
    * @returns {Promise<void>}
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return this.clock.sleep(ms, signal);
   }
 }
 
@@ -0,0 +1,353 @@
+/**
+ * CoinPlex Client Pool
+ *
+ * Runs the SDK for many accounts at once: one client per credential set,
+ * sharing a transport, rate limiter, session store, cache and metrics, with a global
+ * limit on how many accounts are worked on concurrently. Login and quantify
+ * execution limits stay per account.
+ */
+
+const CoinPlexClient = require('./CoinPlexClient');
+const { resolveTransport } = require('./transport');
+const { resolveRateLimiter } = require('./rateLimiter');
+const { resolveMetrics } = require('./metrics');
+const { resolveSessionStore } = require('./session');
+const { resolveCache } = require('./cache');
+const { AuthenticationError } = require('./errors');
+const { abortable, createAbortError, onAbort, throwIfAborted } = require('./abort');
+
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Counting semaphore with a FIFO queue of waiters
+ *
+ * @private
+ */
+class Semaphore {
+  /**
+   * @param {number} limit - Maximum concurrent holders
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Wait for a free slot
+   *
+   * An aborted waiter leaves the queue without taking a slot.
+   *
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<Function>} Releases the slot
+   */
+  acquire(signal) {
+    throwIfAborted(signal);
+
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve(() => this._release());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        unsubscribe();
+        resolve(() => this._release());
+      };
+      const unsubscribe = onAbort(signal, () => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        reject(createAbortError(signal));
+      });
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand the slot to the next waiter, or free it
+   *
+   * @private
+   */
+  _release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Pool of clients for multiple accounts
+ *
+ * @example
+ * const pool = new CoinPlexPool({
+ *   apiKey: 'your-api-key',
+ *   apiSecret: 'your-secret',
+ *   accounts: [
+ *     { prefix: '49', account: '111111111', code: '000000' },
+ *     { id: 'backup', credentials: { prefix: '49', account: '222222222', code: '000000' } }
+ *   ],
+ *   concurrency: 3
+ * });
+ *
+ * const summary = await pool.forEach(async (client) => client.quantify.execute());
+ * console.log(`${summary.succeeded}/${summary.total} accounts executed`);
+ */
+class CoinPlexPool {
+  /**
+   * Create clients for all accounts
+   *
+   * Clients are created up front but only log in when first used.
+   *
+   * @param {Object} config - Client configuration shared by all accounts (see CoinPlexClient)
+   * @param {Array<Object>} config.accounts - Credential sets ({ prefix, account, code }), or
+   *   account configs ({ id, credentials, ...overrides }) that override shared options;
+   *   ids default to the prefix followed by the account number
+   * @param {number} [config.concurrency=5] - Maximum accounts worked on at the same time
+   * @throws {Error} If accounts are missing, duplicated or invalid
+   */
+  constructor(config) {
+    if (!config || !Array.isArray(config.accounts) || config.accounts.length === 0) {
+      throw new Error('Missing required configuration: accounts');
+    }
+
+    const { accounts, concurrency = DEFAULT_CONCURRENCY, ...shared } = config;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('Invalid concurrency: must be a positive integer');
+    }
+
+    this.config = shared;
+    this.concurrency = concurrency;
+    this._ownsTransport = !shared.transport;
+
+    // Resources shared by every client in the pool
+    this.transport = resolveTransport(shared);
+    this.rateLimiter = resolveRateLimiter(shared);
+    this.metrics = resolveMetrics(shared);
+    this.sessionStore = resolveSessionStore(shared);
+    this.cache = resolveCache(shared);
+
+    this._slots = new Semaphore(concurrency);
+    this.clients = new Map();
+
+    for (const account of accounts) {
+      const { id, client } = this._createClient(account);
+      if (this.clients.has(id)) {
+        throw new Error(`Duplicate account in pool: ${id}`);
+      }
+      this.clients.set(id, client);
+    }
+  }
+
+  /**
+   * Number of accounts in the pool
+   *
+   * @returns {number} Account count
+   */
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Get the account ids in pool order
+   *
+   * @returns {Array<string>} Account ids
+   */
+  ids() {
+    return [...this.clients.keys()];
+  }
+
+  /**
+   * Get an account's client without authenticating it
+   *
+   * @param {string} id - Account id
+   * @returns {CoinPlexClient} Client
+   * @throws {Error} If the account is not in the pool
+   */
+  get(id) {
+    const client = this.clients.get(id);
+    if (!client) {
+      throw new Error(`Unknown account: ${id}`);
+    }
+    return client;
+  }
+
+  /**
+   * Get an account's client, logging in first if needed
+   *
+   * Concurrent calls for the same account share one login.
+   *
+   * @param {string} id - Account id
+   * @param {Object} [options={}] - Options
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting for the login
+   * @returns {Promise<CoinPlexClient>} Authenticated client
+   * @throws {AuthenticationError} If the login fails
+   */
+  async getClient(id, options = {}) {
+    const client = this.get(id);
+
+    if (!client.isAuthenticated()) {
+      const authenticated = await abortable(client.authenticate(), options.signal);
+      if (!authenticated) {
+        throw client.auth.lastError || new AuthenticationError(`Failed to authenticate account ${id}`);
+      }
+    }
+
+    return client;
+  }
+
+  /**
+   * Run a task for every account
+   *
+   * Accounts are processed concurrently up to the pool's concurrency limit,
+   * which is shared by all running forEach calls. A failing account (login
+   * or task) is recorded in the results and does not affect the others.
+   *
+   * @param {Function} task - async (client, { id, index, signal }) => value
+   * @param {Object} [options={}] - Options
+   * @param {Array<string>} [options.accounts] - Account ids to run, defaults to all
+   * @param {AbortSignal} [options.signal] - Signal that stops starting accounts and
+   *   is passed to each task
+   * @returns {Promise<Object>} Summary with total, succeeded, failed and per-account
+   *   results ({ id, status: 'fulfilled', value } or { id, status: 'rejected', error })
+   * @throws {AbortError} If the signal aborts the run
+   * @example
+   * const { results } = await pool.forEach(client => client.wallet.getTotalValue());
+   * results.filter(r => r.status === 'rejected').forEach(r => console.error(r.id, r.error.message));
+   */
+  async forEach(task, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    const ids = options.accounts || this.ids();
+    ids.forEach(id => this.get(id));
+
+    const results = await Promise.all(ids.map((id, index) => this._run(id, index, task, signal)));
+    throwIfAborted(signal);
+
+    const succeeded = results.filter(result => result.status === 'fulfilled').length;
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  /**
+   * Get metrics aggregated over all accounts
+   *
+   * @param {string} [format='json'] - 'json' for an object, 'prometheus' for exposition text
+   * @returns {Object|string} Metrics in the requested format
+   * @throws {Error} If metrics are disabled or the format is unknown
+   */
+  getMetrics(format = 'json') {
+    if (!this.metrics) {
+      throw new Error('Metrics are disabled for this pool');
+    }
+
+    switch (format) {
+      case 'json':
+        return this.metrics.toJSON();
+      case 'prometheus':
+        return this.metrics.toPrometheus();
+      default:
+        throw new Error(`Unknown metrics format: ${format}`);
+    }
+  }
+
+  /**
+   * Get request statistics summed over all accounts
+   *
+   * @returns {Object} Totals plus per-account statistics under `accounts`
+   */
+  getStats() {
+    const totals = { requests: 0, successful: 0, failed: 0, encrypted: 0, authenticated: 0 };
+    const accounts = {};
+
+    for (const [id, client] of this.clients) {
+      accounts[id] = { ...client.stats, authenticated: client.isAuthenticated() };
+      totals.requests += client.stats.requests;
+      totals.successful += client.stats.successful;
+      totals.failed += client.stats.failed;
+      totals.encrypted += client.stats.encrypted;
+      totals.authenticated += client.isAuthenticated() ? 1 : 0;
+    }
+
+    if (typeof this.transport.getStats === 'function') {
+      totals.connection = this.transport.getStats();
+    }
+
+    return { ...totals, accounts };
+  }
+
+  /**
+   * Close the shared connection pool
+   *
+   * A transport passed in through `config.transport` is left to its owner.
+   */
+  destroy() {
+    if (this._ownsTransport && typeof this.transport.destroy === 'function') {
+      this.transport.destroy();
+    }
+  }
+
+  /**
+   * Build the client for one account
+   *
+   * @private
+   * @param {Object} account - Credential set or account config
+   * @returns {Object} Account id and client
+   */
+  _createClient(account) {
+    const { id, ...overrides } = account && account.credentials
+      ? account
+      : { credentials: account };
+
+    const client = new CoinPlexClient({
+      ...this.config,
+      ...overrides,
+      transport: this.transport,
+      ...(this.rateLimiter ? { rateLimiter: this.rateLimiter.forAccount() } : { rateLimit: false }),
+      metrics: this.metrics || false,
+      sessionStore: this.sessionStore || undefined,
+      cache: this.cache || false
+    });
+
+    // The same account number may exist under several prefixes
+    const { prefix, account: number } = client.config.credentials;
+    return { id: String(id || `${prefix}${number}`), client };
+  }
+
+  /**
+   * Run the task for one account, capturing its outcome
+   *
+   * @private
+   * @param {string} id - Account id
+   * @param {number} index - Position in the run
+   * @param {Function} task - Task to run
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Object>} Settled result
+   */
+  async _run(id, index, task, signal) {
+    let release = null;
+
+    try {
+      release = await this._slots.acquire(signal);
+      const client = await this.getClient(id, { signal });
+      const value = await task(client, { id, index, signal });
+      return { id, status: 'fulfilled', value };
+    } catch (error) {
+      return { id, status: 'rejected', error };
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+  }
+}
+
+module.exports = CoinPlexPool;
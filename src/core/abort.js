@@ -0,0 +1,125 @@
+/**
+ * CoinPlex Abort Utilities
+ *
+ * Helpers for honouring AbortSignal cancellation in requests, queues
+ * and delays. Signals are duck-typed, so any object with `aborted` and
+ * `addEventListener` works.
+ */
+
+const { AbortError } = require('./errors');
+const { ERROR_MESSAGES } = require('../utils/constants');
+
+/**
+ * Create the error used when a signal aborts an operation
+ *
+ * @param {AbortSignal} [signal] - Aborted signal
+ * @param {string} [endpoint] - Endpoint being called, if any
+ * @returns {AbortError} Abort error
+ */
+function createAbortError(signal, endpoint) {
+  const reason = signal && signal.reason;
+  const details = { endpoint };
+  if (reason instanceof Error) {
+    details.cause = reason;
+  }
+  return new AbortError(ERROR_MESSAGES.ABORTED, details);
+}
+
+/**
+ * Throw if the signal has already been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal to check
+ * @param {string} [endpoint] - Endpoint being called, if any
+ * @throws {AbortError} If the signal is aborted
+ */
+function throwIfAborted(signal, endpoint) {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal, endpoint);
+  }
+}
+
+/**
+ * Subscribe to a signal's abort event
+ *
+ * @param {AbortSignal} [signal] - Signal to watch
+ * @param {Function} listener - Called once on abort
+ * @returns {Function} Unsubscribe function
+ */
+function onAbort(signal, listener) {
+  if (!signal) {
+    return () => {};
+  }
+
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Race a promise against a signal
+ *
+ * The underlying work is not cancelled; the caller just stops waiting.
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Signal that stops the wait
+ * @param {string} [endpoint] - Endpoint being called, if any
+ * @returns {Promise} Result of the promise
+ * @throws {AbortError} If the signal aborts first
+ */
+function abortable(promise, signal, endpoint) {
+  if (!signal) {
+    return promise;
+  }
+
+  throwIfAborted(signal, endpoint);
+
+  return new Promise((resolve, reject) => {
+    const unsubscribe = onAbort(signal, () => reject(createAbortError(signal, endpoint)));
+    promise.then(
+      (value) => { unsubscribe(); resolve(value); },
+      (error) => { unsubscribe(); reject(error); }
+    );
+  });
+}
+
+/**
+ * Wait for a duration unless the signal aborts first
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ * @throws {AbortError} If the signal aborts
+ */
+function delay(ms, signal) {
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve();
+    }, ms);
+
+    const unsubscribe = onAbort(signal, () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    });
+  });
+}
+
+/**
+ * Check if an error is a cancellation rather than a failure
+ *
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for AbortError
+ */
+function isAbortError(error) {
+  return error instanceof AbortError;
+}
+
+module.exports = {
+  createAbortError,
+  throwIfAborted,
+  onAbort,
+  abortable,
+  delay,
+  isAbortError
+};
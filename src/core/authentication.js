@@ -4,27 +4,257 @@
  * Handles user authentication, token management, and session lifecycle
  */
 
-const https = require('https');
-const { prepareSignedPayload } = require('./signature');
-const { processApiResponse } = require('./decryption');
+const { EventEmitter } = require('events');
+const { resolveTransport } = require('./transport');
+const { RequestPipeline } = require('./pipeline');
+const { resolveSessionStore } = require('./session');
+const { resolveRateLimiter } = require('./rateLimiter');
+const { resolveClock } = require('./clock');
+const { AuthenticationError } = require('./errors');
+const { decodeJwtPayload, claimToDate } = require('../utils/jwt');
+const { ENDPOINTS, ERROR_MESSAGES, API_CONFIG } = require('../utils/constants');
 
 /**
  * Authentication manager for CoinPlex API
+ *
+ * Emits:
+ * - `authenticated` ({ source, userId, expiresAt, latency }) when a token is
+ *   obtained by logging in (`source: 'login'`) or from the session store (`'session'`)
+ * - `loginFailed` ({ endpoint, error, latency }) when a login attempt fails
+ * - `tokenExpired` ({ reason, expiresAt }) when an expired or rejected token is replaced
  */
-class AuthenticationManager {
-  constructor(config) {
+class AuthenticationManager extends EventEmitter {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {RequestPipeline} [pipeline] - Pipeline used for the login request
+   */
+  constructor(config, pipeline) {
+    super();
+    
     this.config = config;
+    this.pipeline = pipeline || new RequestPipeline(config, resolveTransport(config), resolveRateLimiter(config));
+    this.transport = this.pipeline.transport;
+    this.clock = resolveClock(config);
+    this.sessionStore = resolveSessionStore(config);
     this.token = null;
     this.tokenExpiry = null;
+    this.tokenClaims = null;
     this.isAuthenticated = false;
+    this.lastError = null;
+    
+    // In-flight login and refresh promises, shared by concurrent callers
+    this._pendingLogin = null;
+    this._pendingRefresh = null;
   }
 
   /**
    * Authenticate with the CoinPlex API
    * 
+   * Concurrent calls share a single login request. The reason for a
+   * failed login is kept in `lastError`.
+   * 
+   * @returns {Promise<string|null>} JWT token on success, null on failure
+   */
+  authenticate() {
+    if (!this._pendingLogin) {
+      this._pendingLogin = this._login().finally(() => {
+        this._pendingLogin = null;
+      });
+    }
+    return this._pendingLogin;
+  }
+
+  /**
+   * Re-authenticate after the token expired or was rejected
+   * 
+   * Concurrent refreshes are coalesced into one login. When `rejectedToken`
+   * is given and another caller has already replaced it with a valid token,
+   * no login is made. Calls `config.onTokenRefresh` after a successful login.
+   * 
+   * @param {string} [reason='expired'] - Why the refresh is needed ('expired' or 'rejected')
+   * @param {string|null} [rejectedToken=null] - Token the API rejected
+   * @returns {Promise<string>} New JWT token
+   * @throws {AuthenticationError} If the login fails
+   */
+  refresh(reason = 'expired', rejectedToken = null) {
+    if (rejectedToken && this.token !== rejectedToken && this.isTokenValid()) {
+      return Promise.resolve(this.token);
+    }
+    
+    if (!this._pendingRefresh) {
+      this._pendingRefresh = this._refresh(reason).finally(() => {
+        this._pendingRefresh = null;
+      });
+    }
+    return this._pendingRefresh;
+  }
+
+  /**
+   * Check if a session was established and not logged out
+   * 
+   * True even when the token has since expired, which is what makes
+   * automatic re-authentication possible.
+   * 
+   * @returns {boolean} True if a token has been obtained
+   */
+  hasSession() {
+    return this.token !== null;
+  }
+
+  /**
+   * Obtain a token, reusing a stored session when one is configured
+   * 
+   * With a session store, a valid stored token is adopted without calling
+   * the login endpoint. Otherwise the store is locked, re-checked (another
+   * process may have just logged in), and the fresh token saved.
+   * 
+   * @private
    * @returns {Promise<string|null>} JWT token on success, null on failure
    */
-  async authenticate() {
+  async _login() {
+    if (!this.sessionStore) {
+      return this._performLogin();
+    }
+    
+    const key = this.getSessionKey();
+    if (await this._adoptStoredSession(key)) {
+      return this.token;
+    }
+    
+    const release = await this._lockSessionStore(key, 'checking it again before logging in');
+    
+    try {
+      // Another process may have logged in while we waited, even if the wait timed out
+      if (await this._adoptStoredSession(key)) {
+        return this.token;
+      }
+      
+      const token = await this._performLogin();
+      if (token) {
+        await this._saveSession(key);
+      }
+      return token;
+    } finally {
+      if (release) {
+        await release();
+      }
+    }
+  }
+
+  /**
+   * Get the key under which this account's session is stored
+   * 
+   * @returns {string} Session key
+   */
+  getSessionKey() {
+    const { prefix, account } = this.config.credentials;
+    const host = this.config.baseUrl || API_CONFIG.DEFAULT_BASE_URL;
+    return `${host}|${prefix}|${account}`;
+  }
+
+  /**
+   * Adopt a still-valid session from the store
+   * 
+   * @private
+   * @param {string} key - Session key
+   * @returns {Promise<boolean>} True if a stored token was adopted
+   */
+  async _adoptStoredSession(key) {
+    let session;
+    try {
+      session = await this.sessionStore.get(key);
+    } catch (error) {
+      console.log('⚠️ Could not read session store:', error.message);
+      return false;
+    }
+    
+    if (!session || !session.token || !session.expiresAt) {
+      return false;
+    }
+    
+    const expiresAt = new Date(session.expiresAt);
+    if (this.clock.now() >= expiresAt.getTime() - this._getRefreshMargin()) {
+      return false;
+    }
+    
+    this._setToken(session.token, expiresAt);
+    this.lastError = null;
+    console.log('✅ Reusing stored session');
+    this._emitAuthenticated('session', 0);
+    return true;
+  }
+
+  /**
+   * Save the current token to the store
+   * 
+   * @private
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async _saveSession(key) {
+    try {
+      await this.sessionStore.set(key, {
+        token: this.token,
+        expiresAt: this.tokenExpiry.getTime(),
+        updatedAt: this.clock.now()
+      });
+    } catch (error) {
+      console.log('⚠️ Could not write session store:', error.message);
+    }
+  }
+
+  /**
+   * Remove a stored session if it still holds the given token
+   * 
+   * @private
+   * @param {string} token - Token known to be invalid
+   * @returns {Promise<void>}
+   */
+  async _discardStoredSession(token) {
+    const key = this.getSessionKey();
+    const release = await this._lockSessionStore(key, 'updating it anyway');
+    try {
+      const session = await this.sessionStore.get(key);
+      if (session && session.token === token) {
+        await this.sessionStore.delete(key);
+      }
+    } catch (error) {
+      console.log('⚠️ Could not update session store:', error.message);
+    } finally {
+      if (release) {
+        await release();
+      }
+    }
+  }
+
+  /**
+   * Lock the session store if it supports locking
+   * 
+   * @private
+   * @param {string} key - Session key
+   * @param {string} fallback - What happens without the lock, for the warning
+   * @returns {Promise<Function|null>} Release function, or null if not locked
+   */
+  async _lockSessionStore(key, fallback) {
+    if (typeof this.sessionStore.lock !== 'function') {
+      return null;
+    }
+    
+    try {
+      return await this.sessionStore.lock(key);
+    } catch (error) {
+      console.log(`⚠️ Could not lock session store, ${fallback}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Perform the login request
+   * 
+   * @private
+   * @returns {Promise<string|null>} JWT token on success, null on failure
+   */
+  async _performLogin() {
     console.log('🔐 Authenticating with CoinPlex API...');
     
     const loginData = {
@@ -34,33 +264,36 @@ class AuthenticationManager {
       code: this.config.credentials.code
     };
     
-    const payload = prepareSignedPayload(
-      loginData,
-      this.config.apiKey,
-      this.config.apiSecret
-    );
+    const startedAt = this.clock.now();
     
     try {
-      const response = await this._makeRequest('/api/user/login', payload);
+      const response = await this.pipeline.execute(ENDPOINTS.LOGIN, loginData);
       
       // Try to extract token from decrypted response
       const token = this._extractTokenFromResponse(response);
       
       if (token) {
-        this.token = token;
-        this.isAuthenticated = true;
-        // JWT tokens typically have expiry info, but we'll set a reasonable default
-        this.tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+        this._setToken(token);
+        this.lastError = null;
         
         console.log('✅ Authentication successful');
+        this._emitAuthenticated('login', this.clock.now() - startedAt);
         return token;
       } else {
         console.log('❌ Failed to extract token from response');
+        this.lastError = new AuthenticationError(ERROR_MESSAGES.AUTHENTICATION_FAILED, {
+          endpoint: ENDPOINTS.LOGIN,
+          statusCode: response.statusCode,
+          response
+        });
+        this.emit('loginFailed', { endpoint: ENDPOINTS.LOGIN, error: this.lastError, latency: this.clock.now() - startedAt });
         return null;
       }
       
     } catch (error) {
       console.log('❌ Authentication error:', error.message);
+      this.lastError = error;
+      this.emit('loginFailed', { endpoint: ENDPOINTS.LOGIN, error, latency: this.clock.now() - startedAt });
       return null;
     }
   }
@@ -86,16 +319,82 @@ class AuthenticationManager {
     return this.isAuthenticated && !this._isTokenExpired();
   }
 
+  /**
+   * Get diagnostic information about the current token
+   * 
+   * @returns {Object|null} Token info, or null if no token has been obtained
+   */
+  getTokenInfo() {
+    if (!this.token) {
+      return null;
+    }
+    
+    const claims = this.tokenClaims || {};
+    const issuedAt = claimToDate(claims.iat);
+    
+    return {
+      userId: claims.userId ?? claims.uid ?? claims.sub ?? null,
+      issuedAt,
+      expiresAt: this.tokenExpiry,
+      expiresIn: this.tokenExpiry ? Math.max(0, this.tokenExpiry.getTime() - this.clock.now()) : 0,
+      expirySource: claimToDate(claims.exp) ? 'jwt' : 'default',
+      refreshMargin: this._getRefreshMargin(),
+      valid: this.isTokenValid(),
+      claims: { ...claims }
+    };
+  }
+
   /**
    * Logout and clear authentication state
    */
   logout() {
     this.token = null;
     this.tokenExpiry = null;
+    this.tokenClaims = null;
     this.isAuthenticated = false;
     console.log('🔓 Logged out successfully');
   }
 
+  /**
+   * Log in again and notify the onTokenRefresh hook
+   * 
+   * @private
+   * @param {string} reason - Why the refresh is needed
+   * @returns {Promise<string>} New JWT token
+   */
+  async _refresh(reason) {
+    const previousToken = this.token;
+    console.log(`🔄 Token ${reason}, re-authenticating...`);
+    this.emit('tokenExpired', { reason, expiresAt: this.tokenExpiry });
+    
+    // A rejected token must not be picked up again from the store
+    if (reason === 'rejected' && previousToken && this.sessionStore) {
+      await this._discardStoredSession(previousToken);
+    }
+    
+    const token = await this.authenticate();
+    if (!token) {
+      throw this.lastError || new AuthenticationError(ERROR_MESSAGES.TOKEN_EXPIRED, {
+        endpoint: ENDPOINTS.LOGIN
+      });
+    }
+    
+    if (typeof this.config.onTokenRefresh === 'function') {
+      try {
+        await this.config.onTokenRefresh({
+          token,
+          previousToken,
+          expiresAt: this.tokenExpiry,
+          reason
+        });
+      } catch (error) {
+        console.log('⚠️ onTokenRefresh hook failed:', error.message);
+      }
+    }
+    
+    return token;
+  }
+
   /**
    * Extract JWT token from API response
    * 
@@ -133,83 +432,62 @@ class AuthenticationManager {
   }
 
   /**
-   * Check if current token is expired
+   * Store a newly issued token and derive its expiry
+   * 
+   * Uses the JWT exp claim when present, falling back to
+   * API_CONFIG.DEFAULT_TOKEN_LIFETIME for opaque tokens.
    * 
    * @private
-   * @returns {boolean} True if token is expired
+   * @param {string} token - JWT token
+   * @param {Date} [expiresAt] - Known expiry, e.g. from a stored session
    */
-  _isTokenExpired() {
-    if (!this.tokenExpiry) return true;
-    return new Date() >= this.tokenExpiry;
+  _setToken(token, expiresAt) {
+    this.token = token;
+    this.isAuthenticated = true;
+    this.tokenClaims = decodeJwtPayload(token);
+    
+    const expiry = expiresAt || claimToDate(this.tokenClaims && this.tokenClaims.exp);
+    this.tokenExpiry = expiry || new Date(this.clock.now() + API_CONFIG.DEFAULT_TOKEN_LIFETIME);
   }
 
   /**
-   * Make HTTP request to CoinPlex API
+   * Emit the authenticated event for the current token
    * 
    * @private
-   * @param {string} endpoint - API endpoint path
-   * @param {Object} payload - Request payload
-   * @returns {Promise<Object>} API response
-   */
-  _makeRequest(endpoint, payload) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: this.config.baseUrl || 'api.coinplex.online',
-        port: 443,
-        path: endpoint,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': '*/*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Origin': 'https://coinplex.online',
-          'Referer': 'https://coinplex.online/',
-          'Lang': 'en_US',
-          'System': 'android',
-          'User-Agent': 'Mozilla/5.0 (compatible; CoinPlexSDK/1.0)',
-          'DNT': '1',
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-site'
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const responseData = JSON.parse(data);
-            const decryptedResponse = processApiResponse(responseData);
-            resolve({ 
-              statusCode: res.statusCode,
-              headers: res.headers,
-              data: decryptedResponse.data,
-              _originalData: responseData,
-              _decryptionMethod: decryptedResponse._decryptionMethod
-            });
-          } catch (error) {
-            resolve({ 
-              statusCode: res.statusCode,
-              headers: res.headers,
-              data: data
-            });
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        reject(error);
-      });
-      
-      req.write(JSON.stringify(payload));
-      req.end();
+   * @param {string} source - 'login' or 'session'
+   * @param {number} latency - Time taken to obtain the token in milliseconds
+   */
+  _emitAuthenticated(source, latency) {
+    const info = this.getTokenInfo();
+    this.emit('authenticated', {
+      source,
+      userId: info.userId,
+      expiresAt: info.expiresAt,
+      latency
     });
   }
+
+  /**
+   * Get the safety margin before expiry at which a token counts as expired
+   * 
+   * @private
+   * @returns {number} Margin in milliseconds
+   */
+  _getRefreshMargin() {
+    const margin = this.config.tokenRefreshMargin;
+    return typeof margin === 'number' && margin >= 0 ? margin : API_CONFIG.DEFAULT_TOKEN_REFRESH_MARGIN;
+  }
+
+  /**
+   * Check if current token is expired or within the refresh margin
+   * 
+   * @private
+   * @returns {boolean} True if token is expired
+   */
+  _isTokenExpired() {
+    if (!this.tokenExpiry) return true;
+    return this.clock.now() >= this.tokenExpiry.getTime() - this._getRefreshMargin();
+  }
 }
 
 module.exports = AuthenticationManager;
\ No newline at end of file
@@ -0,0 +1,509 @@
+/**
+ * CoinPlex Response Cache Module
+ *
+ * Opt-in cache for read endpoints. Responses are kept for a per-endpoint
+ * TTL and may then be served stale while a fresh copy is fetched in the
+ * background. Endpoints that change account state (quantify execution)
+ * invalidate the endpoints they affect.
+ *
+ * Entries live in a pluggable store implementing `get(key)`,
+ * `set(key, entry)`, `delete(key)` and `keys()`, all returning promises.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ENDPOINTS } = require('../utils/constants');
+const { stableStringify } = require('./coalescer');
+const { resolveClock } = require('./clock');
+
+/**
+ * Time to live per endpoint in milliseconds
+ *
+ * Endpoints not listed here are never cached.
+ */
+const DEFAULT_TTL = {
+  [ENDPOINTS.WALLET_OVERVIEW]: 10000,
+  [ENDPOINTS.WALLET_RECORDS]: 30000,
+  [ENDPOINTS.USER_PROFILE]: 30000,
+  [ENDPOINTS.FINANCIAL_VIEW]: 60000,
+  [ENDPOINTS.FINANCIAL_PRODUCT_DETAIL]: 60000,
+  [ENDPOINTS.INCOME_DATA]: 60000,
+  [ENDPOINTS.INCOME_TEAM_DATA]: 60000,
+  [ENDPOINTS.CPLX_BUY_STATUS]: 60000,
+  [ENDPOINTS.ADS_LIST]: 300000
+};
+
+/**
+ * Endpoints whose cached responses are outdated by a call to the key
+ *
+ * An execution credits income and changes the wallet, records and the
+ * profile's balance.
+ */
+const DEFAULT_INVALIDATIONS = {
+  [ENDPOINTS.QUANTIFY_EXECUTE]: [
+    ENDPOINTS.WALLET_OVERVIEW,
+    ENDPOINTS.WALLET_RECORDS,
+    ENDPOINTS.USER_PROFILE,
+    ENDPOINTS.INCOME_DATA,
+    ENDPOINTS.INCOME_TEAM_DATA
+  ]
+};
+
+/**
+ * In-process cache store
+ *
+ * Entries are kept serialized, so cached responses can't be modified
+ * through objects handed to callers. The oldest entries are evicted
+ * beyond `maxEntries`.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.maxEntries=1000] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cache entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  /**
+   * Store a cache entry
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry data
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, JSON.stringify(entry));
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a cache entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * List stored keys
+   *
+   * @returns {Promise<Array<string>>} Cache keys
+   */
+  async keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * JSON file cache store
+ *
+ * Keeps the cache across restarts and shares it between processes. All
+ * entries live in one JSON file; operations from this process are
+ * serialized, and writes are atomic, so concurrent processes can at worst
+ * lose each other's entries.
+ */
+class FileCacheStore {
+  /**
+   * @param {string} filePath - Path of the JSON cache file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('FileCacheStore requires a file path');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get a cache entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  get(key) {
+    return this._serialize(async () => {
+      const entries = await this._read();
+      return entries[key] || null;
+    });
+  }
+
+  /**
+   * Store a cache entry
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry data
+   * @returns {Promise<void>}
+   */
+  set(key, entry) {
+    return this._serialize(async () => {
+      const entries = await this._read();
+      entries[key] = entry;
+      await this._write(entries);
+    });
+  }
+
+  /**
+   * Remove a cache entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this._serialize(async () => {
+      const entries = await this._read();
+      if (key in entries) {
+        delete entries[key];
+        await this._write(entries);
+      }
+    });
+  }
+
+  /**
+   * List stored keys
+   *
+   * @returns {Promise<Array<string>>} Cache keys
+   */
+  keys() {
+    return this._serialize(async () => Object.keys(await this._read()));
+  }
+
+  /**
+   * Run an operation after all earlier ones have finished
+   *
+   * @private
+   * @param {Function} operation - Async operation
+   * @returns {Promise} Result of the operation
+   */
+  _serialize(operation) {
+    const result = this._queue.then(operation);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read all entries from disk
+   *
+   * @private
+   * @returns {Promise<Object>} Entries keyed by cache key
+   */
+  async _read() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const entries = JSON.parse(content);
+      return entries && typeof entries === 'object' ? entries : {};
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write all entries to disk atomically
+   *
+   * @private
+   * @param {Object} entries - Entries keyed by cache key
+   * @returns {Promise<void>}
+   */
+  async _write(entries) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(entries), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Response cache with TTLs, stale-while-revalidate and invalidation
+ *
+ * Keys are scoped (the client uses its session key), so one store can
+ * hold the responses of several accounts without mixing them up.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} [options={}] - Cache options
+   * @param {Object} [options.ttl] - TTL per endpoint in ms, merged over the defaults;
+   *   0 disables caching for an endpoint
+   * @param {number|Object} [options.staleWhileRevalidate=0] - How long after expiry (ms) a
+   *   response may still be served while it is refreshed; a number or per-endpoint object
+   * @param {Object} [options.invalidates] - Endpoint => endpoints it invalidates, merged
+   *   over the defaults
+   * @param {Object} [options.store] - Cache store, defaults to a MemoryCacheStore
+   * @param {string} [options.file] - Path of a JSON file cache store (shorthand for store)
+   * @param {number} [options.maxEntries=1000] - Size of the default memory store
+   * @param {Object} [options.clock] - Clock that timestamps entries, defaults to the system clock
+   */
+  constructor(options = {}) {
+    this.ttl = { ...DEFAULT_TTL, ...options.ttl };
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.invalidates = { ...DEFAULT_INVALIDATIONS, ...options.invalidates };
+    this.store = resolveCacheStore(options);
+    this.clock = resolveClock(options);
+    this.generations = new Map();
+    this.revalidating = new Set();
+    this.stats = { hits: 0, stale: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Check if responses of an endpoint are cached
+   *
+   * @param {string} endpoint - API endpoint path
+   * @returns {boolean} True if the endpoint has a TTL
+   */
+  isCacheable(endpoint) {
+    return this.ttl[endpoint] > 0;
+  }
+
+  /**
+   * Get a response from the cache, or load and store it
+   *
+   * Within the TTL the cached response is returned. After it, and within
+   * the stale-while-revalidate window, the stale response is returned and
+   * `load` is called in the background. Otherwise `load` is awaited.
+   *
+   * @param {string} scope - Key scope (e.g. account)
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {Function} load - (signal) => Promise<Object>, fetches a fresh response
+   * @param {AbortSignal} [signal] - Signal for a load the caller waits for; background
+   *   refreshes run without it
+   * @returns {Promise<Object>} Response
+   */
+  async fetch(scope, endpoint, params, load, signal) {
+    const key = this._key(scope, endpoint, params);
+    const entry = await this._read(key);
+    const now = this.clock.now();
+
+    if (entry && now < entry.expiresAt) {
+      this.stats.hits++;
+      return entry.response;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.stats.stale++;
+      this._revalidate(scope, endpoint, key, () => load());
+      return entry.response;
+    }
+
+    this.stats.misses++;
+    return this._load(scope, endpoint, key, () => load(signal));
+  }
+
+  /**
+   * Invalidate cached responses
+   *
+   * @param {string} scope - Key scope
+   * @param {Array<string>} [endpoints] - Endpoints to invalidate, defaults to all
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate(scope, endpoints) {
+    const prefixes = (endpoints || Object.keys(this.ttl)).map(endpoint => {
+      this._bumpGeneration(scope, endpoint);
+      return `${scope}|${endpoint}|`;
+    });
+
+    try {
+      const keys = await this.store.keys();
+      const stale = keys.filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+      for (const key of stale) {
+        await this.store.delete(key);
+      }
+      return stale.length;
+    } catch (error) {
+      this.stats.errors++;
+      return 0;
+    }
+  }
+
+  /**
+   * Invalidate the endpoints affected by a call
+   *
+   * @param {string} scope - Key scope
+   * @param {string} endpoint - Endpoint that was called
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidateAfter(scope, endpoint) {
+    const affected = this.invalidates[endpoint];
+    return affected && affected.length > 0 ? this.invalidate(scope, affected) : 0;
+  }
+
+  /**
+   * Build the key of a request
+   *
+   * @private
+   */
+  _key(scope, endpoint, params) {
+    return `${scope}|${endpoint}|${stableStringify(params || {})}`;
+  }
+
+  /**
+   * Read an entry, treating store failures as a miss
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async _read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  /**
+   * Load a response and store it
+   *
+   * The response is not stored if the endpoint was invalidated while it
+   * was loading, since it may predate the change.
+   *
+   * @private
+   * @returns {Promise<Object>} Loaded response
+   */
+  async _load(scope, endpoint, key, load) {
+    const generation = this._generation(scope, endpoint);
+    const response = await load();
+
+    if (this._generation(scope, endpoint) === generation) {
+      const storedAt = this.clock.now();
+      const expiresAt = storedAt + this.ttl[endpoint];
+      const entry = {
+        response,
+        storedAt,
+        expiresAt,
+        staleUntil: expiresAt + this._staleWindow(endpoint)
+      };
+
+      try {
+        await this.store.set(key, entry);
+      } catch (error) {
+        this.stats.errors++;
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Refresh an entry in the background
+   *
+   * Failures are ignored: the stale entry stays until its window ends, and
+   * the client reports the failed request through its events.
+   *
+   * @private
+   */
+  _revalidate(scope, endpoint, key, load) {
+    if (this.revalidating.has(key)) {
+      return;
+    }
+
+    this.revalidating.add(key);
+    this._load(scope, endpoint, key, load)
+      .catch(() => {})
+      .finally(() => this.revalidating.delete(key));
+  }
+
+  /**
+   * Get the stale-while-revalidate window of an endpoint
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @returns {number} Window in milliseconds
+   */
+  _staleWindow(endpoint) {
+    if (typeof this.staleWhileRevalidate === 'number') {
+      return this.staleWhileRevalidate;
+    }
+    return this.staleWhileRevalidate[endpoint] || 0;
+  }
+
+  /**
+   * @private
+   */
+  _generation(scope, endpoint) {
+    return this.generations.get(`${scope}|${endpoint}`) || 0;
+  }
+
+  /**
+   * @private
+   */
+  _bumpGeneration(scope, endpoint) {
+    this.generations.set(`${scope}|${endpoint}`, this._generation(scope, endpoint) + 1);
+  }
+}
+
+/**
+ * Resolve the store for cache options
+ *
+ * @param {Object} [options={}] - Cache options
+ * @returns {Object} Cache store
+ * @throws {Error} If a custom store does not implement get/set/delete/keys
+ */
+function resolveCacheStore(options = {}) {
+  if (options.store) {
+    const store = options.store;
+    const missing = ['get', 'set', 'delete', 'keys'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Invalid cache store: missing ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  if (options.file) {
+    return new FileCacheStore(options.file);
+  }
+
+  return new MemoryCacheStore({ maxEntries: options.maxEntries });
+}
+
+/**
+ * Resolve the response cache from client config
+ *
+ * Caching is opt-in: without `config.cache` no responses are cached.
+ *
+ * @param {Object} config - Client configuration
+ * @returns {ResponseCache|null} Cache, or null when disabled
+ */
+function resolveCache(config = {}) {
+  if (config.cache instanceof ResponseCache) {
+    return config.cache;
+  }
+
+  if (!config.cache) {
+    return null;
+  }
+
+  return new ResponseCache({ clock: config.clock, ...(config.cache === true ? {} : config.cache) });
+}
+
+module.exports = {
+  ResponseCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  resolveCache,
+  DEFAULT_TTL,
+  DEFAULT_INVALIDATIONS
+};
@@ -0,0 +1,399 @@
+/**
+ * CoinPlex Chaos Module
+ *
+ * Transport wrapper that injects faults into API traffic according to a
+ * seeded plan: latency, timeouts, connection resets, HTTP error statuses,
+ * truncated JSON and corrupted ciphertext. The same seed and plan give
+ * the same faults on the same requests, so retry, re-authentication and
+ * automation error handling can be tested deterministically.
+ */
+
+const { NetworkError, TimeoutError } = require('./errors');
+const { createAbortError } = require('./abort');
+const { resolveTransport } = require('./transport');
+const { resolveClock } = require('./clock');
+const { ERROR_MESSAGES } = require('../utils/constants');
+
+/**
+ * Fault types a plan may use
+ */
+const FAULT_TYPES = ['latency', 'timeout', 'reset', 'status', 'truncate', 'corrupt'];
+
+/**
+ * Base64 alphabet, used to corrupt ciphertext without breaking its encoding
+ *
+ * @private
+ */
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ *
+ * @private
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate a fault and fill in its defaults
+ *
+ * @private
+ * @param {Object} fault - Fault from the plan
+ * @returns {Object} Fault with probability, after and times set
+ * @throws {Error} If the fault type is unknown
+ */
+function normalizeFault(fault) {
+  if (!FAULT_TYPES.includes(fault.type)) {
+    throw new Error(`Invalid chaos fault type: ${fault.type} (expected ${FAULT_TYPES.join(', ')})`);
+  }
+
+  return {
+    probability: 1,
+    after: 0,
+    times: Infinity,
+    ...fault
+  };
+}
+
+/**
+ * Transport wrapper injecting faults from a seeded plan
+ */
+class ChaosTransport {
+  /**
+   * Faults are checked in plan order for every request they match. Latency
+   * faults add up; the first other fault that fires is injected and the
+   * rest are skipped.
+   *
+   * @param {Object} transport - Transport to wrap
+   * @param {Object} [options={}] - Chaos options
+   * @param {number} [options.seed=1] - Seed for every random decision
+   * @param {Array<Object>} [options.faults=[]] - Fault plan. Every fault has a `type` and may set:
+   *   - `probability` (0-1, default 1) - Chance of firing on a matching request
+   *   - `endpoints` - Endpoint paths it applies to, all by default
+   *   - `after` (default 0) - Matching requests to let through before it may fire
+   *   - `times` - Maximum number of injections
+   *
+   *   Type-specific options:
+   *   - `latency`: `delay` in ms, or `min`/`max` for a random delay
+   *   - `timeout`: fails with TimeoutError after the request timeout (or `delay` ms)
+   *   - `reset`: fails with a NetworkError caused by ECONNRESET
+   *   - `status`: answers HTTP `status` (default 500), with `retryAfter` seconds for 429
+   *   - `truncate`: cuts the real response body short, leaving invalid JSON
+   *   - `corrupt`: garbles the response's encrypted data, or replaces plain data with
+   *     random ciphertext
+   *
+   *   `timeout` and `reset` drop the request before it reaches the wrapped transport,
+   *   unless `delivered: true` simulates losing the response of a request the server
+   *   processed.
+   * @param {Object} [options.clock] - Clock that injected delays wait on, defaults to the system clock
+   * @throws {Error} If a fault type is unknown
+   * @example
+   * const chaos = new ChaosTransport(transport, {
+   *   seed: 7,
+   *   faults: [
+   *     { type: 'latency', min: 50, max: 300 },
+   *     { type: 'status', status: 429, retryAfter: 1, probability: 0.1 },
+   *     { type: 'reset', endpoints: ['/api/quantify/execute'], times: 1 }
+   *   ]
+   * });
+   */
+  constructor(transport, options = {}) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Invalid transport: must implement send(request)');
+    }
+
+    this.transport = transport;
+    this.seed = options.seed === undefined ? 1 : options.seed;
+    this.faults = (options.faults || []).map(normalizeFault);
+    this.clock = resolveClock(options);
+    this.reset();
+  }
+
+  /**
+   * Send a request, injecting any faults the plan picks for it
+   *
+   * @param {Object} request - Prepared request (see HttpsTransport#send)
+   * @returns {Promise<Object>} Raw response, possibly altered
+   * @throws {TimeoutError} For timeout faults, or latency beyond the request timeout
+   * @throws {NetworkError} For reset faults
+   * @throws {AbortError} If the signal aborts the request
+   */
+  async send(request) {
+    const endpoint = request.endpoint || request.path;
+
+    if (request.signal && request.signal.aborted) {
+      throw createAbortError(request.signal, endpoint);
+    }
+
+    this.stats.requests++;
+    const { latency, fault } = this._plan(endpoint);
+
+    if (latency > 0) {
+      if (request.timeout && latency >= request.timeout) {
+        await this.clock.sleep(request.timeout, request.signal);
+        throw this._timeoutError(request, endpoint);
+      }
+      await this.clock.sleep(latency, request.signal);
+    }
+
+    if (!fault) {
+      return this.transport.send(request);
+    }
+
+    switch (fault.type) {
+      case 'timeout':
+        return this._timeout(fault, request, endpoint);
+      case 'reset':
+        return this._reset(fault, request, endpoint);
+      case 'status':
+        return this._status(fault);
+      case 'truncate':
+        return this._truncate(await this.transport.send(request));
+      default:
+        return this._corrupt(await this.transport.send(request));
+    }
+  }
+
+  /**
+   * Start the plan over: reseed the generator and clear counters and the log
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.counters = this.faults.map(() => ({ matched: 0, injected: 0 }));
+    this.injected = [];
+    this.stats = { requests: 0, injected: 0 };
+  }
+
+  /**
+   * Get statistics, merged with the wrapped transport's
+   *
+   * @returns {Object} Wrapped transport statistics plus `chaos` { requests, injected, byType }
+   */
+  getStats() {
+    const byType = {};
+    for (const entry of this.injected) {
+      byType[entry.type] = (byType[entry.type] || 0) + 1;
+    }
+
+    const inner = typeof this.transport.getStats === 'function' ? this.transport.getStats() : {};
+    return { ...inner, chaos: { ...this.stats, byType } };
+  }
+
+  /**
+   * Reset statistics of this and the wrapped transport
+   */
+  resetStats() {
+    this.stats = { requests: 0, injected: 0 };
+    this.injected = [];
+    if (typeof this.transport.resetStats === 'function') {
+      this.transport.resetStats();
+    }
+  }
+
+  /**
+   * Destroy the wrapped transport
+   */
+  destroy() {
+    if (typeof this.transport.destroy === 'function') {
+      this.transport.destroy();
+    }
+  }
+
+  /**
+   * Pick the faults for one request
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object} { latency, fault }, fault being null if none fires
+   */
+  _plan(endpoint) {
+    let latency = 0;
+
+    for (let i = 0; i < this.faults.length; i++) {
+      const fault = this.faults[i];
+      const counter = this.counters[i];
+
+      if (fault.endpoints && !fault.endpoints.includes(endpoint)) continue;
+
+      counter.matched++;
+      if (counter.matched <= fault.after || counter.injected >= fault.times) continue;
+      if (this.random() >= fault.probability) continue;
+
+      counter.injected++;
+      this.stats.injected++;
+      this.injected.push({ request: this.stats.requests, endpoint, type: fault.type });
+
+      if (fault.type === 'latency') {
+        latency += fault.delay !== undefined
+          ? fault.delay
+          : Math.round((fault.min || 0) + this.random() * ((fault.max || 0) - (fault.min || 0)));
+        continue;
+      }
+
+      return { latency, fault };
+    }
+
+    return { latency, fault: null };
+  }
+
+  /**
+   * Create the error of a request that ran out of time
+   *
+   * @private
+   * @param {Object} request - Prepared request
+   * @param {string} endpoint - API endpoint path
+   * @returns {TimeoutError} Timeout error
+   */
+  _timeoutError(request, endpoint) {
+    return new TimeoutError(`${ERROR_MESSAGES.TIMEOUT}: no response after ${request.timeout}ms`, { endpoint });
+  }
+
+  /**
+   * Inject a timeout
+   *
+   * @private
+   * @param {Object} fault - Timeout fault
+   * @param {Object} request - Prepared request
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<never>}
+   * @throws {TimeoutError} Always
+   */
+  async _timeout(fault, request, endpoint) {
+    if (fault.delivered) {
+      await this.transport.send(request).catch(() => {});
+    }
+
+    const wait = fault.delay !== undefined ? fault.delay : request.timeout || 0;
+    if (wait > 0) {
+      await this.clock.sleep(wait, request.signal);
+    }
+    throw this._timeoutError(request, endpoint);
+  }
+
+  /**
+   * Inject a connection reset
+   *
+   * @private
+   * @param {Object} fault - Reset fault
+   * @param {Object} request - Prepared request
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<never>}
+   * @throws {NetworkError} Always
+   */
+  async _reset(fault, request, endpoint) {
+    if (fault.delivered) {
+      await this.transport.send(request).catch(() => {});
+    }
+
+    const cause = new Error('socket hang up');
+    cause.code = 'ECONNRESET';
+    throw new NetworkError(`${ERROR_MESSAGES.NETWORK_ERROR}: ${cause.message}`, { endpoint, cause });
+  }
+
+  /**
+   * Answer with an HTTP error status
+   *
+   * @private
+   * @param {Object} fault - Status fault
+   * @returns {Object} Raw response
+   */
+  _status(fault) {
+    const status = fault.status || 500;
+    const headers = { 'content-type': 'application/json' };
+    if (fault.retryAfter !== undefined) {
+      headers['retry-after'] = String(fault.retryAfter);
+    }
+
+    return {
+      statusCode: status,
+      headers,
+      body: fault.body !== undefined ? fault.body : JSON.stringify({ code: status, msg: `Injected HTTP ${status}` })
+    };
+  }
+
+  /**
+   * Cut a response body short
+   *
+   * @private
+   * @param {Object} response - Raw response
+   * @returns {Object} Response with a truncated body
+   */
+  _truncate(response) {
+    const body = String(response.body || '');
+    const length = Math.min(body.length - 1, Math.floor(body.length * (0.1 + this.random() * 0.8)));
+    return { ...response, body: body.slice(0, Math.max(length, 0)) };
+  }
+
+  /**
+   * Garble a response's encrypted data
+   *
+   * Characters in the first RSA block are swapped for other base64
+   * characters, so the ciphertext still decodes but no longer decrypts.
+   *
+   * @private
+   * @param {Object} response - Raw response
+   * @returns {Object} Response with corrupted data, or unchanged if the body is not JSON
+   */
+  _corrupt(response) {
+    let envelope;
+    try {
+      envelope = JSON.parse(response.body);
+    } catch (error) {
+      return response;
+    }
+
+    if (!envelope || typeof envelope !== 'object') {
+      return response;
+    }
+
+    let chars;
+    if (typeof envelope.data === 'string' && envelope.data.length > 0) {
+      chars = envelope.data.split('');
+    } else {
+      chars = Array.from({ length: 172 }, () => BASE64_CHARS[Math.floor(this.random() * 64)]);
+      chars.splice(170, 2, '=', '=');
+    }
+
+    const block = Math.min(chars.length, 170);
+    for (let i = 0; i < 16; i++) {
+      const position = Math.floor(this.random() * block);
+      if (chars[position] === '=') continue;
+      const shift = 1 + Math.floor(this.random() * 63);
+      chars[position] = BASE64_CHARS[(BASE64_CHARS.indexOf(chars[position]) + shift) % 64];
+    }
+
+    return { ...response, body: JSON.stringify({ ...envelope, data: chars.join('') }) };
+  }
+}
+
+/**
+ * Wrap the client's transport in a ChaosTransport when configured
+ *
+ * @param {Object} config - Client configuration
+ * @param {Object} [config.chaos] - Chaos options ({ seed, faults }), run on `config.clock`
+ * @param {Object} [transport] - Transport to wrap, defaults to the configured one
+ * @returns {Object} ChaosTransport, or the transport itself when chaos is not configured
+ */
+function resolveChaosTransport(config = {}, transport = resolveTransport(config)) {
+  if (!config.chaos) {
+    return transport;
+  }
+
+  return new ChaosTransport(transport, { clock: config.clock, ...config.chaos });
+}
+
+module.exports = {
+  ChaosTransport,
+  resolveChaosTransport,
+  FAULT_TYPES
+};
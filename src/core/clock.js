@@ -0,0 +1,244 @@
+/**
+ * CoinPlex Clock Module
+ *
+ * Source of time for schedulers, request timestamps and execution IDs.
+ * The client uses the system clock unless `config.clock` supplies another
+ * object with `now()`, `sleep(ms, signal)` and `setTimer(callback, ms)`.
+ * VirtualClock only moves when advanced, so multi-hour schedules can be
+ * tested in milliseconds.
+ */
+
+const { createAbortError, delay, onAbort, throwIfAborted } = require('./abort');
+
+/**
+ * Clock backed by the system time and Node timers
+ */
+class SystemClock {
+  /**
+   * Get the current time
+   *
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Wait for a duration unless the signal aborts first
+   *
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<void>}
+   * @throws {AbortError} If the signal aborts
+   */
+  sleep(ms, signal) {
+    return delay(ms, signal);
+  }
+
+  /**
+   * Call a function after a duration
+   *
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Function} Cancels the timer
+   */
+  setTimer(callback, ms) {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+}
+
+/**
+ * Let pending promise callbacks run
+ *
+ * @private
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Manually advanced clock for tests
+ *
+ * Timers fire in time order as the clock is advanced. After each one,
+ * in-process work it started (such as a request through a fake transport
+ * and the wait for the next iteration) gets to run before the next timer.
+ */
+class VirtualClock {
+  /**
+   * @param {number|Date} [start=Date.now()] - Initial time
+   * @example
+   * const clock = new VirtualClock(new Date('2025-07-23T08:00:00Z'));
+   * const client = createFakeClient({ config: { clock } });
+   * await client.authenticate();
+   * await client.quantify.scheduleExecutions({ iterations: 10, intervalMinutes: 5 });
+   * await clock.advance(45 * 60 * 1000); // all 10 executions, instantly
+   */
+  constructor(start = Date.now()) {
+    this.time = start instanceof Date ? start.getTime() : start;
+    this.timers = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Get the virtual time
+   *
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Wait until the clock has been advanced by a duration
+   *
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<void>}
+   * @throws {AbortError} If the signal aborts
+   */
+  sleep(ms, signal) {
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const cancel = this.setTimer(() => {
+        unsubscribe();
+        resolve();
+      }, ms);
+
+      const unsubscribe = onAbort(signal, () => {
+        cancel();
+        reject(createAbortError(signal));
+      });
+    });
+  }
+
+  /**
+   * Call a function once the clock has been advanced by a duration
+   *
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Function} Cancels the timer
+   */
+  setTimer(callback, ms) {
+    const timer = { at: this.time + Math.max(0, ms || 0), sequence: this.sequence++, callback };
+    this.timers.push(timer);
+    this.timers.sort((a, b) => a.at - b.at || a.sequence - b.sequence);
+
+    return () => {
+      const index = this.timers.indexOf(timer);
+      if (index !== -1) {
+        this.timers.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Get the number of timers waiting to fire
+   *
+   * @returns {number} Pending timers
+   */
+  getPendingTimers() {
+    return this.timers.length;
+  }
+
+  /**
+   * Move time forward, firing every timer due on the way
+   *
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<void>} Resolves once the due timers and the work they started have run
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    await settle();
+
+    while (this.timers.length > 0 && this.timers[0].at <= target) {
+      await this._fire(this.timers.shift());
+    }
+
+    this.time = target;
+    await settle();
+  }
+
+  /**
+   * Jump to the next timer and fire it
+   *
+   * @returns {Promise<boolean>} False if no timer was pending
+   */
+  async next() {
+    await settle();
+
+    if (this.timers.length === 0) {
+      return false;
+    }
+
+    await this._fire(this.timers.shift());
+    return true;
+  }
+
+  /**
+   * Fire timers until none are left
+   *
+   * @param {number} [limit=1000] - Maximum timers to fire, guarding against timers that reschedule forever
+   * @returns {Promise<number>} Timers fired
+   * @throws {Error} If the limit is reached
+   */
+  async runAll(limit = 1000) {
+    let fired = 0;
+
+    while (await this.next()) {
+      if (++fired >= limit && this.timers.length > 0) {
+        throw new Error(`VirtualClock.runAll fired ${limit} timers without running out; use advance() for recurring timers`);
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Fire one timer at its scheduled time
+   *
+   * @private
+   * @param {Object} timer - Timer to fire
+   * @returns {Promise<void>}
+   */
+  async _fire(timer) {
+    this.time = Math.max(this.time, timer.at);
+    timer.callback();
+    await settle();
+  }
+}
+
+/**
+ * Shared system clock
+ *
+ * @private
+ */
+const systemClock = new SystemClock();
+
+/**
+ * Resolve the clock from client configuration
+ *
+ * @param {Object} config - Client configuration
+ * @param {Object} [config.clock] - Clock implementing now(), sleep() and setTimer()
+ * @returns {Object} Configured clock, or the system clock
+ * @throws {Error} If a custom clock does not implement the clock methods
+ */
+function resolveClock(config = {}) {
+  if (!config.clock) {
+    return systemClock;
+  }
+
+  if (['now', 'sleep', 'setTimer'].some(method => typeof config.clock[method] !== 'function')) {
+    throw new Error('Invalid clock: must implement now(), sleep(ms, signal) and setTimer(callback, ms)');
+  }
+
+  return config.clock;
+}
+
+module.exports = {
+  SystemClock,
+  VirtualClock,
+  resolveClock
+};
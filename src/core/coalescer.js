@@ -0,0 +1,175 @@
+/**
+ * CoinPlex Request Coalescer Module
+ *
+ * Lets identical concurrent requests (same endpoint, parameters and request
+ * options) share one network call. The first caller starts the request; callers arriving
+ * while it is in flight wait for the same result.
+ */
+
+const { ENDPOINTS } = require('../utils/constants');
+const { abortable } = require('./abort');
+
+/**
+ * Endpoints never coalesced: executing quantify twice must send twice
+ */
+const DEFAULT_EXCLUDE = [ENDPOINTS.QUANTIFY_EXECUTE];
+
+/**
+ * Request options that only concern the caller, not the request sent,
+ * so callers differing in them can still share a request
+ */
+const CALLER_OPTIONS = ['signal', 'coalesce', 'cache', 'concurrency'];
+
+/**
+ * Serialize parameters independently of key order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Copy a response for a caller that joined a shared request
+ *
+ * Each caller gets its own object, so one caller modifying its result does
+ * not change what the others see. Responses are parsed JSON, so a JSON
+ * round trip is a faithful copy.
+ *
+ * @private
+ * @param {Object} response - Shared response
+ * @returns {Object} Copy of the response
+ */
+function cloneResponse(response) {
+  return response === undefined ? response : JSON.parse(JSON.stringify(response));
+}
+
+/**
+ * Shares in-flight requests between identical concurrent calls
+ */
+class RequestCoalescer {
+  /**
+   * @param {Object} [options={}] - Coalescer options
+   * @param {Array<string>} [options.exclude] - Endpoints that are always sent separately
+   *   (defaults to quantify execution)
+   */
+  constructor(options = {}) {
+    this.exclude = new Set(options.exclude || DEFAULT_EXCLUDE);
+    this.pending = new Map();
+    this.stats = { started: 0, shared: 0 };
+  }
+
+  /**
+   * Check if requests to an endpoint may be shared
+   *
+   * @param {string} endpoint - API endpoint path
+   * @returns {boolean} True unless the endpoint is excluded
+   */
+  canCoalesce(endpoint) {
+    return !this.exclude.has(endpoint);
+  }
+
+  /**
+   * Build the key identifying identical requests
+   *
+   * Options such as `timeout`, `headers` and `retry` change how the request
+   * is sent, so they are part of the key: a caller only joins a request
+   * sent the way it asked for.
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params={}] - Request parameters
+   * @param {Object} [options={}] - Request options
+   * @returns {string} Request key
+   */
+  getKey(endpoint, params = {}, options = {}) {
+    const sendOptions = { ...options };
+    CALLER_OPTIONS.forEach(name => delete sendOptions[name]);
+    return `${endpoint} ${stableStringify(params)} ${stableStringify(sendOptions)}`;
+  }
+
+  /**
+   * Run a request, or join an identical one already in flight
+   *
+   * The shared request is sent with its own signal, which is aborted only
+   * when every caller waiting for it has aborted. A caller that aborts
+   * earlier just stops waiting.
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @param {Function} send - (signal) => Promise, sends the request
+   * @param {Object} [options={}] - Request options, see getKey
+   * @returns {Promise<Object>} API response
+   */
+  async run(endpoint, params, signal, send, options = {}) {
+    const key = this.getKey(endpoint, params, options);
+    let entry = this.pending.get(key);
+    const joined = !!entry;
+
+    if (entry) {
+      this.stats.shared++;
+    } else {
+      this.stats.started++;
+      const controller = new AbortController();
+      entry = { controller, waiting: 0 };
+      entry.promise = send(controller.signal).finally(() => {
+        if (this.pending.get(key) === entry) {
+          this.pending.delete(key);
+        }
+      });
+      // A rejection nobody waits for anymore must not surface as unhandled
+      entry.promise.catch(() => {});
+      this.pending.set(key, entry);
+    }
+
+    entry.waiting++;
+
+    try {
+      const response = await abortable(entry.promise, signal, endpoint);
+      return joined ? cloneResponse(response) : response;
+    } catch (error) {
+      if (signal && signal.aborted && entry.waiting === 1) {
+        // Last caller gave up: cancel the request and let new callers start over
+        entry.controller.abort(signal.reason);
+        this.pending.delete(key);
+      }
+      throw error;
+    } finally {
+      entry.waiting--;
+    }
+  }
+}
+
+/**
+ * Resolve the request coalescer from client config
+ *
+ * @param {Object} config - Client configuration
+ * @returns {RequestCoalescer|null} Coalescer, or null when disabled
+ */
+function resolveCoalescer(config = {}) {
+  if (config.coalesce === false) {
+    return null;
+  }
+
+  return new RequestCoalescer(typeof config.coalesce === 'object' ? config.coalesce : {});
+}
+
+module.exports = {
+  RequestCoalescer,
+  resolveCoalescer,
+  stableStringify,
+  DEFAULT_EXCLUDE
+};
@@ -5,6 +5,7 @@
  * frontend logic extracted from the CoinPlex web application.
  */
 
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 
 // JSEncrypt needs a DOM environment in Node.js
@@ -112,6 +113,36 @@ function decryptRSAResponse(encryptedData, maxDecryptBlock = DECRYPTION_CONFIG.m
   }
 }
 
+/**
+ * Encrypt data the way the API encrypts its responses
+ * 
+ * The JSON is URL-encoded (spaces as `+`), split into blocks that fit the
+ * key with PKCS#1 v1.5 padding, and each block is encrypted with the public
+ * half of the private key; the result is accepted by decryptRSAResponse.
+ * Used to build realistic responses for mock servers and tests.
+ * 
+ * @param {*} data - Data to encrypt, serialized as JSON
+ * @param {number} maxDecryptBlock - Ciphertext block size of the key
+ * @returns {string} Base64 encoded encrypted data
+ */
+function encryptRSAResponse(data, maxDecryptBlock = DECRYPTION_CONFIG.maxDecryptBlock) {
+  const publicKey = crypto.createPublicKey(DECRYPTION_CONFIG.privateKey);
+  const encoded = Buffer.from(encodeURIComponent(JSON.stringify(data)).replace(/%20/g, '+'), 'utf8');
+  
+  // PKCS#1 v1.5 padding takes 11 bytes of every block
+  const chunkSize = maxDecryptBlock - 11;
+  const chunks = [];
+  
+  for (let i = 0; i < encoded.length; i += chunkSize) {
+    chunks.push(crypto.publicEncrypt({
+      key: publicKey,
+      padding: crypto.constants.RSA_PKCS1_PADDING
+    }, encoded.subarray(i, i + chunkSize)));
+  }
+  
+  return Buffer.concat(chunks).toString('base64');
+}
+
 /**
  * Decrypt AES-encrypted string data
  * 
@@ -206,6 +237,7 @@ function processApiResponse(response) {
 
 module.exports = {
   decryptRSAResponse,
+  encryptRSAResponse,
   decryptAESString,
   encryptAESString,
   processApiResponse,
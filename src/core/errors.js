@@ -0,0 +1,258 @@
+/**
+ * CoinPlex SDK Error Module
+ *
+ * Typed errors thrown by the SDK, and the logic that turns HTTP status
+ * codes and the API's business `code`/`msg` envelope into them.
+ */
+
+const { STATUS_CODES, ERROR_MESSAGES } = require('../utils/constants');
+
+/**
+ * Base class for all errors thrown by the SDK
+ */
+class CoinPlexError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {string} [details.endpoint] - API endpoint that failed
+   * @param {number} [details.statusCode] - HTTP status code
+   * @param {number} [details.code] - Business code from the response envelope
+   * @param {string} [details.serverMessage] - Message from the response envelope
+   * @param {Object} [details.response] - Decoded response, if any
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.endpoint = details.endpoint || null;
+    this.statusCode = details.statusCode ?? null;
+    this.code = details.code ?? null;
+    this.serverMessage = details.serverMessage || null;
+
+    // Keep the response off enumerable output so logged errors stay readable
+    Object.defineProperty(this, 'response', { value: details.response || null, enumerable: false });
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Serialize error for logging
+   *
+   * @returns {Object} Plain error representation
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      endpoint: this.endpoint,
+      statusCode: this.statusCode,
+      code: this.code,
+      serverMessage: this.serverMessage
+    };
+  }
+}
+
+/**
+ * Login failed, or the token was rejected by the API
+ */
+class AuthenticationError extends CoinPlexError {}
+
+/**
+ * The API (or a client-side limit) refused the request due to rate limiting
+ */
+class RateLimitError extends CoinPlexError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {number} [details.retryAfter] - Suggested wait in milliseconds
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * The response carried encrypted data that could not be decrypted
+ */
+class DecryptionError extends CoinPlexError {}
+
+/**
+ * The API answered with an error status or business code, or an unreadable body
+ */
+class ApiError extends CoinPlexError {}
+
+/**
+ * The request could not be sent or the connection failed
+ */
+class NetworkError extends CoinPlexError {}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+class TimeoutError extends CoinPlexError {}
+
+/**
+ * The operation was cancelled through an AbortSignal
+ */
+class AbortError extends CoinPlexError {}
+
+/**
+ * Replay mode has no recorded response for the request
+ */
+class FixtureNotFoundError extends CoinPlexError {}
+
+/**
+ * Business codes treated as success. Some endpoints answer with an
+ * HTTP-style 200 instead of STATUS_CODES.SUCCESS.
+ */
+const SUCCESS_CODES = [STATUS_CODES.SUCCESS, 200];
+
+/**
+ * Business and HTTP codes that indicate a rejected or expired token
+ */
+const AUTH_FAILURE_CODES = [
+  STATUS_CODES.UNAUTHORIZED,
+  STATUS_CODES.FORBIDDEN,
+  STATUS_CODES.TOKEN_INVALID
+];
+
+/**
+ * Check whether a decoded response represents a failure and build the error
+ *
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} response - Decoded response from the request pipeline
+ * @param {number} [now=Date.now()] - Current time, for Retry-After dates
+ * @returns {CoinPlexError|null} Error to throw, or null if the response is successful
+ */
+function interpretResponse(endpoint, response, now = Date.now()) {
+  const statusCode = response.statusCode;
+  const envelope = response._originalData && typeof response._originalData === 'object'
+    ? response._originalData
+    : {};
+  const code = envelope.code;
+  const serverMessage = envelope.msg || envelope.message || null;
+  const details = { endpoint, statusCode, code, serverMessage, response };
+
+  const httpFailed = typeof statusCode === 'number' && (statusCode < 200 || statusCode >= 300);
+  const businessFailed = code !== undefined && code !== null && !SUCCESS_CODES.includes(code);
+
+  if (httpFailed || businessFailed) {
+    const failureCode = httpFailed ? statusCode : code;
+
+    if (AUTH_FAILURE_CODES.includes(failureCode)) {
+      return new AuthenticationError(serverMessage || ERROR_MESSAGES.AUTHENTICATION_FAILED, details);
+    }
+
+    if (failureCode === STATUS_CODES.RATE_LIMITED) {
+      return new RateLimitError(serverMessage || ERROR_MESSAGES.RATE_LIMITED, {
+        ...details,
+        retryAfter: parseRetryAfter(response.headers, now)
+      });
+    }
+
+    return new ApiError(serverMessage || ERROR_MESSAGES.API_ERROR, details);
+  }
+
+  if (response.error) {
+    return new ApiError(ERROR_MESSAGES.INVALID_RESPONSE, {
+      ...details,
+      cause: new Error(response.error)
+    });
+  }
+
+  if (isUndecryptedPayload(response)) {
+    return new DecryptionError(ERROR_MESSAGES.DECRYPTION_FAILED, details);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ *
+ * @param {Object} [headers={}] - Response headers
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(headers = {}, now = Date.now()) {
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Check if a response still carries ciphertext that decryption could not read
+ *
+ * @private
+ * @param {Object} response - Decoded response
+ * @returns {boolean} True if the data field looks like undecrypted ciphertext
+ */
+function isUndecryptedPayload(response) {
+  if (response._decryptionMethod || typeof response.data !== 'string') {
+    return false;
+  }
+
+  const data = response.data.trim();
+  return data.length >= 16 && /^[A-Za-z0-9+/]+={0,2}$/.test(data);
+}
+
+/**
+ * Wrap a low-level failure from a transport into a NetworkError
+ *
+ * @param {Error} error - Error thrown by the transport
+ * @param {string} endpoint - API endpoint path
+ * @returns {CoinPlexError} Typed error
+ */
+function toNetworkError(error, endpoint) {
+  if (error instanceof CoinPlexError) {
+    if (!error.endpoint) {
+      error.endpoint = endpoint;
+    }
+    return error;
+  }
+
+  return new NetworkError(`${ERROR_MESSAGES.NETWORK_ERROR}: ${error.message}`, {
+    endpoint,
+    cause: error
+  });
+}
+
+/**
+ * Check whether an error is worth retrying
+ *
+ * @param {Error} error - Error to classify
+ * @returns {boolean} True for transient failures
+ */
+function isRetryableError(error) {
+  if (error instanceof NetworkError || error instanceof TimeoutError || error instanceof RateLimitError) {
+    return true;
+  }
+
+  return error instanceof ApiError && error.statusCode >= 500;
+}
+
+module.exports = {
+  CoinPlexError,
+  AuthenticationError,
+  RateLimitError,
+  DecryptionError,
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  FixtureNotFoundError,
+  interpretResponse,
+  parseRetryAfter,
+  toNetworkError,
+  isRetryableError
+};
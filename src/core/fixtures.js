@@ -0,0 +1,456 @@
+/**
+ * CoinPlex Fixture Recording Module
+ *
+ * Transports that record API traffic to a fixture directory and replay it
+ * later, so test suites and examples can run offline and deterministically.
+ * Requests are stored with credentials and tokens redacted; responses are
+ * stored as received (still encrypted), so replay exercises the same
+ * decryption path as the live API. Only the token issued by login is
+ * replaced, as anyone can decrypt it with the key bundled in the SDK.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FixtureNotFoundError } = require('./errors');
+const { createAbortError } = require('./abort');
+const { stableStringify } = require('./coalescer');
+const { resolveTransport } = require('./transport');
+const { decryptRSAResponse, encryptRSAResponse } = require('./decryption');
+const { resolveClock } = require('./clock');
+const { ENDPOINTS } = require('../utils/constants');
+
+/**
+ * Default fixture directory, relative to the working directory
+ */
+const DEFAULT_FIXTURE_DIR = path.join('tests', 'fixtures');
+
+/**
+ * Placeholder written in place of redacted values
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Request parameters that change on every call and are left out of fixtures
+ */
+const VOLATILE_PARAMS = ['timestamp', 'sign', 'nonce', 'executionId'];
+
+/**
+ * Placeholder for a `yearMonth` equal to the current month
+ *
+ * `wallet.getRecords` defaults to the current month, so a recording made
+ * with the default keeps matching the default after the month changes.
+ * Other months stay in the key, so each month replays its own records.
+ */
+const CURRENT_MONTH = '[CURRENT_MONTH]';
+
+/**
+ * Request parameters replaced by a placeholder (API key and login credentials)
+ */
+const REDACTED_PARAMS = ['apiKey', 'prefix', 'account', 'code', 'password', 'mobile', 'email'];
+
+/**
+ * Request and response headers replaced by a placeholder, lowercase
+ */
+const REDACTED_HEADERS = ['token', 'authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Fields of the login response data replaced by a placeholder
+ */
+const REDACTED_LOGIN_FIELDS = ['token'];
+
+/**
+ * Redact the parameters of a signed request body
+ *
+ * @private
+ * @param {string} [body] - Serialized request body
+ * @param {Object} options - Fixture options
+ * @returns {Object} Parameters without volatile fields and with secrets redacted
+ */
+function redactParams(body, options) {
+  let params;
+  try {
+    params = body ? JSON.parse(body) : {};
+  } catch (error) {
+    params = { body };
+  }
+
+  const currentMonth = new Date(options.clock.now()).toISOString().slice(0, 7).replace('-', '');
+  const result = {};
+  for (const key of Object.keys(params)) {
+    if (options.ignore.includes(key)) continue;
+    if (key === 'yearMonth' && String(params[key]) === currentMonth) {
+      result[key] = CURRENT_MONTH;
+      continue;
+    }
+    result[key] = options.redact.includes(key) ? REDACTED : params[key];
+  }
+  return result;
+}
+
+/**
+ * Redact sensitive headers
+ *
+ * @private
+ * @param {Object} [headers={}] - Headers
+ * @returns {Object} Headers with tokens and cookies redacted
+ */
+function redactHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+/**
+ * Replace secret fields at any depth of response data
+ *
+ * @private
+ * @param {*} data - Response data
+ * @returns {*} Copy with REDACTED_LOGIN_FIELDS redacted
+ */
+function redactData(data) {
+  if (Array.isArray(data)) {
+    return data.map(redactData);
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = REDACTED_LOGIN_FIELDS.includes(key) && value ? REDACTED : redactData(value);
+  }
+  return result;
+}
+
+/**
+ * Redact the token in a login response body
+ *
+ * Encrypted data is decrypted, redacted and encrypted again, so replay
+ * still goes through decryption.
+ *
+ * @private
+ * @param {string} body - Serialized response body
+ * @returns {string} Body with the token redacted
+ */
+function redactLoginBody(body) {
+  let envelope;
+  try {
+    envelope = JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+  if (!envelope || typeof envelope !== 'object') {
+    return body;
+  }
+
+  if (typeof envelope.data === 'string') {
+    const decrypted = decryptRSAResponse(envelope.data);
+    if (decrypted !== null) {
+      envelope.data = encryptRSAResponse(redactData(decrypted));
+    }
+  } else {
+    envelope.data = redactData(envelope.data);
+  }
+
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Fill in fixture options
+ *
+ * @private
+ * @param {Object} [options={}] - Fixture options
+ * @returns {Object} Options with dir, redact and ignore lists and the clock
+ */
+function normalizeOptions(options = {}) {
+  return {
+    dir: path.resolve(options.dir || DEFAULT_FIXTURE_DIR),
+    redact: [...REDACTED_PARAMS, ...(options.redact || [])],
+    ignore: [...VOLATILE_PARAMS, ...(options.ignore || [])],
+    clock: resolveClock(options)
+  };
+}
+
+/**
+ * Identify a request in the fixture directory
+ *
+ * Requests with the same endpoint and (redacted, non-volatile) parameters
+ * share a fixture file, so replay does not depend on timestamps, nonces or
+ * the credentials used when recording.
+ *
+ * @param {Object} request - Prepared transport request
+ * @param {Object} [options={}] - Fixture options
+ * @param {Array<string>} [options.redact] - Extra parameters to redact
+ * @param {Array<string>} [options.ignore] - Extra parameters to leave out
+ * @param {Object} [options.clock] - Clock giving the current month, defaults to the system clock
+ * @returns {Object} { endpoint, params, file }, file being relative to the fixture directory
+ */
+function getFixtureKey(request, options = {}) {
+  const endpoint = request.endpoint || request.path;
+  const params = redactParams(request.body, normalizeOptions(options));
+  const hash = crypto.createHash('sha256')
+    .update(`${endpoint} ${stableStringify(params)}`)
+    .digest('hex')
+    .slice(0, 12);
+  const name = endpoint.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '_') || 'root';
+
+  return { endpoint, params, file: `${name}-${hash}.json` };
+}
+
+/**
+ * Transport that records every response to the fixture directory
+ *
+ * Wraps another transport. Each fixture file holds the redacted request and
+ * the responses it got, in order; a file is rewritten the first time its
+ * request is sent by this recorder, so re-recording replaces old fixtures.
+ * Requests that fail before any response (network errors) are not recorded.
+ */
+class RecordingTransport {
+  /**
+   * @param {Object} transport - Transport that sends the requests
+   * @param {Object} [options={}] - Fixture options
+   * @param {string} [options.dir='tests/fixtures'] - Fixture directory
+   * @param {Array<string>} [options.redact] - Extra request parameters to redact
+   * @param {Array<string>} [options.ignore] - Extra request parameters to leave out of fixtures
+   * @param {Object} [options.clock] - Clock giving the current month, defaults to the system clock
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.options = normalizeOptions(options);
+    this.fixtures = new Map();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Send a request and record its response
+   *
+   * @param {Object} request - Prepared request
+   * @returns {Promise<Object>} Raw response from the wrapped transport
+   */
+  async send(request) {
+    const response = await this.transport.send(request);
+    const { endpoint, params, file } = getFixtureKey(request, this.options);
+
+    let fixture = this.fixtures.get(file);
+    if (!fixture) {
+      fixture = {
+        endpoint,
+        request: {
+          method: request.method || 'POST',
+          path: request.path,
+          headers: redactHeaders(request.headers),
+          params
+        },
+        responses: []
+      };
+      this.fixtures.set(file, fixture);
+    }
+
+    fixture.responses.push({
+      statusCode: response.statusCode,
+      headers: redactHeaders(response.headers),
+      body: endpoint === ENDPOINTS.LOGIN ? redactLoginBody(response.body) : response.body
+    });
+
+    await this._serialize(() => this._write(file, fixture));
+    return response;
+  }
+
+  /**
+   * Get statistics of the wrapped transport
+   *
+   * @returns {Object|undefined} Wrapped transport statistics, if it reports any
+   */
+  getStats() {
+    return typeof this.transport.getStats === 'function' ? this.transport.getStats() : undefined;
+  }
+
+  /**
+   * Reset statistics of the wrapped transport
+   */
+  resetStats() {
+    if (typeof this.transport.resetStats === 'function') {
+      this.transport.resetStats();
+    }
+  }
+
+  /**
+   * Close the wrapped transport's connections
+   */
+  destroy() {
+    if (typeof this.transport.destroy === 'function') {
+      this.transport.destroy();
+    }
+  }
+
+  /**
+   * Run a write after all earlier ones have finished
+   *
+   * @private
+   * @param {Function} operation - Async operation
+   * @returns {Promise} Result of the operation
+   */
+  _serialize(operation) {
+    const result = this._queue.then(operation);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Write a fixture file atomically
+   *
+   * @private
+   * @param {string} file - File name within the fixture directory
+   * @param {Object} fixture - Fixture contents
+   * @returns {Promise<void>}
+   */
+  async _write(file, fixture) {
+    const filePath = path.join(this.options.dir, file);
+    await fs.promises.mkdir(this.options.dir, { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(fixture, null, 2)}\n`);
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
+
+/**
+ * Transport that answers requests from recorded fixtures
+ *
+ * Identical requests get the recorded responses in the order they were
+ * recorded; once those run out, the last one is repeated. No network
+ * connection is made.
+ */
+class ReplayTransport {
+  /**
+   * @param {Object} [options={}] - Fixture options
+   * @param {string} [options.dir='tests/fixtures'] - Fixture directory
+   * @param {Array<string>} [options.redact] - Extra request parameters redacted when recording
+   * @param {Array<string>} [options.ignore] - Extra request parameters left out when recording
+   * @param {Object} [options.clock] - Clock giving the current month, defaults to the system clock
+   */
+  constructor(options = {}) {
+    this.options = normalizeOptions(options);
+    this.fixtures = new Map();
+    this.resetStats();
+  }
+
+  /**
+   * Answer a request from its fixture
+   *
+   * @param {Object} request - Prepared request
+   * @returns {Promise<Object>} Recorded raw response
+   * @throws {FixtureNotFoundError} If no response was recorded for the request
+   * @throws {AbortError} If the signal is already aborted
+   */
+  async send(request) {
+    const { endpoint, file } = getFixtureKey(request, this.options);
+
+    if (request.signal && request.signal.aborted) {
+      throw createAbortError(request.signal, endpoint);
+    }
+
+    this.stats.requests++;
+    const fixture = await this._load(file);
+
+    if (!fixture || fixture.responses.length === 0) {
+      this.stats.missing++;
+      throw new FixtureNotFoundError(`No recorded response for ${endpoint} (expected ${path.join(this.options.dir, file)})`, {
+        endpoint
+      });
+    }
+
+    const index = Math.min(fixture.served, fixture.responses.length - 1);
+    fixture.served++;
+    this.stats.replayed++;
+
+    const response = fixture.responses[index];
+    return { statusCode: response.statusCode, headers: { ...response.headers }, body: response.body };
+  }
+
+  /**
+   * Get replay statistics
+   *
+   * @returns {Object} Requests received, replayed and missing
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Reset replay statistics
+   */
+  resetStats() {
+    this.stats = { requests: 0, replayed: 0, missing: 0 };
+  }
+
+  /**
+   * Start every fixture from its first recorded response again
+   */
+  rewind() {
+    for (const fixture of this.fixtures.values()) {
+      if (fixture) fixture.served = 0;
+    }
+  }
+
+  /**
+   * Load a fixture file once
+   *
+   * @private
+   * @param {string} file - File name within the fixture directory
+   * @returns {Promise<Object|null>} Fixture, or null if there is none
+   */
+  async _load(file) {
+    if (!this.fixtures.has(file)) {
+      let fixture = null;
+      try {
+        const content = await fs.promises.readFile(path.join(this.options.dir, file), 'utf8');
+        fixture = { ...JSON.parse(content), served: 0 };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.fixtures.set(file, fixture);
+    }
+    return this.fixtures.get(file);
+  }
+}
+
+/**
+ * Resolve a recording or replaying transport from client config
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @param {Object|string|false} [config.fixtures] - { mode: 'record'|'replay', dir, redact, ignore },
+ *   or just the mode
+ * @returns {Object|null} Fixture transport, or null when fixtures are off
+ * @throws {Error} If the mode is not 'record' or 'replay'
+ */
+function resolveFixtureTransport(config = {}) {
+  const fixtures = typeof config.fixtures === 'string' ? { mode: config.fixtures } : config.fixtures;
+
+  if (!fixtures || !fixtures.mode || fixtures.mode === 'off') {
+    return null;
+  }
+
+  const options = { clock: config.clock, ...fixtures };
+
+  if (fixtures.mode === 'record') {
+    return new RecordingTransport(resolveTransport(config), options);
+  }
+
+  if (fixtures.mode === 'replay') {
+    return new ReplayTransport(options);
+  }
+
+  throw new Error(`Invalid fixtures mode: ${fixtures.mode} (expected record, replay or off)`);
+}
+
+module.exports = {
+  RecordingTransport,
+  ReplayTransport,
+  getFixtureKey,
+  resolveFixtureTransport,
+  DEFAULT_FIXTURE_DIR
+};
@@ -0,0 +1,325 @@
+/**
+ * CoinPlex Metrics Module
+ *
+ * Aggregates the client's request lifecycle events into per-endpoint
+ * counters and latency histograms, and renders them as JSON or in the
+ * Prometheus text exposition format.
+ */
+
+/**
+ * Latency histogram bucket bounds in milliseconds
+ */
+const DEFAULT_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const DEFAULT_PREFIX = 'coinplex';
+
+/**
+ * Escape a Prometheus label value
+ *
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}`
+ *
+ * @private
+ * @param {Object} labels - Label names and values
+ * @returns {string} Rendered labels, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Increment a counter in a plain object
+ *
+ * @private
+ */
+function increment(counters, key, amount = 1) {
+  counters[key] = (counters[key] || 0) + amount;
+}
+
+/**
+ * Collects request metrics from one or more clients
+ */
+class MetricsCollector {
+  /**
+   * @param {Object} [options={}] - Collector options
+   * @param {Array<number>} [options.buckets] - Latency histogram bounds in milliseconds
+   * @param {string} [options.prefix='coinplex'] - Prometheus metric name prefix
+   */
+  constructor(options = {}) {
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    this.prefix = options.prefix || DEFAULT_PREFIX;
+    this.reset();
+  }
+
+  /**
+   * Subscribe to a client's events
+   *
+   * A collector may be attached to several clients; their metrics are
+   * added together.
+   *
+   * @param {EventEmitter} client - Client emitting request lifecycle events
+   * @returns {Function} Detaches the collector from the client
+   */
+  attach(client) {
+    const listeners = {
+      request: (event) => this._endpoint(event.endpoint).requests++,
+      response: (event) => this._onResponse(event),
+      retry: (event) => this._endpoint(event.endpoint).retries++,
+      decrypted: (event) => increment(this.decryption.methods, event.method),
+      decryptionFailed: () => this.decryption.failures++,
+      authenticated: (event) => increment(this.authentication.authenticated, event.source),
+      tokenExpired: (event) => increment(this.authentication.tokenExpired, event.reason),
+      error: (event) => this._onError(event)
+    };
+
+    for (const [name, listener] of Object.entries(listeners)) {
+      client.on(name, listener);
+    }
+
+    return () => {
+      for (const [name, listener] of Object.entries(listeners)) {
+        client.removeListener(name, listener);
+      }
+    };
+  }
+
+  /**
+   * Clear all collected metrics
+   */
+  reset() {
+    this.endpoints = {};
+    this.errors = {};
+    this.decryption = { methods: {}, failures: 0 };
+    this.authentication = { authenticated: {}, tokenExpired: {} };
+  }
+
+  /**
+   * Get the collected metrics as a plain object
+   *
+   * Latencies are in milliseconds. Histogram bucket counts are cumulative:
+   * each counts the responses at or below its `le` bound.
+   *
+   * @returns {Object} Metrics snapshot
+   */
+  toJSON() {
+    const endpoints = {};
+
+    for (const [endpoint, metrics] of Object.entries(this.endpoints)) {
+      const { latency } = metrics;
+      endpoints[endpoint] = {
+        requests: metrics.requests,
+        responses: metrics.responses,
+        retries: metrics.retries,
+        errors: { ...metrics.errors },
+        latency: {
+          count: latency.count,
+          sum: latency.sum,
+          avg: latency.count > 0 ? Math.round(latency.sum / latency.count) : 0,
+          max: latency.max,
+          buckets: this.buckets.map((le, index) => ({ le, count: latency.buckets[index] }))
+        }
+      };
+    }
+
+    return {
+      endpoints,
+      errors: { ...this.errors },
+      decryption: {
+        methods: { ...this.decryption.methods },
+        failures: this.decryption.failures
+      },
+      authentication: {
+        authenticated: { ...this.authentication.authenticated },
+        tokenExpired: { ...this.authentication.tokenExpired }
+      }
+    };
+  }
+
+  /**
+   * Render the metrics in the Prometheus text exposition format
+   *
+   * @returns {string} Exposition text
+   */
+  toPrometheus() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${fullName}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+    const perEndpoint = (field) => Object.entries(this.endpoints)
+      .map(([endpoint, metrics]) => ['', { endpoint }, metrics[field]]);
+
+    metric('requests_total', 'counter', 'Request attempts sent, including retries', perEndpoint('requests'));
+    metric('responses_total', 'counter', 'Successful responses', perEndpoint('responses'));
+    metric('retries_total', 'counter', 'Failed attempts that were retried', perEndpoint('retries'));
+
+    const errorSamples = [];
+    for (const [endpoint, metrics] of Object.entries(this.endpoints)) {
+      for (const [error, count] of Object.entries(metrics.errors)) {
+        errorSamples.push(['', { endpoint, error }, count]);
+      }
+    }
+    metric('errors_total', 'counter', 'Calls that failed after all attempts, by error class', errorSamples);
+
+    const latencySamples = [];
+    for (const [endpoint, { latency }] of Object.entries(this.endpoints)) {
+      this.buckets.forEach((le, index) => {
+        latencySamples.push(['_bucket', { endpoint, le: le / 1000 }, latency.buckets[index]]);
+      });
+      latencySamples.push(['_bucket', { endpoint, le: '+Inf' }, latency.count]);
+      latencySamples.push(['_sum', { endpoint }, latency.sum / 1000]);
+      latencySamples.push(['_count', { endpoint }, latency.count]);
+    }
+    metric('request_duration_seconds', 'histogram', 'Latency of successful request attempts', latencySamples);
+
+    metric('decryptions_total', 'counter', 'Decrypted responses by method',
+      Object.entries(this.decryption.methods).map(([method, count]) => ['', { method }, count]));
+    metric('decryption_failures_total', 'counter', 'Responses that could not be decrypted',
+      [['', {}, this.decryption.failures]]);
+    metric('authentications_total', 'counter', 'Tokens obtained, by source',
+      Object.entries(this.authentication.authenticated).map(([source, count]) => ['', { source }, count]));
+    metric('token_expirations_total', 'counter', 'Tokens replaced, by reason',
+      Object.entries(this.authentication.tokenExpired).map(([reason, count]) => ['', { reason }, count]));
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Get metrics for one endpoint, creating them on first use
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object} Endpoint metrics
+   */
+  _endpoint(endpoint) {
+    if (!this.endpoints[endpoint]) {
+      this.endpoints[endpoint] = {
+        requests: 0,
+        responses: 0,
+        retries: 0,
+        errors: {},
+        latency: { count: 0, sum: 0, max: 0, buckets: this.buckets.map(() => 0) }
+      };
+    }
+    return this.endpoints[endpoint];
+  }
+
+  /**
+   * Record a successful response and its latency
+   *
+   * @private
+   * @param {Object} event - `response` event payload
+   */
+  _onResponse(event) {
+    const metrics = this._endpoint(event.endpoint);
+    const { latency } = metrics;
+
+    metrics.responses++;
+    latency.count++;
+    latency.sum += event.latency;
+    latency.max = Math.max(latency.max, event.latency);
+
+    this.buckets.forEach((le, index) => {
+      if (event.latency <= le) {
+        latency.buckets[index]++;
+      }
+    });
+  }
+
+  /**
+   * Record a failed call by error class
+   *
+   * @private
+   * @param {Object} event - `error` event payload
+   */
+  _onError(event) {
+    const name = (event.error && event.error.name) || 'Error';
+    increment(this._endpoint(event.endpoint).errors, name);
+    increment(this.errors, name);
+  }
+}
+
+/**
+ * Create an HTTP request handler serving Prometheus metrics
+ *
+ * The handler can be passed to `http.createServer` or mounted as an
+ * Express/Connect route. It answers every GET request, whatever the path,
+ * and answers 500 if the metrics cannot be rendered.
+ *
+ * @param {Object} source - Client or collector with getMetrics(format) or toPrometheus()
+ * @returns {Function} (req, res) request handler
+ * @throws {Error} If metrics are disabled for the client or pool
+ * @example
+ * http.createServer(createMetricsHandler(client)).listen(9464);
+ */
+function createMetricsHandler(source) {
+  if (typeof source.getMetrics === 'function' && !source.metrics) {
+    throw new Error('Metrics are disabled, so there is nothing to serve');
+  }
+
+  const render = typeof source.getMetrics === 'function'
+    ? () => source.getMetrics('prometheus')
+    : () => source.toPrometheus();
+
+  return (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    let body;
+    try {
+      body = render();
+    } catch (error) {
+      console.log('❌ Failed to render metrics:', error.message);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(req.method === 'HEAD' ? undefined : 'Failed to render metrics\n');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+}
+
+/**
+ * Resolve the metrics collector from client config
+ *
+ * @param {Object} config - Client configuration
+ * @returns {MetricsCollector|null} Collector, or null when disabled
+ */
+function resolveMetrics(config = {}) {
+  if (config.metrics instanceof MetricsCollector) {
+    return config.metrics;
+  }
+
+  if (config.metrics === false) {
+    return null;
+  }
+
+  return new MetricsCollector(config.metrics || {});
+}
+
+module.exports = {
+  MetricsCollector,
+  createMetricsHandler,
+  resolveMetrics,
+  DEFAULT_BUCKETS
+};
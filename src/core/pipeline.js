@@ -0,0 +1,242 @@
+/**
+ * CoinPlex Request Pipeline Module
+ *
+ * Runs every API call (including login) through the same sequence:
+ * rate limiter admission, middleware `beforeSign` hooks, payload signing, `afterSign` hooks,
+ * transport send, response decryption, `afterResponse` hooks and
+ * envelope interpretation. `onError` hooks see any failure along the way.
+ */
+
+const { prepareSignedPayload } = require('./signature');
+const { processApiResponse } = require('./decryption');
+const { buildRequestHeaders } = require('./transport');
+const { RateLimitError, interpretResponse, toNetworkError } = require('./errors');
+const { abortable, throwIfAborted } = require('./abort');
+const { resolveClock } = require('./clock');
+const { parseBaseUrl } = require('../utils/url');
+
+/**
+ * Supported middleware hook names, in execution order
+ */
+const MIDDLEWARE_HOOKS = ['beforeSign', 'afterSign', 'afterResponse', 'onError'];
+
+/**
+ * Request pipeline shared by CoinPlexClient and AuthenticationManager
+ */
+class RequestPipeline {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {Object} transport - Transport implementing send(request)
+   * @param {RateLimiter|null} [rateLimiter=null] - Limiter admitting each request
+   * @throws {Error} If config.baseUrl is not a valid http(s) URL
+   */
+  constructor(config, transport, rateLimiter = null) {
+    this.config = config;
+    this.target = parseBaseUrl(config.baseUrl);
+    this.transport = transport;
+    this.rateLimiter = rateLimiter;
+    this.clock = resolveClock(config);
+    this.middleware = [];
+  }
+
+  /**
+   * Register a middleware
+   *
+   * A middleware is an object with any of the following hooks:
+   * - `beforeSign(context)` - adjust `context.params` or `context.headers`
+   * - `afterSign(context)` - inspect or adjust `context.payload`
+   * - `afterResponse(context, response)` - return a value to replace the response
+   * - `onError(context, error)` - return a value to recover with a response
+   *
+   * @param {Object} middleware - Middleware object
+   * @returns {RequestPipeline} The pipeline, for chaining
+   * @throws {Error} If no supported hook is implemented
+   */
+  use(middleware) {
+    const hasHook = middleware && MIDDLEWARE_HOOKS.some(hook => typeof middleware[hook] === 'function');
+    if (!hasHook) {
+      throw new Error(`Invalid middleware: must implement one of ${MIDDLEWARE_HOOKS.join(', ')}`);
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Remove a previously registered middleware
+   *
+   * @param {Object} middleware - Middleware object passed to use()
+   * @returns {boolean} True if the middleware was removed
+   */
+  remove(middleware) {
+    const index = this.middleware.indexOf(middleware);
+    if (index === -1) return false;
+
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Sign, send and decode a single API call
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params={}] - Request parameters
+   * @param {Object} [options={}] - Request options
+   * @param {string} [options.token] - Authentication token for the Token header
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<Object>} Decoded API response
+   * @throws {CoinPlexError} Typed error for network, HTTP, business code or decryption failures
+   */
+  async execute(endpoint, params = {}, options = {}) {
+    const context = {
+      endpoint,
+      params: { ...params },
+      headers: buildRequestHeaders(options.headers),
+      payload: null,
+      options,
+      meta: {},
+      rateLimitWait: 0
+    };
+
+    if (options.token) {
+      context.headers.Token = options.token;
+    }
+
+    try {
+      throwIfAborted(options.signal, endpoint);
+
+      // Wait before signing so the signed timestamp is fresh when sent
+      if (this.rateLimiter) {
+        context.rateLimitWait = await this.rateLimiter.acquire(endpoint, options.signal);
+      }
+      
+      await this._runHook('beforeSign', context);
+
+      context.payload = prepareSignedPayload(
+        context.params,
+        this.config.apiKey,
+        this.config.apiSecret,
+        this.clock.now()
+      );
+
+      await this._runHook('afterSign', context);
+
+      const raw = await this._send({
+        protocol: this.target.protocol,
+        hostname: this.target.hostname,
+        port: this.target.port,
+        path: this.target.pathPrefix + context.endpoint,
+        endpoint: context.endpoint,
+        method: 'POST',
+        headers: context.headers,
+        body: JSON.stringify(context.payload),
+        timeout: options.timeout || this.config.timeout,
+        signal: options.signal
+      });
+
+      let response = this._parseResponse(raw);
+
+      for (const middleware of this.middleware) {
+        if (typeof middleware.afterResponse === 'function') {
+          const transformed = await middleware.afterResponse(context, response);
+          if (transformed !== undefined) {
+            response = transformed;
+          }
+        }
+      }
+
+      const failure = interpretResponse(context.endpoint, response, this.clock.now());
+      if (failure) {
+        throw failure;
+      }
+
+      return response;
+
+    } catch (error) {
+      if (this.rateLimiter && error instanceof RateLimitError && error.statusCode === 429) {
+        this.rateLimiter.penalize(endpoint, error.retryAfter);
+      }
+      
+      for (const middleware of this.middleware) {
+        if (typeof middleware.onError === 'function') {
+          const recovered = await middleware.onError(context, error);
+          if (recovered !== undefined) {
+            return recovered;
+          }
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Run a context-only hook on every middleware in order
+   *
+   * @private
+   * @param {string} hook - Hook name
+   * @param {Object} context - Request context
+   * @returns {Promise<void>}
+   */
+  async _runHook(hook, context) {
+    for (const middleware of this.middleware) {
+      if (typeof middleware[hook] === 'function') {
+        await middleware[hook](context);
+      }
+    }
+  }
+
+  /**
+   * Send a request through the transport, normalizing its failures
+   *
+   * @private
+   * Custom transports may ignore `request.signal`; the pipeline still
+   * stops waiting for them when it aborts.
+   *
+   * @param {Object} request - Prepared transport request
+   * @returns {Promise<Object>} Raw response
+   */
+  async _send(request) {
+    try {
+      return await abortable(this.transport.send(request), request.signal, request.endpoint);
+    } catch (error) {
+      throw toNetworkError(error, request.endpoint);
+    }
+  }
+
+  /**
+   * Parse and decrypt a raw transport response
+   *
+   * @private
+   * @param {Object} raw - Raw response with statusCode, headers and body
+   * @returns {Object} Decoded response
+   */
+  _parseResponse(raw) {
+    try {
+      const responseData = JSON.parse(raw.body);
+      const decryptedResponse = processApiResponse(responseData);
+
+      return {
+        statusCode: raw.statusCode,
+        headers: raw.headers,
+        data: decryptedResponse.data,
+        _originalData: responseData,
+        _decryptionMethod: decryptedResponse._decryptionMethod
+      };
+    } catch (error) {
+      return {
+        statusCode: raw.statusCode,
+        headers: raw.headers,
+        data: raw.body,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = {
+  RequestPipeline,
+  MIDDLEWARE_HOOKS
+};
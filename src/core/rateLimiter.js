@@ -0,0 +1,340 @@
+/**
+ * CoinPlex Rate Limiter Module
+ *
+ * Client-side token-bucket limiter enforcing RATE_LIMITS. Each endpoint
+ * gets its own bucket and FIFO queue; requests wait for a token instead
+ * of being sent and rejected by the API. A 429 from the server blocks the
+ * endpoint's bucket for the Retry-After period (or the cooldown period).
+ */
+
+const { EventEmitter } = require('events');
+const { RATE_LIMITS, ENDPOINTS } = require('../utils/constants');
+const { createAbortError, onAbort, throwIfAborted } = require('./abort');
+const { resolveClock } = require('./clock');
+
+/**
+ * Endpoints whose limits apply to each account rather than to the API as
+ * a whole: one account's logins or executions must not use up another's
+ */
+const ACCOUNT_ENDPOINTS = [ENDPOINTS.LOGIN, ENDPOINTS.QUANTIFY_EXECUTE];
+
+/**
+ * Token bucket with a FIFO queue of waiting requests
+ *
+ * @private
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillRate - Tokens added per millisecond
+   * @param {Object} clock - Time source
+   */
+  constructor(capacity, refillRate, clock) {
+    this.capacity = capacity;
+    this.refillRate = refillRate;
+    this.clock = clock;
+    this.tokens = capacity;
+    this.updatedAt = clock.now();
+    this.blockedUntil = 0;
+    this.queue = [];
+    this.cancelTimer = null;
+  }
+
+  /**
+   * Estimate how long a newly queued request would wait
+   *
+   * @returns {number} Estimated wait in milliseconds
+   */
+  estimateWait() {
+    const now = this.clock.now();
+    this._refill(now);
+
+    const blocked = Math.max(0, this.blockedUntil - now);
+    const missing = this.queue.length + 1 - this.tokens;
+    const refill = missing > 0 ? missing / this.refillRate : 0;
+    return Math.ceil(Math.max(blocked, refill));
+  }
+
+  /**
+   * Wait for a token
+   *
+   * An aborted waiter leaves the queue without consuming a token.
+   *
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<void>}
+   */
+  take(signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        unsubscribe();
+        resolve();
+      };
+
+      const unsubscribe = onAbort(signal, () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          this._drain();
+        }
+        reject(createAbortError(signal));
+      });
+
+      this.queue.push(waiter);
+      this._drain();
+    });
+  }
+
+  /**
+   * Block the bucket for a period and discard accumulated tokens
+   *
+   * @param {number} duration - Block duration in milliseconds
+   */
+  block(duration) {
+    const now = this.clock.now();
+    this.blockedUntil = Math.max(this.blockedUntil, now + duration);
+    this.tokens = 0;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Release as many queued requests as tokens allow, then schedule the rest
+   *
+   * @private
+   */
+  _drain() {
+    if (this.cancelTimer) {
+      this.cancelTimer();
+      this.cancelTimer = null;
+    }
+
+    const now = this.clock.now();
+    this._refill(now);
+
+    while (this.queue.length > 0 && now >= this.blockedUntil && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0) {
+      const blocked = Math.max(0, this.blockedUntil - now);
+      const refill = (1 - this.tokens) / this.refillRate;
+      this.cancelTimer = this.clock.setTimer(() => this._drain(), Math.ceil(Math.max(blocked, refill, 1)));
+    }
+  }
+
+  /**
+   * Add tokens accumulated since the last update
+   *
+   * @private
+   * @param {number} now - Current time in milliseconds
+   */
+  _refill(now) {
+    const from = Math.max(this.updatedAt, this.blockedUntil);
+    if (now > from) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - from) * this.refillRate);
+    }
+    this.updatedAt = Math.max(this.updatedAt, now);
+  }
+}
+
+/**
+ * Per-endpoint request rate limiter
+ *
+ * Emits:
+ * - `wait` ({ endpoint, waitTime, queued }) when a request has to queue
+ * - `backoff` ({ endpoint, duration }) when the server answered 429
+ *
+ * Account limiters from forAccount() emit on their parent as well, so
+ * listeners on a shared limiter see the traffic of every account.
+ */
+class RateLimiter extends EventEmitter {
+  /**
+   * @param {Object} [options={}] - Limits, defaulting to RATE_LIMITS
+   * @param {number} [options.requestsPerMinute=60] - Default sustained rate per endpoint
+   * @param {number} [options.burst=10] - Default burst size per endpoint
+   * @param {number} [options.cooldown=60000] - Backoff after a 429 without Retry-After
+   * @param {Object} [options.endpoints] - Per-endpoint limits: { [path]: { requests, window, burst } }
+   * @param {Object} [options.clock] - Time source (see clock.js), defaults to the system clock
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      requestsPerMinute: RATE_LIMITS.DEFAULT_REQUESTS_PER_MINUTE,
+      burst: RATE_LIMITS.BURST_LIMIT,
+      cooldown: RATE_LIMITS.COOLDOWN_PERIOD,
+      ...options,
+      endpoints: {
+        ...RATE_LIMITS.ENDPOINTS,
+        ...options.endpoints
+      }
+    };
+
+    this.clock = resolveClock(options);
+    this.buckets = new Map();
+    this.parent = null;
+    this.accountEndpoints = new Set();
+  }
+
+  /**
+   * Create a limiter for one account that shares this limiter's buckets
+   *
+   * The account gets its own buckets for the given endpoints and uses the
+   * shared ones for all others, so accounts in a pool share the data
+   * endpoint limits but not each other's login limit.
+   *
+   * @param {Array<string>} [endpoints] - Endpoints limited per account, defaults to
+   *   login and quantify execution
+   * @returns {RateLimiter} Account limiter
+   */
+  forAccount(endpoints = ACCOUNT_ENDPOINTS) {
+    const limiter = new RateLimiter({ ...this.options, clock: this.clock });
+    limiter.parent = this;
+    limiter.accountEndpoints = new Set(endpoints);
+    return limiter;
+  }
+
+  /**
+   * Wait until a request to the endpoint may be sent
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<number>} Time spent waiting in milliseconds
+   * @throws {AbortError} If the signal aborts while queued
+   */
+  async acquire(endpoint, signal) {
+    throwIfAborted(signal, endpoint);
+
+    const bucket = this._getBucket(endpoint);
+    const waitTime = bucket.estimateWait();
+
+    if (waitTime > 0) {
+      this._emitUp('wait', { endpoint, waitTime, queued: bucket.queue.length + 1 });
+    }
+
+    const startedAt = this.clock.now();
+    try {
+      await bucket.take(signal);
+    } catch (error) {
+      error.endpoint = error.endpoint || endpoint;
+      throw error;
+    }
+    return this.clock.now() - startedAt;
+  }
+
+  /**
+   * Back off an endpoint after the server rate limited it
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {number|null} [retryAfter] - Server-provided delay in milliseconds
+   */
+  penalize(endpoint, retryAfter) {
+    const duration = typeof retryAfter === 'number' && retryAfter > 0
+      ? retryAfter
+      : this.options.cooldown;
+
+    this._getBucket(endpoint).block(duration);
+    this._emitUp('backoff', { endpoint, duration });
+  }
+
+  /**
+   * Emit an event on this limiter and its parents
+   *
+   * @private
+   * @param {string} name - Event name
+   * @param {Object} event - Event payload
+   */
+  _emitUp(name, event) {
+    this.emit(name, event);
+    if (this.parent) {
+      this.parent._emitUp(name, event);
+    }
+  }
+
+  /**
+   * Get the limit applied to an endpoint
+   *
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object} Limit with requests, window and burst
+   */
+  getLimit(endpoint) {
+    const limit = this.options.endpoints[endpoint];
+    if (limit) {
+      return {
+        requests: limit.requests,
+        window: limit.window,
+        burst: limit.burst || limit.requests
+      };
+    }
+
+    return {
+      requests: this.options.requestsPerMinute,
+      window: 60000,
+      burst: this.options.burst
+    };
+  }
+
+  /**
+   * Get current limiter state for diagnostics
+   *
+   * @returns {Object} Available tokens and queue length per endpoint
+   */
+  getState() {
+    const state = this.parent ? this.parent.getState() : {};
+    const now = this.clock.now();
+    for (const [endpoint, bucket] of this.buckets) {
+      bucket._refill(now);
+      state[endpoint] = {
+        available: Math.floor(bucket.tokens),
+        queued: bucket.queue.length,
+        blockedUntil: bucket.blockedUntil > now ? new Date(bucket.blockedUntil) : null
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Get or create the bucket for an endpoint
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @returns {TokenBucket} Endpoint bucket
+   */
+  _getBucket(endpoint) {
+    if (this.parent && !this.accountEndpoints.has(endpoint)) {
+      return this.parent._getBucket(endpoint);
+    }
+
+    let bucket = this.buckets.get(endpoint);
+    if (!bucket) {
+      const limit = this.getLimit(endpoint);
+      bucket = new TokenBucket(limit.burst, limit.requests / limit.window, this.clock);
+      this.buckets.set(endpoint, bucket);
+    }
+    return bucket;
+  }
+}
+
+/**
+ * Resolve the rate limiter for a configuration
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {RateLimiter|null} Limiter, or null if rate limiting is disabled
+ */
+function resolveRateLimiter(config = {}) {
+  if (config.rateLimiter) {
+    return config.rateLimiter;
+  }
+
+  if (config.rateLimit === false) {
+    return null;
+  }
+
+  return new RateLimiter({ clock: config.clock, ...config.rateLimit });
+}
+
+module.exports = {
+  RateLimiter,
+  resolveRateLimiter,
+  ACCOUNT_ENDPOINTS
+};
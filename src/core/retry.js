@@ -0,0 +1,144 @@
+/**
+ * CoinPlex Retry Policy Module
+ *
+ * Decides whether a failed request is retried and how long to wait:
+ * exponential backoff with jitter, server-provided Retry-After delays,
+ * and per-endpoint rules for which errors are safe to retry.
+ */
+
+const { ENDPOINTS, AUTOMATION } = require('../utils/constants');
+const { RateLimitError, isRetryableError } = require('./errors');
+
+/**
+ * Endpoint rules applied unless overridden
+ *
+ * Quantify execution is not idempotent: a timeout or dropped connection
+ * may hide a successful execution, so only an explicit 429 (request
+ * refused before processing) is retried.
+ */
+const DEFAULT_ENDPOINT_RULES = {
+  [ENDPOINTS.QUANTIFY_EXECUTE]: {
+    retryOn: (error) => error instanceof RateLimitError
+  }
+};
+
+/**
+ * Retry policy for API requests
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options={}] - Policy options
+   * @param {number} [options.maxAttempts=4] - Total attempts including the first
+   * @param {number} [options.baseDelay=1000] - Delay before the first retry in ms
+   * @param {number} [options.maxDelay=30000] - Upper bound for computed delays in ms
+   * @param {number} [options.factor=2] - Backoff multiplier per attempt
+   * @param {number} [options.jitter=0.5] - Fraction of the delay randomized away (0-1)
+   * @param {boolean} [options.respectRetryAfter=true] - Wait at least the server's Retry-After
+   * @param {number} [options.maxRetryAfter=300000] - Give up if Retry-After exceeds this (ms)
+   * @param {Function} [options.retryOn] - (error, { attempt, endpoint }) => boolean
+   * @param {Object} [options.endpoints] - Per-endpoint overrides of any option above
+   * @param {Function} [options.random=Math.random] - Random source for jitter
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxAttempts: AUTOMATION.DEFAULT_MAX_RETRIES + 1,
+      baseDelay: AUTOMATION.DEFAULT_RETRY_DELAY,
+      maxDelay: 30000,
+      factor: AUTOMATION.EXPONENTIAL_BACKOFF ? 2 : 1,
+      jitter: 0.5,
+      respectRetryAfter: true,
+      maxRetryAfter: 300000,
+      retryOn: isRetryableError,
+      random: Math.random,
+      ...options,
+      endpoints: {
+        ...DEFAULT_ENDPOINT_RULES,
+        ...options.endpoints
+      }
+    };
+  }
+
+  /**
+   * Get the effective rule for an endpoint
+   *
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object} Policy options merged with the endpoint's overrides
+   */
+  getRule(endpoint) {
+    const { endpoints, ...defaults } = this.options;
+    return { ...defaults, ...endpoints[endpoint] };
+  }
+
+  /**
+   * Decide whether to retry after a failed attempt
+   *
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of attempts made so far (1-based)
+   * @param {string} endpoint - API endpoint path
+   * @returns {boolean} True if another attempt should be made
+   */
+  shouldRetry(error, attempt, endpoint) {
+    const rule = this.getRule(endpoint);
+
+    if (attempt >= rule.maxAttempts) {
+      return false;
+    }
+
+    if (rule.respectRetryAfter && error.retryAfter > rule.maxRetryAfter) {
+      return false;
+    }
+
+    return !!rule.retryOn(error, { attempt, endpoint });
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   *
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of attempts made so far (1-based)
+   * @param {string} endpoint - API endpoint path
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(error, attempt, endpoint) {
+    const rule = this.getRule(endpoint);
+
+    const exponential = Math.min(rule.maxDelay, rule.baseDelay * Math.pow(rule.factor, attempt - 1));
+    const jitter = Math.min(1, Math.max(0, rule.jitter));
+    const delay = Math.round(exponential * (1 - jitter * rule.random()));
+
+    if (rule.respectRetryAfter && typeof error.retryAfter === 'number') {
+      return Math.max(delay, error.retryAfter);
+    }
+
+    return delay;
+  }
+}
+
+/**
+ * Resolve the retry policy for a configuration
+ *
+ * `config.retry` may be a RetryPolicy or an options object. Without an
+ * explicit maxAttempts, `config.maxRetries` retries are allowed after the
+ * first attempt.
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {RetryPolicy} Retry policy
+ */
+function resolveRetryPolicy(config = {}) {
+  if (config.retry instanceof RetryPolicy) {
+    return config.retry;
+  }
+
+  const options = { ...config.retry };
+  if (options.maxAttempts === undefined && typeof config.maxRetries === 'number') {
+    options.maxAttempts = config.maxRetries + 1;
+  }
+
+  return new RetryPolicy(options);
+}
+
+module.exports = {
+  RetryPolicy,
+  resolveRetryPolicy,
+  DEFAULT_ENDPOINT_RULES
+};
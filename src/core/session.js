@@ -0,0 +1,357 @@
+/**
+ * CoinPlex Session Store Module
+ *
+ * Stores login sessions outside the client so tokens can be reused
+ * across client instances and processes instead of logging in on every
+ * run. A store implements `get(key)`, `set(key, session)`, `delete(key)`
+ * and optionally `lock(key)`, all returning promises.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { API_CONFIG, ENDPOINTS } = require('../utils/constants');
+const { resolveRetryPolicy } = require('./retry');
+
+/**
+ * In-process session store
+ *
+ * Shares tokens between clients in the same process.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.locks = new Map();
+  }
+
+  /**
+   * Get a stored session
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(key) {
+    const session = this.sessions.get(key);
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Store a session
+   *
+   * @param {string} key - Session key
+   * @param {Object} session - Session data
+   * @returns {Promise<void>}
+   */
+  async set(key, session) {
+    this.sessions.set(key, { ...session });
+  }
+
+  /**
+   * Remove a stored session
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.sessions.delete(key);
+  }
+
+  /**
+   * Acquire an exclusive lock for a key
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<Function>} Release function
+   */
+  async lock(key) {
+    const previous = this.locks.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const chained = previous.then(() => current);
+    this.locks.set(key, chained);
+
+    await previous;
+
+    return async () => {
+      release();
+      if (this.locks.get(key) === chained) {
+        this.locks.delete(key);
+      }
+    };
+  }
+}
+
+/**
+ * JSON file session store
+ *
+ * Shares tokens between processes on the same machine. All sessions live
+ * in one JSON file. Each key has its own sibling lock file serializing
+ * its logins, so parallel processes end up sharing one token without
+ * holding up other accounts; a short-lived `.lock` file guards writes.
+ */
+class FileSessionStore {
+  /**
+   * @param {string} filePath - Path of the JSON session file
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.lockTimeout=120000] - Max time to wait for a lock in ms
+   * @param {number} [options.staleLockAge=30000] - Age after which a lock file is considered abandoned;
+   *   held locks are refreshed every third of it
+   * @param {number} [options.pollInterval=100] - Lock polling interval in ms
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('FileSessionStore requires a file path');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.options = {
+      lockTimeout: 120000,
+      staleLockAge: 30000,
+      pollInterval: 100,
+      ...options
+    };
+  }
+
+  /**
+   * Get a stored session
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(key) {
+    const sessions = await this._read();
+    return sessions[key] || null;
+  }
+
+  /**
+   * Store a session
+   *
+   * @param {string} key - Session key
+   * @param {Object} session - Session data
+   * @returns {Promise<void>}
+   */
+  async set(key, session) {
+    await this._update((sessions) => {
+      sessions[key] = session;
+      return true;
+    });
+  }
+
+  /**
+   * Remove a stored session
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._update((sessions) => {
+      if (!(key in sessions)) {
+        return false;
+      }
+      delete sessions[key];
+      return true;
+    });
+  }
+
+  /**
+   * Acquire an exclusive lock for a key
+   *
+   * Each key locks its own file, so logins of different accounts do not
+   * wait on each other.
+   *
+   * @param {string} key - Session key
+   * @returns {Promise<Function>} Release function
+   * @throws {Error} If the lock cannot be acquired within lockTimeout
+   */
+  async lock(key) {
+    return this._acquire(this.getLockPath(key));
+  }
+
+  /**
+   * Get the lock file path for a key
+   *
+   * @param {string} key - Session key
+   * @returns {string} Lock file path
+   */
+  getLockPath(key) {
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+    return `${this.filePath}.${hash}.lock`;
+  }
+
+  /**
+   * Read, change and write the sessions under the file lock
+   *
+   * @private
+   * @param {Function} change - (sessions) => true if the sessions were changed
+   * @returns {Promise<void>}
+   */
+  async _update(change) {
+    const release = await this._acquire(this.lockPath);
+
+    try {
+      const sessions = await this._read();
+      if (change(sessions)) {
+        await this._write(sessions);
+      }
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Acquire a lock file
+   *
+   * The lock file holds our pid and a random id, and releasing only
+   * removes it while it still does, so a lock taken over as stale is left
+   * alone. While held, its mtime is refreshed so a long login is never
+   * mistaken for an abandoned one.
+   *
+   * @private
+   * @param {string} lockPath - Lock file path
+   * @returns {Promise<Function>} Release function
+   * @throws {Error} If the lock cannot be acquired within lockTimeout
+   */
+  async _acquire(lockPath) {
+    const deadline = Date.now() + this.options.lockTimeout;
+    const owner = `${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+    await fs.promises.mkdir(path.dirname(lockPath), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        await handle.writeFile(owner);
+        await handle.close();
+
+        const heartbeat = setInterval(() => {
+          const now = new Date();
+          fs.promises.utimes(lockPath, now, now).catch(() => {});
+        }, this.options.staleLockAge / 3);
+        heartbeat.unref();
+
+        return async () => {
+          clearInterval(heartbeat);
+          const content = await fs.promises.readFile(lockPath, 'utf8').catch(() => null);
+          if (content === owner) {
+            await fs.promises.unlink(lockPath).catch(() => {});
+          }
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._removeStaleLock(lockPath)) {
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for session lock: ${lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+    }
+  }
+
+  /**
+   * Remove a lock file if its owner appears to have died
+   *
+   * @private
+   * @param {string} lockPath - Lock file path
+   * @returns {Promise<boolean>} True if a stale lock was removed
+   */
+  async _removeStaleLock(lockPath) {
+    try {
+      const stats = await fs.promises.stat(lockPath);
+      if (Date.now() - stats.mtimeMs < this.options.staleLockAge) {
+        return false;
+      }
+
+      await fs.promises.unlink(lockPath);
+      return true;
+    } catch (error) {
+      // Lock disappeared in the meantime - retry immediately
+      return error.code === 'ENOENT';
+    }
+  }
+
+  /**
+   * Read all sessions from disk
+   *
+   * @private
+   * @returns {Promise<Object>} Sessions keyed by session key
+   */
+  async _read() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const sessions = JSON.parse(content);
+      return sessions && typeof sessions === 'object' ? sessions : {};
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write all sessions to disk atomically
+   *
+   * @private
+   * @param {Object} sessions - Sessions keyed by session key
+   * @returns {Promise<void>}
+   */
+  async _write(sessions) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Get how long a login may keep a session locked
+ *
+ * Waiting less than one login with all its retries would send every
+ * waiting process to log in on its own whenever a login is slow.
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {number} Lock timeout in milliseconds
+ */
+function getLoginLockTimeout(config = {}) {
+  const timeout = config.timeout || API_CONFIG.DEFAULT_TIMEOUT;
+  const { maxAttempts } = resolveRetryPolicy(config).getRule(ENDPOINTS.LOGIN);
+  return timeout * maxAttempts;
+}
+
+/**
+ * Resolve the session store for a configuration
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {Object|null} Session store, or null if sessions are not persisted
+ * @throws {Error} If a custom store does not implement get/set/delete
+ */
+function resolveSessionStore(config = {}) {
+  if (config.sessionStore) {
+    const store = config.sessionStore;
+    const missing = ['get', 'set', 'delete'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Invalid session store: missing ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  if (config.sessionFile) {
+    return new FileSessionStore(config.sessionFile, { lockTimeout: getLoginLockTimeout(config) });
+  }
+
+  return null;
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  resolveSessionStore
+};
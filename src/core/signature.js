@@ -43,14 +43,15 @@ function calculateSignature(data, secret) {
  * @param {Object} customParams - Custom parameters for the request
  * @param {string} apiKey - API key
  * @param {string} apiSecret - API secret for signature calculation
+ * @param {number} [now=Date.now()] - Timestamp added when the parameters have none
  * @returns {Object} Complete payload with signature
  */
-function prepareSignedPayload(customParams = {}, apiKey, apiSecret) {
+function prepareSignedPayload(customParams = {}, apiKey, apiSecret, now = Date.now()) {
   const payload = { ...customParams };
   
   // Add required parameters if not present
   if (!payload.timestamp) {
-    payload.timestamp = new Date().getTime();
+    payload.timestamp = now;
   }
   
   if (!payload.apiKey) {
@@ -0,0 +1,415 @@
+/**
+ * CoinPlex HTTP Transport Module
+ *
+ * Provides the network layer used by the client and authentication
+ * manager. A transport receives a fully prepared request (signed body,
+ * headers, target) and resolves with the raw status, headers and body.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { API_CONFIG, ERROR_MESSAGES } = require('../utils/constants');
+const { NetworkError, TimeoutError } = require('./errors');
+const { createAbortError, onAbort } = require('./abort');
+const { parseProxyUrl, shouldBypassProxy, HttpProxyAgent, HttpsProxyAgent } = require('./proxy');
+
+/**
+ * Build the standard CoinPlex request headers
+ *
+ * @param {Object} [extraHeaders={}] - Additional headers to merge in
+ * @returns {Object} Request headers
+ */
+function buildRequestHeaders(extraHeaders = {}) {
+  return {
+    ...API_CONFIG.STANDARD_HEADERS,
+    'Origin': API_CONFIG.DEFAULT_ORIGIN,
+    'Referer': API_CONFIG.DEFAULT_REFERER,
+    'User-Agent': API_CONFIG.DEFAULT_USER_AGENT,
+    ...extraHeaders
+  };
+}
+
+/**
+ * Response decoders by Content-Encoding
+ *
+ * Some servers send raw deflate streams under `deflate`, so inflate falls
+ * back to inflateRaw.
+ *
+ * @private
+ */
+const DECODERS = {
+  gzip: zlib.gunzip,
+  'x-gzip': zlib.gunzip,
+  br: zlib.brotliDecompress,
+  deflate: (buffer, callback) => {
+    zlib.inflate(buffer, (error, result) => {
+      if (error) {
+        zlib.inflateRaw(buffer, callback);
+      } else {
+        callback(null, result);
+      }
+    });
+  }
+};
+
+/**
+ * Encodings advertised in Accept-Encoding when compression is enabled
+ */
+const ACCEPT_ENCODING = 'gzip, deflate, br';
+
+/**
+ * Default transport backed by Node's https module
+ *
+ * Plain http is used when the request's protocol is `http:`, e.g. for a
+ * local mock server. Connections are pooled in keep-alive agents shared
+ * by every request sent through the transport, and compressed responses
+ * are decoded transparently. Any object exposing a compatible
+ * `send(request)` method can be passed as `config.transport` to replace it.
+ */
+class HttpsTransport {
+  /**
+   * @param {Object} [options={}] - Transport options
+   * @param {boolean} [options.keepAlive=true] - Reuse connections between requests
+   * @param {number} [options.maxSockets=10] - Maximum concurrent connections per host
+   * @param {number} [options.maxFreeSockets] - Maximum idle connections kept open per host, defaults to maxSockets
+   * @param {number} [options.keepAliveMsecs=1000] - TCP keep-alive probe delay for idle connections
+   * @param {boolean} [options.compression=true] - Request and decode gzip/deflate/brotli responses
+   * @param {string|Object} [options.proxy] - Proxy URL: http://, https:// (CONNECT) or socks5://,
+   *   with optional user:password credentials
+   * @param {string|Array<string>} [options.noProxy] - Hosts reached directly (NO_PROXY syntax)
+   * @throws {Error} If the proxy URL is invalid
+   */
+  constructor(options = {}) {
+    this.options = {
+      keepAlive: true,
+      maxSockets: API_CONFIG.DEFAULT_MAX_SOCKETS,
+      keepAliveMsecs: 1000,
+      compression: true,
+      ...options
+    };
+    this.options.maxFreeSockets = this.options.maxFreeSockets || this.options.maxSockets;
+
+    const agentOptions = {
+      keepAlive: this.options.keepAlive,
+      keepAliveMsecs: this.options.keepAliveMsecs,
+      maxSockets: this.options.maxSockets,
+      maxFreeSockets: this.options.maxFreeSockets
+    };
+
+    this.agents = {
+      'http:': new http.Agent(agentOptions),
+      'https:': new https.Agent(agentOptions)
+    };
+
+    // Tunneled connections get their own pools, kept apart from direct ones
+    this.proxy = this.options.proxy ? parseProxyUrl(this.options.proxy) : null;
+    this.proxyAgents = this.proxy
+      ? {
+          'http:': new HttpProxyAgent(this.proxy, agentOptions),
+          'https:': new HttpsProxyAgent(this.proxy, agentOptions)
+        }
+      : null;
+
+    this.resetStats();
+  }
+
+  /**
+   * Send a request to the CoinPlex API
+   *
+   * @param {Object} request - Prepared request
+   * @param {string} [request.protocol='https:'] - Target protocol, `http:` or `https:`
+   * @param {string} request.hostname - Target hostname
+   * @param {number} [request.port] - Target port, defaults to the protocol's port
+   * @param {string} request.path - Request path, including any base URL prefix
+   * @param {string} [request.endpoint] - API endpoint path, used in errors
+   * @param {string} [request.method='POST'] - HTTP method
+   * @param {Object} [request.headers={}] - Request headers
+   * @param {string} [request.body] - Serialized request body
+   * @param {number} [request.timeout] - Timeout in milliseconds
+   * @param {AbortSignal} [request.signal] - Signal that cancels the request
+   * @returns {Promise<Object>} Raw response with statusCode, headers and decoded body
+   * @throws {NetworkError} If the connection fails or the body cannot be decoded
+   * @throws {TimeoutError} If the request times out
+   * @throws {AbortError} If the signal aborts the request
+   */
+  send(request) {
+    const endpoint = request.endpoint || request.path;
+
+    if (request.signal && request.signal.aborted) {
+      return Promise.reject(createAbortError(request.signal, endpoint));
+    }
+
+    return this._dispatch(request, endpoint);
+  }
+
+  /**
+   * Get connection and compression statistics
+   *
+   * @returns {Object} Request, connection reuse, compression and socket pool counts
+   */
+  getStats() {
+    const connections = this.stats.connectionsOpened + this.stats.connectionsReused;
+    const sockets = { active: 0, idle: 0 };
+
+    for (const agent of this._allAgents()) {
+      sockets.active += countSockets(agent.sockets);
+      sockets.idle += countSockets(agent.freeSockets);
+    }
+
+    return {
+      ...this.stats,
+      reuseRate: connections > 0 ? this.stats.connectionsReused / connections : 0,
+      sockets
+    };
+  }
+
+  /**
+   * Reset connection and compression statistics
+   */
+  resetStats() {
+    this.stats = {
+      requests: 0,
+      connectionsOpened: 0,
+      connectionsReused: 0,
+      compressedResponses: 0,
+      bytesReceived: 0,
+      bytesDecoded: 0
+    };
+  }
+
+  /**
+   * Close all pooled connections
+   */
+  destroy() {
+    for (const agent of this._allAgents()) {
+      agent.destroy();
+    }
+  }
+
+  /**
+   * Pick the agent for a request: tunneled through the proxy unless the
+   * host is excluded by noProxy
+   *
+   * @private
+   * @param {string} protocol - Target protocol
+   * @param {string} hostname - Target hostname
+   * @param {number} port - Target port
+   * @returns {http.Agent} Agent to use
+   */
+  _getAgent(protocol, hostname, port) {
+    if (this.proxyAgents && !shouldBypassProxy(hostname, port, this.options.noProxy)) {
+      return this.proxyAgents[protocol];
+    }
+    return this.agents[protocol];
+  }
+
+  /**
+   * List every agent owned by the transport
+   *
+   * @private
+   * @returns {Array<http.Agent>} Agents
+   */
+  _allAgents() {
+    return [
+      ...Object.values(this.agents),
+      ...Object.values(this.proxyAgents || {})
+    ];
+  }
+
+  /**
+   * Send one HTTP request
+   *
+   * A reset on a pooled connection is reported like any other network
+   * error and never resent here: the server may already have processed the
+   * request, so whether to try again is left to the client's RetryPolicy.
+   *
+   * @private
+   * @param {Object} request - Prepared request
+   * @param {string} endpoint - API endpoint path, used in errors
+   * @returns {Promise<Object>} Raw response
+   */
+  _dispatch(request, endpoint) {
+    return new Promise((resolve, reject) => {
+      const isHttp = request.protocol === 'http:';
+      const port = request.port || (isHttp ? 80 : 443);
+      const headers = { ...request.headers };
+
+      if (this.options.compression && !hasHeader(headers, 'accept-encoding')) {
+        headers['Accept-Encoding'] = ACCEPT_ENCODING;
+      }
+
+      const requestOptions = {
+        hostname: request.hostname,
+        port,
+        path: request.path,
+        method: request.method || 'POST',
+        headers,
+        agent: this._getAgent(isHttp ? 'http:' : 'https:', request.hostname, port)
+      };
+
+      if (request.timeout) {
+        requestOptions.timeout = request.timeout;
+      }
+
+      this.stats.requests++;
+      // Set once the request was given up on; destroying it then emits a reset that must not be reported
+      let cancelled = false;
+
+      const req = (isHttp ? http : https).request(requestOptions, (res) => {
+        const chunks = [];
+
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+
+        res.on('end', () => {
+          unsubscribe();
+          this._decodeBody(res.headers, Buffer.concat(chunks), (error, body) => {
+            if (error) {
+              reject(new NetworkError(`${ERROR_MESSAGES.NETWORK_ERROR}: failed to decode ${res.headers['content-encoding']} response`, {
+                endpoint,
+                statusCode: res.statusCode,
+                cause: error
+              }));
+              return;
+            }
+
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body
+            });
+          });
+        });
+      });
+
+      req.on('socket', () => {
+        if (req.reusedSocket) {
+          this.stats.connectionsReused++;
+        } else {
+          this.stats.connectionsOpened++;
+        }
+      });
+
+      const unsubscribe = onAbort(request.signal, () => {
+        cancelled = true;
+        req.destroy();
+        reject(createAbortError(request.signal, endpoint));
+      });
+
+      req.on('error', (error) => {
+        unsubscribe();
+
+        if (cancelled) {
+          return;
+        }
+
+        reject(new NetworkError(`${ERROR_MESSAGES.NETWORK_ERROR}: ${error.message}`, {
+          endpoint,
+          cause: error
+        }));
+      });
+
+      req.on('timeout', () => {
+        unsubscribe();
+        cancelled = true;
+        req.destroy();
+        reject(new TimeoutError(`${ERROR_MESSAGES.TIMEOUT}: no response after ${requestOptions.timeout}ms`, {
+          endpoint
+        }));
+      });
+
+      if (request.body !== undefined) {
+        req.write(request.body);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Decode a response body according to its Content-Encoding
+   *
+   * @private
+   * @param {Object} headers - Response headers
+   * @param {Buffer} buffer - Raw body
+   * @param {Function} callback - Called with (error, body string)
+   */
+  _decodeBody(headers, buffer, callback) {
+    this.stats.bytesReceived += buffer.length;
+
+    const encoding = String(headers['content-encoding'] || '').trim().toLowerCase();
+    const decoder = DECODERS[encoding];
+
+    if (!decoder || buffer.length === 0) {
+      this.stats.bytesDecoded += buffer.length;
+      callback(null, buffer.toString('utf8'));
+      return;
+    }
+
+    decoder(buffer, (error, decoded) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      this.stats.compressedResponses++;
+      this.stats.bytesDecoded += decoded.length;
+      callback(null, decoded.toString('utf8'));
+    });
+  }
+}
+
+/**
+ * Check whether a header is set, ignoring case
+ *
+ * @private
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lowercase header name
+ * @returns {boolean} True if present
+ */
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
+
+/**
+ * Count sockets in an agent's per-host socket map
+ *
+ * @private
+ * @param {Object} map - Agent sockets or freeSockets
+ * @returns {number} Number of sockets
+ */
+function countSockets(map) {
+  return Object.values(map || {}).reduce((total, list) => total + list.length, 0);
+}
+
+/**
+ * Resolve the transport to use for a configuration
+ *
+ * @param {Object} [config={}] - Client configuration
+ * @returns {Object} Transport instance
+ * @throws {Error} If a custom transport does not implement send()
+ */
+function resolveTransport(config = {}) {
+  if (!config.transport) {
+    return new HttpsTransport({
+      keepAlive: config.keepAlive !== false,
+      maxSockets: config.maxSockets || API_CONFIG.DEFAULT_MAX_SOCKETS,
+      compression: config.compression !== false,
+      proxy: config.proxy || null,
+      noProxy: config.noProxy
+    });
+  }
+
+  if (typeof config.transport.send !== 'function') {
+    throw new Error('Invalid transport: must implement send(request)');
+  }
+
+  return config.transport;
+}
+
+module.exports = {
+  HttpsTransport,
+  buildRequestHeaders,
+  resolveTransport
+};
@@ -0,0 +1,318 @@
+/**
+ * CoinPlex Mock API
+ *
+ * Transport-independent core of the mock CoinPlex API. It checks the API
+ * key and request signature like the real API, issues JWT tokens on login,
+ * requires them on every other endpoint, and encrypts response data with
+ * the same RSA scheme as production. MockServer serves it over HTTP and
+ * the testing kit's FakeTransport calls it in-process.
+ */
+
+const crypto = require('crypto');
+const { verifySignature } = require('../core/signature');
+const { encryptRSAResponse } = require('../core/decryption');
+const { ENDPOINTS, API_CONFIG } = require('../utils/constants');
+const { resolveScenario } = require('./scenarios');
+const { resolveClock } = require('../core/clock');
+
+/**
+ * Endpoints whose data the production API sends RSA encrypted
+ */
+const ENCRYPTED_ENDPOINTS = [ENDPOINTS.INCOME_DATA, ENDPOINTS.FINANCIAL_VIEW];
+
+/**
+ * Encode a buffer or string as base64url
+ *
+ * @private
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} Base64url string without padding
+ */
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Copy a request payload without its signature
+ *
+ * @private
+ * @param {Object} payload - Signed payload
+ * @returns {Object} Request parameters
+ */
+function withoutSignature(payload) {
+  const params = { ...payload };
+  delete params.sign;
+  return params;
+}
+
+/**
+ * Copy headers with lower-case names, as Node's HTTP server gives them
+ *
+ * @private
+ * @param {Object} [headers={}] - Headers
+ * @returns {Object} Headers with lower-case names
+ */
+function lowerCaseHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name.toLowerCase()] = value;
+  }
+  return result;
+}
+
+/**
+ * Mock CoinPlex API
+ */
+class MockApi {
+  /**
+   * @param {Object} [options={}] - API options
+   * @param {string} [options.apiKey='mock-api-key'] - API key clients must send
+   * @param {string} [options.apiSecret='mock-api-secret'] - Secret used to verify request signatures
+   * @param {Object} [options.credentials] - { prefix, account, code } accepted by login;
+   *   any credentials are accepted when omitted
+   * @param {string|Object} [options.scenario='default'] - Scenario name or object (see scenarios.js)
+   * @param {boolean|Array<string>} [options.encrypt] - Endpoints whose data is RSA encrypted:
+   *   true for all, false for none; defaults to the endpoints encrypted in production
+   * @param {number} [options.userId=12345] - User ID put in issued tokens
+   * @param {number} [options.tokenLifetime] - Token lifetime in ms (defaults to 24 hours)
+   * @param {Object} [options.clock] - Clock that issues and expires tokens, defaults to the system clock
+   */
+  constructor(options = {}) {
+    this.options = {
+      apiKey: 'mock-api-key',
+      apiSecret: 'mock-api-secret',
+      credentials: null,
+      encrypt: ENCRYPTED_ENDPOINTS,
+      userId: 12345,
+      tokenLifetime: API_CONFIG.DEFAULT_TOKEN_LIFETIME,
+      ...options
+    };
+
+    this.clock = resolveClock(options);
+    // Passed to scenario callbacks as `context.server`; a MockServer replaces it with itself
+    this.owner = this;
+    this.tokens = new Map();
+    this.jwtSecret = crypto.randomBytes(32);
+
+    this.setScenario(this.options.scenario || 'default');
+  }
+
+  /**
+   * Switch scenario and clear per-endpoint overrides and the request log
+   *
+   * @param {string|Object} scenario - Scenario name or object
+   * @returns {MockApi} The API, for chaining
+   * @throws {Error} If a scenario name is unknown
+   */
+  setScenario(scenario) {
+    this.scenarios = resolveScenario(scenario);
+    this.overrides = {};
+    this.requests = [];
+    return this;
+  }
+
+  /**
+   * Override the response of one endpoint on top of the scenario
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object|Function} response - Response (see scenarios.js)
+   * @returns {MockApi} The API, for chaining
+   * @example
+   * api.respond('/api/quantify/execute', { code: 1005, msg: 'Operation not available' });
+   */
+  respond(endpoint, response) {
+    this.overrides[endpoint] = response;
+    return this;
+  }
+
+  /**
+   * Invalidate every issued token, so clients have to log in again
+   *
+   * @returns {MockApi} The API, for chaining
+   */
+  expireTokens() {
+    this.tokens.clear();
+    return this;
+  }
+
+  /**
+   * Answer one request
+   *
+   * @param {Object} request - Request
+   * @param {string} request.endpoint - API endpoint path
+   * @param {string} [request.body] - Serialized JSON body
+   * @param {Object} [request.headers={}] - Request headers
+   * @param {string} [request.method='POST'] - HTTP method
+   * @returns {Object} Raw response { statusCode, headers, body }, plus `delay`
+   *   in ms the response should be held back for
+   */
+  handle(request) {
+    const { endpoint, method = 'POST' } = request;
+    const headers = lowerCaseHeaders(request.headers);
+
+    if (method !== 'POST') {
+      return this._render({ status: 405, body: JSON.stringify({ code: 405, msg: 'Method not allowed' }) }, endpoint, 0);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(request.body || '{}');
+    } catch (error) {
+      return this._render({ status: 400, body: JSON.stringify({ code: 1003, msg: 'Invalid request body' }) }, endpoint, 0);
+    }
+
+    this.requests.push({ endpoint, params: withoutSignature(payload), headers });
+
+    const response = this._respond(endpoint, payload, headers);
+    return this._render(response, endpoint, response.delay !== undefined ? response.delay : this._latency());
+  }
+
+  /**
+   * Find the response for an endpoint
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object|Function|undefined} Response, or undefined if none is defined
+   */
+  _findResponse(endpoint) {
+    if (this.overrides[endpoint] !== undefined) {
+      return this.overrides[endpoint];
+    }
+
+    for (const scenario of this.scenarios) {
+      const endpoints = scenario.endpoints || {};
+      if (endpoints[endpoint] !== undefined) {
+        return endpoints[endpoint];
+      }
+      if (endpoint !== ENDPOINTS.LOGIN && endpoints['*'] !== undefined) {
+        return endpoints['*'];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get the scenario latency
+   *
+   * @private
+   * @returns {number} Latency in ms
+   */
+  _latency() {
+    const scenario = this.scenarios.find(item => typeof item.latency === 'number');
+    return scenario ? scenario.latency : 0;
+  }
+
+  /**
+   * Work out the response to a parsed request
+   *
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} payload - Signed request payload
+   * @param {Object} headers - Request headers, lower-case names
+   * @returns {Object} Response: { data }, { code, msg } or { status, headers, body }
+   */
+  _respond(endpoint, payload, headers) {
+    if (payload.apiKey !== this.options.apiKey) {
+      return { code: 1002, msg: 'Invalid API key' };
+    }
+
+    if (!verifySignature(payload, this.options.apiSecret)) {
+      return { code: 1002, msg: 'Invalid signature' };
+    }
+
+    let userId = null;
+    if (endpoint !== ENDPOINTS.LOGIN) {
+      const session = this.tokens.get(headers.token);
+      if (!session || session.expiresAt <= this.clock.now()) {
+        return { code: 1001, msg: 'Invalid authentication token' };
+      }
+      userId = session.userId;
+    }
+
+    let response = this._findResponse(endpoint);
+
+    if (response === undefined) {
+      if (endpoint === ENDPOINTS.LOGIN) {
+        return this._login(payload);
+      }
+      return { status: 404, body: JSON.stringify({ code: 404, msg: 'Not found' }) };
+    }
+
+    if (typeof response === 'function') {
+      response = response(withoutSignature(payload), { endpoint, userId, now: this.clock.now(), headers, api: this, server: this.owner }) || {};
+    }
+
+    return response;
+  }
+
+  /**
+   * Check login credentials and issue a token
+   *
+   * @private
+   * @param {Object} payload - Login payload
+   * @returns {Object} Response
+   */
+  _login(payload) {
+    const expected = this.options.credentials;
+    if (expected && ['prefix', 'account', 'code'].some(key => String(payload[key]) !== String(expected[key]))) {
+      return { code: 2001, msg: 'User not found' };
+    }
+
+    const now = this.clock.now();
+    const expiresAt = now + this.options.tokenLifetime;
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const claims = base64Url(JSON.stringify({
+      userId: this.options.userId,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor(expiresAt / 1000),
+      jti: crypto.randomBytes(8).toString('hex')
+    }));
+    const signature = base64Url(crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${claims}`).digest());
+    const token = `${header}.${claims}.${signature}`;
+
+    this.tokens.set(token, { userId: this.options.userId, expiresAt });
+    return { data: { token } };
+  }
+
+  /**
+   * Render a response into a raw HTTP response
+   *
+   * @private
+   * @param {Object} response - { data }, { code, msg } or { status, headers, body }
+   * @param {string} endpoint - API endpoint path, decides encryption
+   * @param {number} delay - Delay in ms
+   * @returns {Object} { statusCode, headers, body, delay }
+   */
+  _render(response, endpoint, delay) {
+    if (response.status !== undefined) {
+      return {
+        statusCode: response.status,
+        headers: { 'content-type': 'application/json', ...lowerCaseHeaders(response.headers) },
+        body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? ''),
+        delay
+      };
+    }
+
+    let envelope;
+    if (response.code !== undefined && response.code !== 0) {
+      envelope = { code: response.code, msg: response.msg || 'error', data: null };
+    } else {
+      const encrypt = this.options.encrypt === true ||
+        (Array.isArray(this.options.encrypt) && this.options.encrypt.includes(endpoint));
+      const data = response.data === undefined ? null : response.data;
+      envelope = { code: 0, msg: 'success', data: encrypt && data !== null ? encryptRSAResponse(data) : data };
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(envelope),
+      delay
+    };
+  }
+}
+
+module.exports = {
+  MockApi,
+  ENCRYPTED_ENDPOINTS
+};
@@ -0,0 +1,165 @@
+/**
+ * CoinPlex Mock Server
+ *
+ * Local HTTP server for the mock CoinPlex API. It serves a MockApi, so a
+ * client pointed at it runs its full signing, transport and decryption
+ * pipeline against the same checks and RSA encryption as production.
+ */
+
+const http = require('http');
+const { MockApi, ENCRYPTED_ENDPOINTS } = require('./MockApi');
+
+/**
+ * Mock CoinPlex API server
+ */
+class MockServer {
+  /**
+   * @param {Object} [options={}] - API options, see MockApi
+   */
+  constructor(options = {}) {
+    this.api = new MockApi(options);
+    this.api.owner = this;
+    this.options = this.api.options;
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.sockets = new Set();
+    this.timers = new Set();
+    this.url = null;
+
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+  }
+
+  /**
+   * Requests received since the last scenario change
+   *
+   * @returns {Array<Object>} { endpoint, params, headers } per request
+   */
+  get requests() {
+    return this.api.requests;
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {number} [port=0] - Port, 0 picks a free one
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<string>} Base URL to pass as the client's `baseUrl`
+   * @example
+   * const server = new MockServer({ scenario: 'empty-wallet' });
+   * const baseUrl = await server.listen();
+   * const client = new CoinPlex({ ...config, apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', baseUrl });
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, dropping open connections and pending slow responses
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    return new Promise((resolve) => {
+      if (!this.server.listening) {
+        resolve();
+        return;
+      }
+
+      this.server.close(() => resolve());
+      for (const socket of this.sockets) {
+        socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Switch scenario and clear per-endpoint overrides
+   *
+   * @param {string|Object} scenario - Scenario name or object
+   * @returns {MockServer} The server, for chaining
+   * @throws {Error} If a scenario name is unknown
+   */
+  setScenario(scenario) {
+    this.api.setScenario(scenario);
+    return this;
+  }
+
+  /**
+   * Override the response of one endpoint on top of the scenario
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object|Function} response - Response (see scenarios.js)
+   * @returns {MockServer} The server, for chaining
+   * @example
+   * server.respond('/api/quantify/execute', { code: 1005, msg: 'Operation not available' });
+   */
+  respond(endpoint, response) {
+    this.api.respond(endpoint, response);
+    return this;
+  }
+
+  /**
+   * Invalidate every issued token, so clients have to log in again
+   *
+   * @returns {MockServer} The server, for chaining
+   */
+  expireTokens() {
+    this.api.expireTokens();
+    return this;
+  }
+
+  /**
+   * Handle one HTTP request
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { delay, statusCode, headers, body } = this.api.handle({
+        endpoint: req.url.split('?')[0],
+        method: req.method,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+
+      const send = () => {
+        res.writeHead(statusCode, headers);
+        res.end(body);
+      };
+
+      if (delay > 0) {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          send();
+        }, delay);
+        this.timers.add(timer);
+      } else {
+        send();
+      }
+    });
+  }
+}
+
+module.exports = {
+  MockServer,
+  ENCRYPTED_ENDPOINTS
+};
@@ -0,0 +1,157 @@
+/**
+ * CoinPlex Mock Server Scenarios
+ *
+ * A scenario maps API endpoints to the responses the mock server gives.
+ * A response is one of:
+ * - `{ data }` - success envelope carrying the data
+ * - `{ code, msg }` - business error envelope, e.g. `{ code: 1004, msg: 'Insufficient balance' }`
+ * - `{ status, headers, body }` - raw HTTP response, e.g. `{ status: 500 }`
+ * - a function `(params, context)` returning one of the above. The context
+ *   holds `endpoint`, `userId`, `now`, `headers`, the MockApi as `api`, and
+ *   the MockServer serving it as `server` (the MockApi when used in-process)
+ *
+ * Any response may add `delay` (ms) to answer slowly, and a scenario may set
+ * `latency` (ms) for every endpoint. The `'*'` key matches every endpoint
+ * except login. Endpoints a scenario leaves out fall back to the scenario
+ * it `extends`, and finally to the default scenario.
+ */
+
+const { ENDPOINTS } = require('../utils/constants');
+const {
+  profile,
+  walletOverview,
+  recordsPage,
+  financialView,
+  productDetail,
+  incomeData,
+  teamData,
+  quantifyResult,
+  PRODUCTS
+} = require('../testing/factories');
+
+/**
+ * Answer a product detail request, or 3001 for an unknown product
+ *
+ * @private
+ * @param {Object} params - Request parameters
+ * @param {Object} [overrides] - Product fields to replace
+ * @returns {Object} Response
+ */
+function productResponse(params, overrides) {
+  const known = PRODUCTS.some(item => String(item.productId) === String(params.productId));
+  return known
+    ? { data: productDetail(params.productId, overrides) }
+    : { code: 3001, msg: 'Product not available' };
+}
+
+/**
+ * Default scenario: an active G1 account with 1000.50 USDT
+ */
+const DEFAULT_SCENARIO = {
+  latency: 0,
+  endpoints: {
+    [ENDPOINTS.USER_PROFILE]: (params, context) => ({ data: profile({ userId: context.userId }) }),
+    [ENDPOINTS.WALLET_OVERVIEW]: () => ({ data: walletOverview() }),
+    [ENDPOINTS.WALLET_RECORDS]: (params) => ({ data: recordsPage(params) }),
+    [ENDPOINTS.FINANCIAL_VIEW]: () => ({ data: financialView() }),
+    [ENDPOINTS.FINANCIAL_PRODUCT_DETAIL]: (params) => productResponse(params),
+    [ENDPOINTS.INCOME_DATA]: (params) => ({ data: incomeData(Number(params.days) || 1) }),
+    [ENDPOINTS.INCOME_TEAM_DATA]: () => ({ data: teamData() }),
+    [ENDPOINTS.QUANTIFY_EXECUTE]: (params, context) => ({
+      data: quantifyResult({}, context.now)
+    }),
+    [ENDPOINTS.CPLX_BUY_STATUS]: { data: { isOpen: false } },
+    [ENDPOINTS.ADS_LIST]: (params) => ({
+      data: params.positionKey === 'NODE_CPLX_OPEN'
+        ? [{ id: 1, positionKey: 'NODE_CPLX_OPEN', title: 'CPLX node opening', img: '', url: '' }]
+        : []
+    })
+  }
+};
+
+/**
+ * Built-in scenarios, selected by name
+ */
+const SCENARIOS = {
+  default: DEFAULT_SCENARIO,
+
+  // New account: no balance, records, investments or income
+  'empty-wallet': {
+    endpoints: {
+      [ENDPOINTS.WALLET_OVERVIEW]: () => ({
+        data: walletOverview({ totalAmount: '0', totalFlexibleAmount: '0', totalPendingAmount: '0' })
+      }),
+      [ENDPOINTS.WALLET_RECORDS]: (params) => ({ data: recordsPage({ ...params, records: [] }) }),
+      [ENDPOINTS.FINANCIAL_VIEW]: () => ({ data: financialView({ balance: '0' }) }),
+      [ENDPOINTS.FINANCIAL_PRODUCT_DETAIL]: (params) => productResponse(params, { userBalance: '0' }),
+      [ENDPOINTS.INCOME_DATA]: () => ({
+        data: incomeData(0, { quantifyIncome: '0', recommendQuantifyIncome: '0' })
+      }),
+      [ENDPOINTS.QUANTIFY_EXECUTE]: { code: 1004, msg: 'Insufficient balance' }
+    }
+  },
+
+  // Quantify is closed for the day
+  'quantify-unavailable': {
+    endpoints: {
+      [ENDPOINTS.QUANTIFY_EXECUTE]: { code: 1005, msg: 'Operation not available' }
+    }
+  },
+
+  // Every call after login fails with HTTP 500
+  'server-error': {
+    endpoints: {
+      '*': { status: 500, body: 'Internal Server Error' }
+    }
+  },
+
+  // Every call after login is rate limited
+  'rate-limited': {
+    endpoints: {
+      '*': { status: 429, headers: { 'Retry-After': '1' }, body: JSON.stringify({ code: 429, msg: 'Too many requests' }) }
+    }
+  },
+
+  // Every endpoint answers after two seconds
+  slow: {
+    latency: 2000
+  }
+};
+
+/**
+ * Resolve a scenario name or object into a chain of scenarios to search
+ *
+ * @param {string|Object} [scenario='default'] - Scenario name, or object with
+ *   `endpoints`, `latency` and `extends` (name or object)
+ * @returns {Array<Object>} Scenarios, most specific first, ending with the default
+ * @throws {Error} If a scenario name is unknown
+ */
+function resolveScenario(scenario = 'default') {
+  const chain = [];
+  let current = scenario;
+
+  while (current) {
+    if (typeof current === 'string') {
+      if (!SCENARIOS[current]) {
+        throw new Error(`Unknown mock scenario: ${current} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+      }
+      current = SCENARIOS[current];
+    }
+
+    chain.push(current);
+    current = current.extends;
+  }
+
+  if (!chain.includes(DEFAULT_SCENARIO)) {
+    chain.push(DEFAULT_SCENARIO);
+  }
+
+  return chain;
+}
+
+module.exports = {
+  SCENARIOS,
+  DEFAULT_SCENARIO,
+  PRODUCTS,
+  resolveScenario
+};
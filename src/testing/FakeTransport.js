@@ -0,0 +1,78 @@
+/**
+ * CoinPlex Fake Transport
+ *
+ * Transport that answers requests from an in-process MockApi instead of
+ * the network. Responses are signed, token-checked and RSA encrypted like
+ * the production API, so clients built on it run their full pipeline
+ * without sockets, ports or credentials.
+ */
+
+const { MockApi } = require('../mock/MockApi');
+const { TimeoutError } = require('../core/errors');
+const { createAbortError } = require('../core/abort');
+const { ERROR_MESSAGES } = require('../utils/constants');
+
+/**
+ * In-process fake transport
+ */
+class FakeTransport {
+  /**
+   * @param {MockApi|Object} [api={}] - Mock API, or options to create one (see MockApi)
+   */
+  constructor(api = {}) {
+    this.api = api instanceof MockApi ? api : new MockApi(api);
+    this.stats = { requests: 0 };
+  }
+
+  /**
+   * Send a request to the mock API
+   *
+   * A response slower than `request.timeout` fails with TimeoutError after
+   * the timeout, like the HTTPS transport. Latency is waited out on the
+   * mock API's clock.
+   *
+   * @param {Object} request - Prepared request (see HttpsTransport#send)
+   * @returns {Promise<Object>} Raw response with statusCode, headers and body
+   * @throws {TimeoutError} If the response is slower than the timeout
+   * @throws {AbortError} If the signal aborts the request
+   */
+  async send(request) {
+    const endpoint = request.endpoint || request.path;
+
+    if (request.signal && request.signal.aborted) {
+      throw createAbortError(request.signal, endpoint);
+    }
+
+    this.stats.requests++;
+    const { delay: latency, statusCode, headers, body } = this.api.handle({ ...request, endpoint });
+
+    if (request.timeout && latency >= request.timeout) {
+      await this.api.clock.sleep(request.timeout, request.signal);
+      throw new TimeoutError(`${ERROR_MESSAGES.TIMEOUT}: no response after ${request.timeout}ms`, { endpoint });
+    }
+
+    if (latency > 0) {
+      await this.api.clock.sleep(latency, request.signal);
+    }
+
+    return { statusCode, headers, body };
+  }
+
+  /**
+   * Get request statistics
+   *
+   * @returns {Object} Request count
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Reset request statistics
+   */
+  resetStats() {
+    this.stats = { requests: 0 };
+  }
+}
+
+module.exports = { FakeTransport };
@@ -0,0 +1,385 @@
+/**
+ * CoinPlex Test Data Factories
+ *
+ * Realistic API payloads modelled on real responses, for tests of code
+ * built on the SDK, plus helpers that wrap them into raw transport
+ * responses encrypted like the production API. Every factory merges its
+ * `overrides` over the defaults.
+ */
+
+const { COINS, USER_LEVELS, TRANSACTION_TYPES } = require('../utils/constants');
+const { encryptRSAResponse } = require('../core/decryption');
+
+/**
+ * Financial product zones
+ */
+const PRODUCTS = [
+  { productId: 1, name: 'Zone 1', daysMin: 7, daysMax: 8, incomeRateMin: '0.010', incomeRateMax: '0.014', min: '200', max: '5000', limitLevelMin: 2 },
+  { productId: 2, name: 'Zone 2', daysMin: 30, daysMax: 50, incomeRateMin: '0.014', incomeRateMax: '0.018', min: '200', max: '10000', limitLevelMin: 2 },
+  { productId: 3, name: 'Zone 3', daysMin: 60, daysMax: 80, incomeRateMin: '0.018', incomeRateMax: '0.022', min: '200', max: '20000', limitLevelMin: 3 },
+  { productId: 4, name: 'Zone 4', daysMin: 90, daysMax: 110, incomeRateMin: '0.022', incomeRateMax: '0.026', min: '200', max: '30000', limitLevelMin: 4 },
+  { productId: 5, name: 'Zone 5', daysMin: 120, daysMax: 150, incomeRateMin: '0.026', incomeRateMax: '0.030', min: '200', max: '50000', limitLevelMin: 5 },
+  { productId: 6, name: 'Zone 6', daysMin: 180, daysMax: 360, incomeRateMin: '0.030', incomeRateMax: '0.035', min: '200', max: '100000', limitLevelMin: 6 }
+];
+
+/**
+ * Coin prices in USDT used by wallet factories
+ *
+ * @private
+ */
+const COIN_PRICES = { USDT: '1', CPLX: '1.10368' };
+
+/**
+ * User profile (`/api/user/info/personal`)
+ *
+ * @param {Object} [overrides={}] - Fields to replace; `levelName` follows `level`
+ * @returns {Object} Profile
+ */
+function profile(overrides = {}) {
+  const level = overrides.level ?? 2;
+  return {
+    userId: 12345,
+    nickname: 'mock_user',
+    c2cNickname: '',
+    avatar: '',
+    gender: 0,
+    birth: '',
+    hasSetPassword: true,
+    hasBindGoogleAuth: false,
+    hasOpenGoogleAuth: false,
+    inviteCode: 'MOCK01',
+    registerTime: '01/01/2024 10:00:00',
+    identityStatus: -2,
+    unreadCount: 0,
+    level,
+    levelName: USER_LEVELS[level],
+    totalBalance: '1000.50',
+    totalRecharge: '258.198542',
+    totalWithdraw: '1700',
+    totalIncome: '1649.45898206',
+    startInfoStatusStr: 'true',
+    startMonthAddPercentOpen: true,
+    startLevel: 0,
+    twoThreeAddTeamCount: 0,
+    oneAddTeamCount: 1,
+    teamActivityGrowthPercent: '0',
+    teamActivityGrowthPercentBoolean: false,
+    defaultMonthlyPayment: '0',
+    teamCount: 1,
+    effectiveCount: 1,
+    mobilePrefix: '49',
+    mobile: '1234567890',
+    email: 'mock@example.com',
+    flexibleAmount: '0.00002392',
+    pendingAmount: '100.25',
+    experienceGoldAmount: '0',
+    chatCount: 10,
+    useChatCount: 0,
+    hasShowAI: true,
+    ...overrides
+  };
+}
+
+/**
+ * One coin of the wallet overview
+ *
+ * @param {string} [coinName='USDT'] - Coin name from COINS
+ * @param {string} [balance='0'] - Coin balance
+ * @param {Object} [overrides={}] - Fields to replace
+ * @returns {Object} Wallet coin
+ */
+function walletCoin(coinName = 'USDT', balance = '0', overrides = {}) {
+  const coin = COINS[coinName] || { ID: 0, NAME: coinName, FULL_NAME: coinName };
+  const price = COIN_PRICES[coinName] || '1';
+  const amount = (Number(balance) * Number(price)).toString();
+
+  return {
+    coinId: coin.ID,
+    coinFullName: coin.FULL_NAME,
+    coinName: coin.NAME,
+    coinIcon: '',
+    coinPrice: price,
+    total: balance,
+    balance,
+    frozen: '0',
+    totalAmount: amount,
+    balanceAmount: amount,
+    frozenAmount: '0',
+    hasOpen: true,
+    flexibleAmount: balance,
+    pendingAmount: '0',
+    ...overrides
+  };
+}
+
+/**
+ * Wallet overview (`/api/wallet/asset/overview`)
+ *
+ * @param {Object} [overrides={}] - Fields to replace; `totalAmount` also sets the USDT balance
+ *   unless `list` is given
+ * @returns {Object} Wallet overview
+ */
+function walletOverview(overrides = {}) {
+  const total = overrides.totalAmount ?? '1000.50';
+  return {
+    totalAmount: total,
+    totalBalance: total,
+    totalFrozen: '0',
+    totalFlexibleAmount: '0.00002392',
+    totalPendingAmount: '100.25',
+    list: [walletCoin('USDT', total), walletCoin('CPLX', '0')],
+    experienceGoldAmount: '0',
+    ...overrides
+  };
+}
+
+/**
+ * One wallet record
+ *
+ * @param {Object} [overrides={}] - Fields to replace; `type` follows `typeCode`
+ * @returns {Object} Wallet record
+ */
+function walletRecord(overrides = {}) {
+  const typeCode = overrides.typeCode ?? 10002;
+  return {
+    id: 39866376,
+    coinId: COINS.USDT.ID,
+    coinName: COINS.USDT.NAME,
+    amount: '0.93180014',
+    typeCode,
+    type: TRANSACTION_TYPES[typeCode] || '',
+    typeIcon: '',
+    statusCode: 1,
+    status: 'completed',
+    date: '07/23/2025 15:30:50',
+    dataSn: 'SR202507231530451038LZL9LHDEEA',
+    ...overrides
+  };
+}
+
+/**
+ * Page of wallet records (`/api/v2/wallet/record`)
+ *
+ * @param {Object} [options={}] - Page options
+ * @param {Array<Object>} [options.records] - All records, defaults to 25 daily quantify incomes
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.pageSize=10] - Records per page
+ * @param {string} [options.yearMonth=''] - Year-month echoed back
+ * @returns {Object} Records page with `list`, `page` and `yearMonth`
+ */
+function recordsPage(options = {}) {
+  const records = options.records || Array.from({ length: 25 }, (_, i) => walletRecord({
+    id: 39866376 - i,
+    date: `07/${String(25 - i).padStart(2, '0')}/2025 15:30:50`,
+    dataSn: `SR2025072315304510${String(i).padStart(2, '0')}LZL9LHDEEA`
+  }));
+  const index = Number(options.page) || 1;
+  const pageSize = Number(options.pageSize) || 10;
+
+  return {
+    list: records.slice((index - 1) * pageSize, index * pageSize),
+    page: {
+      index,
+      pageSize,
+      count: records.length,
+      totalPage: Math.ceil(records.length / pageSize)
+    },
+    yearMonth: options.yearMonth || ''
+  };
+}
+
+/**
+ * Financial overview (`/api/financial/view`)
+ *
+ * @param {Object} [overrides={}] - Fields to replace
+ * @returns {Object} Financial view
+ */
+function financialView(overrides = {}) {
+  return {
+    totalAmount: '0',
+    todayAmount: '0',
+    balance: '1000.50',
+    orderAmount: '0',
+    canRedeemAmount: '0',
+    myList: [],
+    ...overrides
+  };
+}
+
+/**
+ * Financial product detail (`/api/financial/product/detail`)
+ *
+ * @param {number|string} [productId=1] - Product zone, 1 to 6
+ * @param {Object} [overrides={}] - Fields to replace; `hasBuy` follows `userBalance` and `userLevel`
+ * @returns {Object} Product detail
+ */
+function productDetail(productId = 1, overrides = {}) {
+  const product = PRODUCTS.find(item => String(item.productId) === String(productId)) ||
+    { ...PRODUCTS[0], productId: Number(productId), name: `Zone ${productId}` };
+  const userBalance = overrides.userBalance ?? '1000.50';
+  const userLevel = overrides.userLevel ?? 2;
+
+  return {
+    ...product,
+    introduce: '',
+    img: '',
+    incomeCoinId: COINS.CPLX.ID,
+    incomeCoinName: COINS.CPLX.NAME,
+    incomeCoinIcon: '',
+    incomeCoinPrice: COIN_PRICES.CPLX,
+    limitLevelMinName: USER_LEVELS[product.limitLevelMin],
+    limitLevelMax: 7,
+    limitLevelMaxName: USER_LEVELS[7],
+    hasBuyToLevelLimit: userLevel >= product.limitLevelMin,
+    hasBuyToTime: true,
+    hasBuy: userLevel >= product.limitLevelMin && Number(userBalance) >= Number(product.min),
+    userBalance,
+    userLevel,
+    buyAmount: '2000',
+    buyCount: 7296,
+    userOrderAmount: '0',
+    oneGenCountLimit: 0,
+    twoThreeGenCountLimit: 0,
+    userOneGenCount: 1,
+    userTwoThreeGenCount: 0,
+    targetBuyAmount: '0',
+    useBuyAmount: '0',
+    canUseCardCount: 0,
+    ...overrides
+  };
+}
+
+/**
+ * Personal income for a period (`/api/income/data`)
+ *
+ * @param {number} [days=1] - Period in days; the default quantify income is 0.8 USDT a day
+ * @param {Object} [overrides={}] - Fields to replace
+ * @returns {Object} Income data
+ */
+function incomeData(days = 1, overrides = {}) {
+  return {
+    taskIncome: '0',
+    quantifyIncome: (0.8 * days).toFixed(8),
+    recommendQuantifyIncome: days >= 30 ? '0.35106183' : '0',
+    ...overrides
+  };
+}
+
+/**
+ * Team statistics (`/api/income/team/dataNew`)
+ *
+ * @param {Object} [overrides={}] - Fields to replace
+ * @returns {Object} Team data
+ */
+function teamData(overrides = {}) {
+  return {
+    newMemberCount: 0,
+    teamCount: 1,
+    teamTotalCount: 1,
+    teamSumIncomeAmount: '59.52480386',
+    incomeAmount: '0',
+    todayTeamIncome: '0',
+    totalTeamIncome: '496.04004453',
+    totalQuantifyAmount: '403.04004453',
+    rechargeAmount: '150',
+    withdrawAmount: '250',
+    ...overrides
+  };
+}
+
+/**
+ * Quantify execution result (`/api/quantify/execute`)
+ *
+ * @param {Object} [overrides={}] - Fields to replace
+ * @param {number} [now=Date.now()] - Current time, e.g. from a VirtualClock
+ * @returns {Object} Execution result, completing five minutes after `now`
+ */
+function quantifyResult(overrides = {}, now = Date.now()) {
+  return {
+    hasTip: true,
+    expectedCompletionTime: now + 5 * 60 * 1000,
+    message: 'Quantify executed successfully',
+    ...overrides
+  };
+}
+
+/**
+ * Wrap data into a raw transport response, as the API sends it
+ *
+ * @param {*} data - Response data
+ * @param {Object} [options={}] - Response options
+ * @param {boolean} [options.encrypt=true] - RSA encrypt the data like the production API
+ * @param {number} [options.statusCode=200] - HTTP status
+ * @param {Object} [options.headers] - Response headers
+ * @returns {Object} { statusCode, headers, body } to return from a transport
+ * @example
+ * const transport = { send: async () => apiResponse(walletOverview({ totalAmount: '0' })) };
+ */
+function apiResponse(data, options = {}) {
+  const encrypt = options.encrypt !== false && data !== null && data !== undefined;
+
+  return {
+    statusCode: options.statusCode || 200,
+    headers: { 'content-type': 'application/json', ...options.headers },
+    body: JSON.stringify({ code: 0, msg: 'success', data: encrypt ? encryptRSAResponse(data) : data ?? null })
+  };
+}
+
+/**
+ * Build a raw error response carrying a business code
+ *
+ * @param {number} code - Business code, e.g. 1004 for insufficient balance
+ * @param {string} [msg='error'] - Envelope message
+ * @param {number} [statusCode=200] - HTTP status
+ * @returns {Object} { statusCode, headers, body } to return from a transport
+ */
+function errorResponse(code, msg = 'error', statusCode = 200) {
+  return {
+    statusCode,
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ code, msg, data: null })
+  };
+}
+
+/**
+ * Data factories
+ */
+const factories = {
+  profile,
+  walletCoin,
+  walletOverview,
+  walletRecord,
+  recordsPage,
+  financialView,
+  productDetail,
+  incomeData,
+  teamData,
+  quantifyResult
+};
+
+/**
+ * Raw encrypted responses, taking the same arguments as the data factories
+ *
+ * @example
+ * responses.incomeData(7, { quantifyIncome: '12.5' });
+ * // { statusCode: 200, headers: {...}, body: '{"code":0,"msg":"success","data":"<RSA ciphertext>"}' }
+ */
+const responses = {
+  profile: (...args) => apiResponse(profile(...args)),
+  walletOverview: (...args) => apiResponse(walletOverview(...args)),
+  recordsPage: (...args) => apiResponse(recordsPage(...args)),
+  financialView: (...args) => apiResponse(financialView(...args)),
+  productDetail: (...args) => apiResponse(productDetail(...args)),
+  incomeData: (...args) => apiResponse(incomeData(...args)),
+  teamData: (...args) => apiResponse(teamData(...args)),
+  quantifyResult: (...args) => apiResponse(quantifyResult(...args))
+};
+
+module.exports = {
+  ...factories,
+  factories,
+  responses,
+  apiResponse,
+  errorResponse,
+  PRODUCTS
+};
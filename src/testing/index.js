@@ -0,0 +1,66 @@
+/**
+ * CoinPlex Testing Kit
+ *
+ * In-process helpers for testing code built on the SDK: factories for
+ * realistic API payloads, raw responses encrypted like production, and
+ * a fake client answering from a mock API without any network.
+ */
+
+const { MockApi } = require('../mock/MockApi');
+const { FakeTransport } = require('./FakeTransport');
+const { ChaosTransport } = require('../core/chaos');
+const { VirtualClock } = require('../core/clock');
+const factories = require('./factories');
+const { SandboxAccount, createSandbox } = require('./sandbox');
+
+/**
+ * Credentials the fake client logs in with unless others are given
+ *
+ * @private
+ */
+const DEFAULT_CREDENTIALS = { prefix: '49', account: '123456789', code: '000000' };
+
+/**
+ * Create a client wired to an in-process mock API
+ *
+ * The mock API is available as `client.mock`, to switch scenarios,
+ * override responses and inspect requests. It runs on `config.clock`, so
+ * a VirtualClock drives token expiry and latency on both sides.
+ *
+ * @param {Object} [options={}] - Mock API options (see MockApi), plus:
+ * @param {Object} [options.config={}] - Client configuration to merge over the defaults
+ * @returns {CoinPlex} Client using a FakeTransport
+ * @example
+ * const client = createFakeClient({ scenario: 'empty-wallet' });
+ * client.mock.respond('/api/quantify/execute', { code: 1005, msg: 'Operation not available' });
+ * await client.quantify.execute(); // throws ApiError 1005
+ */
+function createFakeClient(options = {}) {
+  // Required here to avoid a cycle, as the package entry point exports this module
+  const CoinPlex = require('../../index');
+  const { config = {}, ...apiOptions } = options;
+  const api = new MockApi({ clock: config.clock, ...apiOptions });
+
+  const client = new CoinPlex({
+    apiKey: api.options.apiKey,
+    apiSecret: api.options.apiSecret,
+    credentials: api.options.credentials || DEFAULT_CREDENTIALS,
+    rateLimit: false,
+    ...config,
+    transport: new FakeTransport(api)
+  });
+
+  client.mock = api;
+  return client;
+}
+
+module.exports = {
+  ...factories,
+  MockApi,
+  FakeTransport,
+  ChaosTransport,
+  VirtualClock,
+  createFakeClient,
+  SandboxAccount,
+  createSandbox
+};
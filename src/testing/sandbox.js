@@ -0,0 +1,507 @@
+/**
+ * CoinPlex Sandbox
+ *
+ * In-memory simulated account behind a fake client, for trying
+ * automation logic without real money. Quantify executions earn income
+ * and write wallet records, financial purchases lock balance until
+ * maturity, and the user level gates products, all on the client's clock.
+ */
+
+const { ENDPOINTS, USER_LEVELS, TRANSACTION_TYPES } = require('../utils/constants');
+const { ApiError } = require('../core/errors');
+const { resolveClock } = require('../core/clock');
+const {
+  profile,
+  walletCoin,
+  walletOverview,
+  walletRecord,
+  recordsPage,
+  financialView,
+  productDetail,
+  quantifyResult,
+  PRODUCTS
+} = require('./factories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Round an amount to 8 decimals
+ *
+ * @private
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Format an amount like the API does
+ *
+ * @private
+ * @param {number} value - Amount
+ * @returns {string} Amount without trailing zeros
+ */
+function amount(value) {
+  return String(round(value));
+}
+
+/**
+ * Format a time like API record dates (MM/DD/YYYY HH:mm:ss, UTC)
+ *
+ * @private
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Formatted date
+ */
+function formatDate(time) {
+  const iso = new Date(time).toISOString();
+  return `${iso.slice(5, 7)}/${iso.slice(8, 10)}/${iso.slice(0, 4)} ${iso.slice(11, 19)}`;
+}
+
+/**
+ * Simulated CoinPlex account
+ */
+class SandboxAccount {
+  /**
+   * @param {Object} [initialState={}] - Starting state
+   * @param {number} [initialState.userId=12345] - User ID
+   * @param {number} [initialState.level=2] - User level, a key of USER_LEVELS
+   * @param {number|string} [initialState.balance=1000.50] - Available USDT
+   * @param {number|string} [initialState.cplx=0] - CPLX balance
+   * @param {Array<Object>} [initialState.records=[]] - Earlier records: { typeCode, amount, time }
+   * @param {number} [initialState.quantifyRate=0.0009] - Share of the available balance earned per execution
+   * @param {number} [initialState.quantifyLimit=10] - Executions allowed per UTC day
+   * @param {number} [initialState.quantifyDuration=300000] - Time from execution to income in ms
+   * @param {Object} [clock] - Time source (see clock.js)
+   * @throws {Error} If the level is unknown
+   */
+  constructor(initialState = {}, clock = resolveClock()) {
+    this.clock = clock;
+    this.userId = initialState.userId || 12345;
+    this.level = this._checkLevel(initialState.level ?? 2);
+    this.balance = round(Number(initialState.balance ?? 1000.50));
+    this.cplx = round(Number(initialState.cplx ?? 0));
+    this.quantifyRate = initialState.quantifyRate ?? 0.0009;
+    this.quantifyLimit = initialState.quantifyLimit ?? 10;
+    this.quantifyDuration = initialState.quantifyDuration ?? 5 * 60 * 1000;
+    this.executions = [];
+    this.orders = [];
+    this.records = [];
+    this.sequence = 0;
+
+    for (const record of initialState.records || []) {
+      this._record(record.typeCode, Number(record.amount), record.time ?? this.clock.now());
+    }
+  }
+
+  /**
+   * Add USDT to the available balance
+   *
+   * @param {number} value - Amount to deposit
+   * @returns {SandboxAccount} The account, for chaining
+   */
+  deposit(value) {
+    this.settle();
+    this.balance = round(this.balance + Number(value));
+    this._record(201, Number(value));
+    return this;
+  }
+
+  /**
+   * Change the user level
+   *
+   * @param {number} level - New level, a key of USER_LEVELS
+   * @returns {SandboxAccount} The account, for chaining
+   * @throws {Error} If the level is unknown
+   */
+  setLevel(level) {
+    this.level = this._checkLevel(level);
+    return this;
+  }
+
+  /**
+   * Buy a financial product, locking the amount until maturity
+   *
+   * The SDK has no purchase endpoint, so purchases are made on the sandbox
+   * directly; their effects show through every API read.
+   *
+   * @param {number|string} productId - Product zone, 1 to 6
+   * @param {number|string} value - Amount in USDT
+   * @param {Object} [options={}] - Purchase options
+   * @param {number} [options.days] - Term in days, within the product range (defaults to its minimum)
+   * @returns {Object} Order
+   * @throws {ApiError} 3001 for an unknown product or term, 2002 below the product level,
+   *   3002 outside the product's `min`/`max` limits, 1004 for insufficient balance
+   * @example
+   * client.sandbox.purchase(2, 500, { days: 30 });
+   * await clock.advance(30 * 24 * 60 * 60 * 1000); // capital returns to the balance
+   */
+  purchase(productId, value, options = {}) {
+    this.settle();
+
+    value = Number(value);
+    const product = PRODUCTS.find(item => String(item.productId) === String(productId));
+    const days = options.days ?? (product && product.daysMin);
+    const fail = (code, msg) => new ApiError(msg, { endpoint: 'sandbox.purchase', code, serverMessage: msg });
+
+    if (!product || days < product.daysMin || days > product.daysMax) {
+      throw fail(3001, 'Product not available');
+    }
+    if (this.level < product.limitLevelMin) {
+      throw fail(2002, `Invalid user level: ${USER_LEVELS[product.limitLevelMin]} required`);
+    }
+    if (isNaN(value) || value < Number(product.min) || this._invested(product.productId) + value > Number(product.max)) {
+      throw fail(3002, 'Investment limit exceeded');
+    }
+    if (value > this.balance) {
+      throw fail(1004, 'Insufficient balance');
+    }
+
+    const now = this.clock.now();
+    const order = {
+      orderId: ++this.sequence,
+      productId: product.productId,
+      name: product.name,
+      amount: round(value),
+      days,
+      startTime: now,
+      maturityTime: now + days * DAY,
+      status: 'active'
+    };
+
+    this.balance = round(this.balance - value);
+    this.orders.push(order);
+    this._record(101, -value, now);
+
+    return { ...order };
+  }
+
+  /**
+   * Apply everything due by the current time: quantify income and matured orders
+   *
+   * Runs before every API read, so it only needs calling to inspect state directly.
+   *
+   * @returns {SandboxAccount} The account, for chaining
+   */
+  settle() {
+    const now = this.clock.now();
+    const due = [
+      ...this.executions.filter(item => !item.credited && item.completesAt <= now)
+        .map(item => ({ time: item.completesAt, apply: () => this._credit(item) })),
+      ...this.orders.filter(item => item.status === 'active' && item.maturityTime <= now)
+        .map(item => ({ time: item.maturityTime, apply: () => this._mature(item) }))
+    ];
+
+    due.sort((a, b) => a.time - b.time).forEach(item => item.apply());
+    return this;
+  }
+
+  /**
+   * Get a snapshot of the account
+   *
+   * @returns {Object} Level, balances, orders and records
+   */
+  getState() {
+    this.settle();
+    return {
+      time: this.clock.now(),
+      userId: this.userId,
+      level: this.level,
+      balance: this.balance,
+      locked: this._invested(),
+      pending: this._pending(),
+      cplx: this.cplx,
+      orders: this.orders.map(order => ({ ...order })),
+      records: this.records.map(entry => ({ ...entry.record, time: entry.time }))
+    };
+  }
+
+  /**
+   * Build the mock API scenario serving this account
+   *
+   * @returns {Object} Scenario (see scenarios.js)
+   */
+  scenario() {
+    const read = (render) => (params) => {
+      this.settle();
+      return render(params);
+    };
+
+    return {
+      endpoints: {
+        [ENDPOINTS.USER_PROFILE]: read(() => ({ data: this._profile() })),
+        [ENDPOINTS.WALLET_OVERVIEW]: read(() => ({ data: this._overview() })),
+        [ENDPOINTS.WALLET_RECORDS]: read((params) => ({ data: this._records(params) })),
+        [ENDPOINTS.FINANCIAL_VIEW]: read(() => ({ data: this._financialView() })),
+        [ENDPOINTS.FINANCIAL_PRODUCT_DETAIL]: read((params) => this._productDetail(params.productId)),
+        [ENDPOINTS.INCOME_DATA]: read((params) => ({ data: this._incomeData(Number(params.days) || 1) })),
+        [ENDPOINTS.QUANTIFY_EXECUTE]: read(() => this._execute())
+      }
+    };
+  }
+
+  /**
+   * Run a quantify execution
+   *
+   * @private
+   * @returns {Object} Scenario response
+   */
+  _execute() {
+    const now = this.clock.now();
+    const today = Math.floor(now / DAY);
+
+    if (this.executions.filter(item => Math.floor(item.time / DAY) === today).length >= this.quantifyLimit) {
+      return { code: 1005, msg: 'Operation not available' };
+    }
+    if (this.balance <= 0) {
+      return { code: 1004, msg: 'Insufficient balance' };
+    }
+
+    const execution = {
+      time: now,
+      completesAt: now + this.quantifyDuration,
+      income: round(this.balance * this.quantifyRate),
+      credited: false
+    };
+    this.executions.push(execution);
+
+    if (this.quantifyDuration <= 0) {
+      this._credit(execution);
+    }
+
+    return { data: quantifyResult({ expectedCompletionTime: execution.completesAt }) };
+  }
+
+  /**
+   * Credit the income of a completed execution
+   *
+   * @private
+   * @param {Object} execution - Execution
+   */
+  _credit(execution) {
+    execution.credited = true;
+    this.balance = round(this.balance + execution.income);
+    this._record(10002, execution.income, execution.completesAt);
+  }
+
+  /**
+   * Return the capital of a matured order
+   *
+   * @private
+   * @param {Object} order - Order
+   */
+  _mature(order) {
+    order.status = 'completed';
+    this.balance = round(this.balance + order.amount);
+    this._record(102, order.amount, order.maturityTime);
+  }
+
+  /**
+   * Add a USDT wallet record
+   *
+   * @private
+   * @param {number} typeCode - Key of TRANSACTION_TYPES
+   * @param {number} value - Signed amount
+   * @param {number} [time] - Record time, defaults to now
+   */
+  _record(typeCode, value, time = this.clock.now()) {
+    const id = 39866376 + this.records.length;
+    this.records.push({
+      time,
+      record: walletRecord({
+        id,
+        typeCode,
+        type: TRANSACTION_TYPES[typeCode] || '',
+        amount: amount(value),
+        date: formatDate(time),
+        dataSn: `SR${new Date(time).toISOString().replace(/\D/g, '').slice(0, 14)}${String(id).slice(-6)}`
+      })
+    });
+  }
+
+  /**
+   * Sum the active orders
+   *
+   * @private
+   * @param {number} [productId] - Only orders of this product
+   * @returns {number} Locked amount
+   */
+  _invested(productId) {
+    return round(this.orders
+      .filter(order => order.status === 'active' && (productId === undefined || order.productId === productId))
+      .reduce((sum, order) => sum + order.amount, 0));
+  }
+
+  /**
+   * Sum the income of executions still running
+   *
+   * @private
+   * @returns {number} Pending income
+   */
+  _pending() {
+    return round(this.executions.filter(item => !item.credited).reduce((sum, item) => sum + item.income, 0));
+  }
+
+  /**
+   * Sum quantify income since a time
+   *
+   * @private
+   * @param {number} [since=0] - Start time
+   * @returns {number} Income
+   */
+  _income(since = 0) {
+    return round(this.records
+      .filter(entry => entry.record.typeCode === 10002 && entry.time > since)
+      .reduce((sum, entry) => sum + Number(entry.record.amount), 0));
+  }
+
+  /**
+   * @private
+   * @returns {Object} Profile data
+   */
+  _profile() {
+    return profile({
+      userId: this.userId,
+      level: this.level,
+      totalBalance: amount(this.balance + this._invested()),
+      totalIncome: amount(this._income()),
+      flexibleAmount: amount(this.balance),
+      pendingAmount: amount(this._pending())
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Object} Wallet overview data
+   */
+  _overview() {
+    const locked = this._invested();
+    const total = amount(this.balance + locked);
+
+    return walletOverview({
+      totalAmount: total,
+      totalBalance: total,
+      totalFrozen: amount(locked),
+      totalFlexibleAmount: amount(this.balance),
+      totalPendingAmount: amount(this._pending()),
+      list: [
+        walletCoin('USDT', amount(this.balance), {
+          total,
+          frozen: amount(locked),
+          totalAmount: total,
+          frozenAmount: amount(locked)
+        }),
+        walletCoin('CPLX', amount(this.cplx))
+      ]
+    });
+  }
+
+  /**
+   * @private
+   * @param {Object} params - Request parameters
+   * @returns {Object} Records page, newest first
+   */
+  _records(params) {
+    const records = this.records
+      .filter(entry => !params.yearMonth ||
+        new Date(entry.time).toISOString().slice(0, 7).replace('-', '') === String(params.yearMonth))
+      .sort((a, b) => b.time - a.time || b.record.id - a.record.id)
+      .map(entry => entry.record);
+
+    return recordsPage({ ...params, records });
+  }
+
+  /**
+   * @private
+   * @returns {Object} Financial view data
+   */
+  _financialView() {
+    const today = Math.floor(this.clock.now() / DAY);
+    const active = this.orders.filter(order => order.status === 'active');
+
+    return financialView({
+      totalAmount: amount(this._invested()),
+      todayAmount: amount(this.orders
+        .filter(order => Math.floor(order.startTime / DAY) === today)
+        .reduce((sum, order) => sum + order.amount, 0)),
+      balance: amount(this.balance),
+      orderAmount: amount(this._invested()),
+      myList: active.map(order => ({
+        ...order,
+        amount: amount(order.amount),
+        startTime: formatDate(order.startTime),
+        maturityTime: formatDate(order.maturityTime)
+      }))
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} productId - Product zone
+   * @returns {Object} Scenario response
+   */
+  _productDetail(productId) {
+    const product = PRODUCTS.find(item => String(item.productId) === String(productId));
+    if (!product) {
+      return { code: 3001, msg: 'Product not available' };
+    }
+
+    return {
+      data: productDetail(productId, {
+        userBalance: amount(this.balance),
+        userLevel: this.level,
+        userOrderAmount: amount(this._invested(product.productId))
+      })
+    };
+  }
+
+  /**
+   * @private
+   * @param {number} days - Period in days
+   * @returns {Object} Income data
+   */
+  _incomeData(days) {
+    return {
+      taskIncome: '0',
+      quantifyIncome: amount(this._income(this.clock.now() - days * DAY)),
+      recommendQuantifyIncome: '0'
+    };
+  }
+
+  /**
+   * Validate a user level
+   *
+   * @private
+   * @param {number} level - Level
+   * @returns {number} Level
+   * @throws {Error} If the level is unknown
+   */
+  _checkLevel(level) {
+    if (USER_LEVELS[level] === undefined) {
+      throw new Error(`Invalid sandbox level: ${level} (expected one of ${Object.keys(USER_LEVELS).join(', ')})`);
+    }
+    return Number(level);
+  }
+}
+
+/**
+ * Create a client backed by a simulated account
+ *
+ * @param {Object} [initialState={}] - Starting state (see SandboxAccount)
+ * @param {Object} [config={}] - Client configuration, e.g. `{ clock }`
+ * @returns {CoinPlex} Client, with the account as `client.sandbox` and the mock API as `client.mock`
+ */
+function createSandbox(initialState = {}, config = {}) {
+  // Required here to avoid a cycle through the testing kit's index
+  const { createFakeClient } = require('./index');
+  const account = new SandboxAccount(initialState, resolveClock(config));
+  const client = createFakeClient({ userId: account.userId, scenario: account.scenario(), config });
+
+  client.sandbox = account;
+  return client;
+}
+
+module.exports = {
+  SandboxAccount,
+  createSandbox
+};
@@ -0,0 +1,73 @@
+/**
+ * CoinPlex SDK Batch Utilities
+ *
+ * Runs a worker over a list of items with a concurrency limit, collecting
+ * each item's outcome instead of failing the whole batch on the first
+ * error. Requests made by the workers still pass through the client's
+ * rate limiter.
+ */
+
+const { API_CONFIG } = require('./constants');
+const { isAbortError, throwIfAborted } = require('../core/abort');
+
+/**
+ * Run a worker for every item, at most `concurrency` at a time
+ *
+ * Results keep the order of the items. A failing item is recorded as
+ * rejected and the others carry on; an abort stops the batch and rejects.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} [options={}] - Batch options
+ * @param {number} [options.concurrency=4] - Maximum items processed at the same time
+ * @param {AbortSignal} [options.signal] - Signal that stops the batch
+ * @returns {Promise<Object>} { results, fulfilled, rejected }, where each result is
+ *   { item, index, status: 'fulfilled', value } or { item, index, status: 'rejected', error }
+ * @throws {AbortError} If the signal aborts the batch or a worker is aborted
+ * @example
+ * const { results } = await runBatch(['1', '2', '3'], id => client.financial.getProductDetail(id), {
+ *   concurrency: 2
+ * });
+ */
+async function runBatch(items, worker, options = {}) {
+  const { signal } = options;
+  const concurrency = Math.max(1, Math.floor(options.concurrency || API_CONFIG.DEFAULT_BATCH_CONCURRENCY));
+  const results = new Array(items.length);
+  let next = 0;
+  let stopped = false;
+
+  throwIfAborted(signal);
+
+  const runWorker = async () => {
+    while (!stopped && next < items.length) {
+      const index = next++;
+      const item = items[index];
+
+      try {
+        throwIfAborted(signal);
+        results[index] = { item, index, status: 'fulfilled', value: await worker(item, index) };
+      } catch (error) {
+        if (isAbortError(error)) {
+          stopped = true;
+          throw error;
+        }
+        results[index] = { item, index, status: 'rejected', error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+  await Promise.all(workers);
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled').length;
+
+  return {
+    results,
+    fulfilled,
+    rejected: results.length - fulfilled
+  };
+}
+
+module.exports = {
+  runBatch
+};
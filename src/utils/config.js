@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseBaseUrl } = require('./url');
+const { parseProxyUrl } = require('../core/proxy');
 
 /**
  * Default configuration values
@@ -19,6 +21,12 @@ const DEFAULT_CONFIG = {
   timeout: 30000,
   autoRetry: true,
   maxRetries: 3,
+  autoReauth: true,
+  tokenRefreshMargin: 60000,
+  keepAlive: true,
+  maxSockets: 10,
+  compression: true,
+  batchConcurrency: 4,
   
   // Authentication
   credentials: {
@@ -57,7 +65,37 @@ const ENV_MAPPINGS = {
   'COINPLEX_CODE': 'credentials.code',
   'COINPLEX_LOG_LEVEL': 'logging.level',
   'COINPLEX_AUTO_RETRY': 'autoRetry',
-  'COINPLEX_MAX_RETRIES': 'maxRetries'
+  'COINPLEX_MAX_RETRIES': 'maxRetries',
+  'COINPLEX_AUTO_REAUTH': 'autoReauth',
+  'COINPLEX_TOKEN_REFRESH_MARGIN': 'tokenRefreshMargin',
+  'COINPLEX_SESSION_FILE': 'sessionFile',
+  'COINPLEX_KEEP_ALIVE': 'keepAlive',
+  'COINPLEX_MAX_SOCKETS': 'maxSockets',
+  'COINPLEX_COMPRESSION': 'compression',
+  'COINPLEX_BATCH_CONCURRENCY': 'batchConcurrency',
+  'COINPLEX_FIXTURES': 'fixtures.mode',
+  'COINPLEX_FIXTURES_DIR': 'fixtures.dir',
+  'COINPLEX_PROXY': 'proxy',
+  'COINPLEX_NO_PROXY': 'noProxy'
+};
+
+/**
+ * Placeholder credentials used when replaying fixtures without real ones
+ *
+ * Recordings store credentials redacted, so any values match them.
+ */
+const REPLAY_CREDENTIALS = {
+  apiKey: 'replay',
+  apiSecret: 'replay',
+  credentials: { prefix: '0', account: 'replay', code: 'replay' }
+};
+
+/**
+ * Standard proxy environment variables, used when the COINPLEX_ ones are not set
+ */
+const PROXY_ENV_MAPPINGS = {
+  proxy: ['HTTPS_PROXY', 'https_proxy', 'ALL_PROXY', 'all_proxy'],
+  noProxy: ['NO_PROXY', 'no_proxy']
 };
 
 /**
@@ -97,7 +135,12 @@ function loadConfig(options = {}) {
   // 3. Apply direct overrides
   config = mergeConfig(config, overrides);
 
-  // 4. Validate configuration
+  // 4. Replaying recordings needs no credentials
+  if (config.fixtures && config.fixtures.mode === 'replay') {
+    config = fillMissing(config, REPLAY_CREDENTIALS);
+  }
+
+  // 5. Validate configuration
   validateConfig(config);
 
   return config;
@@ -139,6 +182,14 @@ function loadFromEnvironment() {
     }
   }
   
+  // Proxy URLs and host lists are kept as strings
+  for (const [configKey, envVars] of Object.entries(PROXY_ENV_MAPPINGS)) {
+    const envVar = envVars.find(name => process.env[name]);
+    if (config[configKey] === undefined && envVar) {
+      config[configKey] = process.env[envVar];
+    }
+  }
+  
   return config;
 }
 
@@ -208,6 +259,28 @@ function mergeConfig(base, override) {
   return result;
 }
 
+/**
+ * Fill empty configuration values from defaults
+ * 
+ * @private
+ * @param {Object} config - Configuration
+ * @param {Object} defaults - Values for fields that are empty in `config`
+ * @returns {Object} Configuration with the empty fields filled
+ */
+function fillMissing(config, defaults) {
+  const result = { ...config };
+  
+  for (const [key, value] of Object.entries(defaults)) {
+    if (value && typeof value === 'object') {
+      result[key] = fillMissing(result[key] || {}, value);
+    } else if (!result[key]) {
+      result[key] = value;
+    }
+  }
+  
+  return result;
+}
+
 /**
  * Validate configuration object
  * 
@@ -250,6 +323,20 @@ function validateConfig(config) {
   // URL validation
   if (config.baseUrl && typeof config.baseUrl !== 'string') {
     errors.push('baseUrl must be a string');
+  } else if (config.baseUrl) {
+    try {
+      parseBaseUrl(config.baseUrl);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  
+  if (config.proxy) {
+    try {
+      parseProxyUrl(config.proxy);
+    } catch (error) {
+      errors.push(error.message);
+    }
   }
   
   if (errors.length > 0) {
@@ -306,6 +393,29 @@ function getConfigSchema() {
       timeout: { type: 'number', minimum: 1000 },
       autoRetry: { type: 'boolean' },
       maxRetries: { type: 'number', minimum: 0 },
+      autoReauth: { type: 'boolean' },
+      tokenRefreshMargin: { type: 'number', minimum: 0 },
+      sessionFile: { type: 'string' },
+      keepAlive: { type: 'boolean' },
+      maxSockets: { type: 'number', minimum: 1 },
+      compression: { type: 'boolean' },
+      batchConcurrency: { type: 'number', minimum: 1 },
+      fixtures: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['record', 'replay', 'off'] },
+          dir: { type: 'string' }
+        }
+      },
+      chaos: {
+        type: 'object',
+        properties: {
+          seed: { type: 'number' },
+          faults: { type: 'array', items: { type: 'object', required: ['type'] } }
+        }
+      },
+      proxy: { type: 'string' },
+      noProxy: { type: 'string' },
       credentials: {
         type: 'object',
         required: ['prefix', 'account', 'code'],
@@ -47,6 +47,17 @@ const API_CONFIG = {
   DEFAULT_TIMEOUT: 30000,
   DEFAULT_USER_AGENT: 'Mozilla/5.0 (compatible; CoinPlexSDK/1.0)',
   
+  // Connection pool size per host for the keep-alive agent
+  DEFAULT_MAX_SOCKETS: 10,
+  
+  // Requests in flight at once in methods that fetch several items
+  DEFAULT_BATCH_CONCURRENCY: 4,
+  
+  // Token lifetime assumed when the JWT carries no exp claim
+  DEFAULT_TOKEN_LIFETIME: 24 * 60 * 60 * 1000,
+  // Tokens this close to expiry are refreshed before use
+  DEFAULT_TOKEN_REFRESH_MARGIN: 60000,
+  
   // Standard headers for all requests
   STANDARD_HEADERS: {
     'Content-Type': 'application/json',
@@ -103,7 +114,10 @@ const STATUS_CODES = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   RATE_LIMITED: 429,
-  SERVER_ERROR: 500
+  SERVER_ERROR: 500,
+  
+  // Business codes returned in the response envelope
+  TOKEN_INVALID: 1001
 };
 
 /**
@@ -219,7 +233,8 @@ const ERROR_MESSAGES = {
   INVALID_CONFIGURATION: 'Invalid configuration provided',
   TOKEN_EXPIRED: 'Authentication token has expired',
   API_ERROR: 'API request failed',
-  TIMEOUT: 'Request timeout exceeded'
+  TIMEOUT: 'Request timeout exceeded',
+  ABORTED: 'Operation was aborted'
 };
 
 /**
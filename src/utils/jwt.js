@@ -0,0 +1,58 @@
+/**
+ * CoinPlex SDK JWT Utilities
+ *
+ * Decodes (without verifying) the JSON Web Tokens issued by the login
+ * endpoint so the SDK can read expiry and identity claims.
+ */
+
+/**
+ * Decode a base64url string
+ *
+ * @param {string} segment - Base64url encoded segment
+ * @returns {string} Decoded UTF-8 string
+ */
+function decodeBase64Url(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Buffer.from(padded, 'base64').toString('utf8');
+}
+
+/**
+ * Decode the payload of a JWT
+ *
+ * The signature is not verified; the claims are only used for
+ * client-side bookkeeping such as scheduling token refreshes.
+ *
+ * @param {string} token - JWT string
+ * @returns {Object|null} Payload claims, or null if the token is not a decodable JWT
+ */
+function decodeJwtPayload(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(decodeBase64Url(parts[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a NumericDate claim (seconds since epoch) to a Date
+ *
+ * @param {number|string} value - Claim value
+ * @returns {Date|null} Date, or null if the claim is missing or invalid
+ */
+function claimToDate(value) {
+  const seconds = Number(value);
+  if (value === undefined || value === null || !isFinite(seconds)) return null;
+  return new Date(seconds * 1000);
+}
+
+module.exports = {
+  decodeJwtPayload,
+  claimToDate
+};
@@ -0,0 +1,444 @@
+/**
+ * CoinPlex SDK Data Scrubber
+ *
+ * Replaces personal data in decrypted payloads, recorded fixtures and log
+ * files with pseudonyms, so captures can be attached to bug reports. A
+ * scrubber maps each value to the same pseudonym every time (and across
+ * runs given the same salt), so relations between records survive.
+ * Encrypted payloads are decrypted, scrubbed and either left as plain data
+ * or encrypted again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  decryptRSAResponse,
+  encryptRSAResponse,
+  decryptAESString,
+  encryptAESString
+} = require('../core/decryption');
+const { decodeJwtPayload } = require('./jwt');
+
+/**
+ * Fields scrubbed by default
+ */
+const PII_FIELDS = ['mobile', 'email', 'inviteCode', 'userId', 'nickname', 'token'];
+
+/**
+ * File extensions scrubbed when walking a directory
+ */
+const DEFAULT_EXTENSIONS = ['.json', '.jsonl', '.log', '.txt'];
+
+/**
+ * Placeholder the fixture recorder writes for redacted values, left as is
+ *
+ * @private
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Prefix of CryptoJS passphrase-encrypted strings ("Salted__" in base64)
+ *
+ * @private
+ */
+const AES_PREFIX = 'U2FsdGVkX1';
+
+const JWT_PATTERN = /eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @private
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Encode bytes as base64url without padding
+ *
+ * @private
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base64url string
+ */
+function encodeBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Pseudonymizer for personal data
+ */
+class Scrubber {
+  /**
+   * @param {Object} [options={}] - Scrubber options
+   * @param {string} [options.salt] - Secret mixed into pseudonyms; give the same salt to get
+   *   the same pseudonyms across runs (defaults to a random salt)
+   * @param {Array<string>} [options.fields] - Extra field names to scrub, on top of PII_FIELDS
+   * @param {boolean} [options.reencrypt=false] - Encrypt scrubbed payloads again instead of
+   *   leaving them decrypted
+   * @example
+   * const scrubber = new Scrubber({ salt: 'bug-1234', reencrypt: true });
+   * const profile = scrubber.scrub(await client.user.getProfile());
+   * await scrubber.scrubDirectory('tests/fixtures', 'fixtures-scrubbed');
+   */
+  constructor(options = {}) {
+    this.salt = options.salt || crypto.randomBytes(16).toString('hex');
+    this.fields = [...PII_FIELDS, ...(options.fields || [])];
+    this.reencrypt = options.reencrypt === true;
+    this.pseudonyms = new Map();
+    this.produced = new Set();
+    this.replacements = {};
+
+    const keys = this.fields.map(escapeRegExp).join('|');
+    this.keyValuePattern = new RegExp(`(["']?)\\b(${keys})\\1(\\s*[:=]\\s*)(["']?)([^\\s"',;}\\]]+)\\4`, 'gi');
+  }
+
+  /**
+   * Scrub a decrypted payload or raw capture
+   *
+   * Walks objects and arrays, replacing the values of PII fields. Strings
+   * holding JSON (such as recorded response bodies) or API ciphertext are
+   * scrubbed inside.
+   *
+   * @param {*} value - Value to scrub
+   * @returns {*} Scrubbed copy
+   */
+  scrub(value) {
+    return this._walk(value, null);
+  }
+
+  /**
+   * Scrub the contents of a text file
+   *
+   * JSON documents are scrubbed as data, keeping their indentation.
+   * Other text (such as logs) is scrubbed line by line: JSON lines as data,
+   * and otherwise `field: value` and `field=value` pairs, JWTs and emails.
+   *
+   * @param {string} text - File contents
+   * @returns {string} Scrubbed contents
+   */
+  scrubText(text) {
+    const trimmed = text.trim();
+
+    if (/^[{[]/.test(trimmed)) {
+      try {
+        const data = JSON.parse(trimmed);
+        const indent = trimmed.includes('\n') ? 2 : 0;
+        return JSON.stringify(this.scrub(data), null, indent) + (text.endsWith('\n') ? '\n' : '');
+      } catch (error) {
+        // Not one JSON document; scrub it line by line
+      }
+    }
+
+    return text.split('\n').map(line => this._scrubLine(line)).join('\n');
+  }
+
+  /**
+   * Scrub one file
+   *
+   * @param {string} input - File to read
+   * @param {string} [output=input] - File to write
+   * @returns {Promise<void>}
+   */
+  async scrubFile(input, output = input) {
+    const text = await fs.promises.readFile(input, 'utf8');
+    await fs.promises.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.promises.writeFile(output, this.scrubText(text));
+  }
+
+  /**
+   * Scrub every matching file under a directory
+   *
+   * @param {string} dir - Directory to read
+   * @param {string} out - Directory to write, keeping relative paths; may be `dir` to scrub in place
+   * @param {Object} [options={}] - Walk options
+   * @param {Array<string>} [options.extensions] - File extensions to scrub (defaults to DEFAULT_EXTENSIONS)
+   * @returns {Promise<Array<string>>} Scrubbed files, relative to `dir`
+   * @throws {Error} If no output directory is given
+   */
+  async scrubDirectory(dir, out, options = {}) {
+    if (!out) {
+      throw new Error('Scrubber.scrubDirectory requires an output directory; pass the input directory to scrub in place');
+    }
+
+    const extensions = options.extensions || DEFAULT_EXTENSIONS;
+    const files = [];
+
+    const visit = async (relative) => {
+      const entries = await fs.promises.readdir(path.join(dir, relative), { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const file = path.join(relative, entry.name);
+        if (entry.isDirectory() && path.resolve(dir, file) !== path.resolve(out)) {
+          await visit(file);
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+          await this.scrubFile(path.join(dir, file), path.join(out, file));
+          files.push(file);
+        }
+      }
+    };
+
+    await visit('');
+    return files;
+  }
+
+  /**
+   * Get scrubbing statistics
+   *
+   * @returns {Object} Replacements per field and the number of distinct values pseudonymized
+   */
+  getStats() {
+    return {
+      replacements: { ...this.replacements },
+      pseudonyms: this.pseudonyms.size
+    };
+  }
+
+  /**
+   * Get the pseudonym of a value
+   *
+   * @param {string} field - Field the value belongs to
+   * @param {string|number} value - Original value
+   * @returns {string|number} Pseudonym, of the same type as the value
+   */
+  pseudonym(field, value) {
+    const kind = this._kind(field) || field;
+    const cacheKey = `${kind}\u0000${value}`;
+
+    if (this.produced.has(String(value))) {
+      return value;
+    }
+
+    let result = this.pseudonyms.get(cacheKey);
+    if (result === undefined) {
+      result = this._generate(kind, String(value));
+      this.pseudonyms.set(cacheKey, result);
+      this.produced.add(result);
+    }
+
+    this.replacements[kind] = (this.replacements[kind] || 0) + 1;
+    return typeof value === 'number' ? Number(result) : result;
+  }
+
+  /**
+   * Scrub any value, knowing the field it is held in
+   *
+   * @private
+   * @param {*} value - Value
+   * @param {string|null} key - Field name
+   * @returns {*} Scrubbed copy
+   */
+  _walk(value, key) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._walk(item, key));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [name, item] of Object.entries(value)) {
+        result[name] = this._walk(item, name);
+      }
+      return result;
+    }
+
+    if (key && this._isField(key) && this._isScrubbable(value)) {
+      return this.pseudonym(key, value);
+    }
+
+    return typeof value === 'string' ? this._scrubString(value) : value;
+  }
+
+  /**
+   * Scrub inside a string holding JSON or ciphertext
+   *
+   * @private
+   * @param {string} value - String
+   * @returns {*} Scrubbed string, or the scrubbed plain data of a ciphertext
+   */
+  _scrubString(value) {
+    const trimmed = value.trim();
+
+    if (/^[{[]/.test(trimmed)) {
+      try {
+        return JSON.stringify(this.scrub(JSON.parse(trimmed)));
+      } catch (error) {
+        return this._scrubLine(value);
+      }
+    }
+
+    if (trimmed.startsWith(AES_PREFIX)) {
+      const decrypted = decryptAESString(trimmed);
+      if (decrypted) {
+        const scrubbed = this._scrubString(decrypted);
+        if (this.reencrypt) {
+          return encryptAESString(scrubbed);
+        }
+        try {
+          return JSON.parse(scrubbed);
+        } catch (error) {
+          return scrubbed;
+        }
+      }
+    }
+
+    if (this._isRsaCiphertext(trimmed)) {
+      const decrypted = decryptRSAResponse(trimmed);
+      if (decrypted !== null) {
+        const scrubbed = this.scrub(decrypted);
+        return this.reencrypt ? encryptRSAResponse(scrubbed) : scrubbed;
+      }
+    }
+
+    return this._scrubLine(value);
+  }
+
+  /**
+   * Scrub one line of text
+   *
+   * @private
+   * @param {string} line - Line
+   * @returns {string} Scrubbed line
+   */
+  _scrubLine(line) {
+    const trimmed = line.trim();
+    if (/^[{[]/.test(trimmed)) {
+      try {
+        const data = JSON.parse(trimmed);
+        return line.slice(0, line.indexOf(trimmed)) + JSON.stringify(this.scrub(data));
+      } catch (error) {
+        // Not JSON; scrub the text
+      }
+    }
+
+    return line
+      .replace(this.keyValuePattern, (match, keyQuote, key, separator, valueQuote, value) =>
+        /^[[{]/.test(value) || value === 'null' || value === 'undefined'
+          ? match
+          : `${keyQuote}${key}${keyQuote}${separator}${valueQuote}${this.pseudonym(key, value)}${valueQuote}`)
+      .replace(JWT_PATTERN, token => this.pseudonym('token', token))
+      .replace(EMAIL_PATTERN, email => this.pseudonym('email', email));
+  }
+
+  /**
+   * Generate the pseudonym of a value
+   *
+   * @private
+   * @param {string} kind - Field kind
+   * @param {string} value - Original value
+   * @returns {string} Pseudonym
+   */
+  _generate(kind, value) {
+    const hash = crypto.createHmac('sha256', this.salt).update(`${kind}:${value}`).digest();
+    const hex = hash.toString('hex');
+    const digits = (length, first = 0) => Array.from({ length }, (_, i) =>
+      i === 0 && first ? 1 + (hash[i] % 9) : hash[i % hash.length] % 10).join('');
+
+    switch (kind) {
+      case 'mobile':
+        return (value.startsWith('+') ? '+' : '') + digits(Math.max(value.replace(/\D/g, '').length, 6));
+      case 'email':
+        return `user.${hex.slice(0, 8)}@example.invalid`;
+      case 'inviteCode': {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        return Array.from({ length: value.length || 6 }, (_, i) => alphabet[hash[i % hash.length] % alphabet.length]).join('');
+      }
+      case 'userId':
+        return /^\d+$/.test(value) ? digits(value.length, 1) : `user_${hex.slice(0, 8)}`;
+      case 'nickname':
+        return `user_${hex.slice(0, 6)}`;
+      case 'token':
+        return this._fakeToken(value, hash);
+      default:
+        return `${kind}_${hex.slice(0, 8)}`;
+    }
+  }
+
+  /**
+   * Build a pseudonym token
+   *
+   * A JWT keeps its header and its claims (scrubbed), so expiry checks still
+   * work on the scrubbed token; the signature is replaced.
+   *
+   * @private
+   * @param {string} value - Original token
+   * @param {Buffer} hash - Hash of the token
+   * @returns {string} Pseudonym token
+   */
+  _fakeToken(value, hash) {
+    const claims = decodeJwtPayload(value);
+
+    if (claims) {
+      const payload = encodeBase64Url(Buffer.from(JSON.stringify(this.scrub(claims))));
+      return `${value.split('.')[0]}.${payload}.${encodeBase64Url(hash)}`;
+    }
+
+    return `token_${hash.toString('hex').slice(0, 32)}`;
+  }
+
+  /**
+   * Check whether a string looks like RSA ciphertext from the API
+   *
+   * @private
+   * @param {string} value - String
+   * @returns {boolean} True for base64 of whole 128-byte blocks
+   */
+  _isRsaCiphertext(value) {
+    return value.length >= 172 &&
+      /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+      Buffer.from(value, 'base64').length % 128 === 0;
+  }
+
+  /**
+   * @private
+   * @param {string} key - Field name
+   * @returns {boolean} True if the field is scrubbed
+   */
+  _isField(key) {
+    return this._kind(key) !== null;
+  }
+
+  /**
+   * Get the configured field name matching a key, ignoring case
+   *
+   * @private
+   * @param {string} key - Field name
+   * @returns {string|null} Field kind
+   */
+  _kind(key) {
+    const lower = key.toLowerCase();
+    return this.fields.find(field => field.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * @private
+   * @param {*} value - Field value
+   * @returns {boolean} True for non-empty strings and numbers other than placeholders
+   */
+  _isScrubbable(value) {
+    return (typeof value === 'string' && value !== '' && value !== REDACTED) ||
+      (typeof value === 'number' && isFinite(value));
+  }
+}
+
+/**
+ * Scrub a value with a new scrubber
+ *
+ * @param {*} value - Decrypted payload or raw capture
+ * @param {Object} [options={}] - Scrubber options
+ * @returns {*} Scrubbed copy
+ */
+function scrub(value, options = {}) {
+  return new Scrubber(options).scrub(value);
+}
+
+module.exports = {
+  Scrubber,
+  scrub,
+  PII_FIELDS,
+  DEFAULT_EXTENSIONS
+};
@@ -0,0 +1,59 @@
+/**
+ * CoinPlex SDK URL Utilities
+ *
+ * Parses the `baseUrl` option into the protocol, host, port and path
+ * prefix used to address API requests.
+ */
+
+const { API_CONFIG } = require('./constants');
+
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'https:': 443
+};
+
+/**
+ * Parse a base URL
+ *
+ * Accepts a bare hostname (`api.coinplex.online`), a host with port
+ * (`localhost:8080`) or a full URL (`http://127.0.0.1:3000/coinplex`).
+ * Without a scheme, https is assumed.
+ *
+ * @param {string} [baseUrl] - Base URL, defaults to API_CONFIG.DEFAULT_BASE_URL
+ * @returns {Object} Target with protocol, hostname, port and pathPrefix
+ * @throws {Error} If the URL is malformed or uses an unsupported protocol
+ * @example
+ * parseBaseUrl('http://localhost:3000/v1');
+ * // => { protocol: 'http:', hostname: 'localhost', port: 3000, pathPrefix: '/v1' }
+ */
+function parseBaseUrl(baseUrl) {
+  const value = (baseUrl || API_CONFIG.DEFAULT_BASE_URL).trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid baseUrl: ${value}`);
+  }
+
+  if (!DEFAULT_PORTS[url.protocol]) {
+    throw new Error(`Invalid baseUrl: unsupported protocol ${url.protocol} (use http or https)`);
+  }
+
+  if (url.search || url.hash || url.username || url.password) {
+    throw new Error(`Invalid baseUrl: query, fragment and credentials are not supported: ${value}`);
+  }
+
+  return {
+    protocol: url.protocol,
+    // IPv6 literals come back bracketed; the http modules expect them bare
+    hostname: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+    port: url.port ? Number(url.port) : DEFAULT_PORTS[url.protocol],
+    pathPrefix: url.pathname.replace(/\/+$/, '')
+  };
+}
+
+module.exports = {
+  parseBaseUrl
+};
@@ -0,0 +1,122 @@
+/**
+ * CoinPlex SDK Cancellation Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, ok, status } = require('./helpers/client');
+
+describe('AbortSignal Support', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should reject without sending when the signal is already aborted', async () => {
+    const client = createTestClient(() => ok({}));
+    await client.authenticate();
+
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(client.wallet.getOverview({ signal: controller.signal }))
+      .rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(client.calls).toHaveLength(0);
+  });
+
+  test('should stop waiting for a transport that ignores the signal', async () => {
+    const client = createTestClient(() => new Promise(() => {}));
+    await client.authenticate();
+
+    const controller = new AbortController();
+    const pending = client.user.getProfile({ signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await pending.catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.AbortError);
+    expect(error.endpoint).toBe('/api/user/info/personal');
+    // The transport gets the signal of the (possibly shared) request, aborted with the caller's
+    expect(client.calls[0].signal.aborted).toBe(true);
+  });
+
+  test('should cancel the delay between retries', async () => {
+    const client = createTestClient(() => status(503), {
+      retry: { baseDelay: 60000, jitter: 0 }
+    });
+    await client.authenticate();
+
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    const pending = client.income.getIncomeData(7, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    expect(client.calls).toHaveLength(1);
+  });
+
+  test('should remove an aborted request from the rate limiter queue', async () => {
+    const rateLimiter = new CoinPlex.RateLimiter({ endpoints: { '/api/ads/list': { requests: 1, window: 60000 } } });
+    const client = createTestClient(() => ok([]), { rateLimit: undefined, rateLimiter });
+    await client.authenticate();
+
+    await client.ads.getList('NODE_CPLX_OPEN');
+
+    const controller = new AbortController();
+    const pending = client.ads.getList('NODE_CPLX_OPEN', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(pending).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(rateLimiter.getState()['/api/ads/list'].queued).toBe(0);
+    expect(client.calls).toHaveLength(1);
+  });
+
+  test('should propagate aborts through methods that skip failed items', async () => {
+    const controller = new AbortController();
+    const client = createTestClient((request, count) => {
+      if (count === 2) controller.abort();
+      return ok({ productId: count });
+    });
+    await client.authenticate();
+
+    await expect(client.financial.getAllProducts(['1', '2', '3'], { signal: controller.signal, concurrency: 1 }))
+      .rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(client.calls).toHaveLength(2);
+  });
+
+  test('should stop a quantify schedule without recording a failure', async () => {
+    const client = createTestClient(() => ok({ hasTip: false }));
+    await client.authenticate();
+
+    const controller = new AbortController();
+    const completed = new Promise(resolve => {
+      client.quantify.scheduleExecutions({
+        iterations: 5,
+        intervalMinutes: 60,
+        signal: controller.signal,
+        onComplete: resolve
+      });
+    });
+    setTimeout(() => controller.abort(), 20);
+
+    const summary = await completed;
+    expect(summary.completedIterations).toBe(1);
+    expect(summary.failed).toBe(0);
+  });
+
+  test('should reject in the default transport before connecting', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(new CoinPlex.HttpsTransport().send({
+      hostname: 'api.coinplex.online',
+      path: '/api/ads/list',
+      signal: controller.signal
+    })).rejects.toBeInstanceOf(CoinPlex.AbortError);
+  });
+});
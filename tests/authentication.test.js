@@ -0,0 +1,67 @@
+/**
+ * CoinPlex SDK Authentication Token Tests
+ */
+
+const { createTestClient, ok } = require('./helpers/client');
+
+function createJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+const createClient = (token, overrides) => createTestClient(() => ok({}), overrides, { login: () => ok({ token }) });
+
+describe('Authentication Tokens', () => {
+  let log;
+  const now = Math.floor(Date.now() / 1000);
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should take token expiry from the exp claim', async () => {
+    const client = createClient(createJwt({ userId: 12345, iat: now, exp: now + 3600 }));
+    await client.authenticate();
+
+    const info = client.getTokenInfo();
+    expect(info.userId).toBe(12345);
+    expect(info.issuedAt.getTime()).toBe(now * 1000);
+    expect(info.expiresAt.getTime()).toBe((now + 3600) * 1000);
+    expect(info.expirySource).toBe('jwt');
+    expect(info.valid).toBe(true);
+  });
+
+  test('should treat tokens inside the refresh margin as expired', async () => {
+    const client = createClient(createJwt({ sub: 'abc', iat: now, exp: now + 30 }));
+    await client.authenticate();
+
+    expect(client.isAuthenticated()).toBe(false);
+    expect(client.getToken()).toBeNull();
+    expect(client.getTokenInfo().userId).toBe('abc');
+  });
+
+  test('should honour a custom refresh margin', async () => {
+    const client = createClient(createJwt({ exp: now + 30 }), { tokenRefreshMargin: 5000 });
+    await client.authenticate();
+
+    expect(client.isAuthenticated()).toBe(true);
+  });
+
+  test('should fall back to the default lifetime for opaque tokens', async () => {
+    const client = createClient('opaque-token');
+    await client.authenticate();
+
+    const info = client.getTokenInfo();
+    expect(info.expirySource).toBe('default');
+    expect(info.expiresIn).toBeGreaterThan(23 * 60 * 60 * 1000);
+    expect(info.userId).toBeNull();
+  });
+
+  test('should return null token info when not authenticated', () => {
+    expect(createClient('unused').getTokenInfo()).toBeNull();
+  });
+});
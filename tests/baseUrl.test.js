@@ -0,0 +1,107 @@
+/**
+ * CoinPlex SDK Base URL Tests
+ */
+
+const http = require('http');
+const CoinPlex = require('../index');
+
+const { parseBaseUrl } = CoinPlex.utils.url;
+
+const config = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' },
+  rateLimit: false
+};
+
+describe('Base URL', () => {
+  test('should treat a bare host as https on port 443', () => {
+    expect(parseBaseUrl('api.coinplex.online')).toEqual({
+      protocol: 'https:',
+      hostname: 'api.coinplex.online',
+      port: 443,
+      pathPrefix: ''
+    });
+    expect(parseBaseUrl()).toEqual(parseBaseUrl('api.coinplex.online'));
+  });
+
+  test('should parse protocol, port and path prefix', () => {
+    expect(parseBaseUrl('http://localhost:3000/coinplex/')).toEqual({
+      protocol: 'http:',
+      hostname: 'localhost',
+      port: 3000,
+      pathPrefix: '/coinplex'
+    });
+    expect(parseBaseUrl('staging.example.com:8443').port).toBe(8443);
+    expect(parseBaseUrl('http://[::1]:3000').hostname).toBe('::1');
+  });
+
+  test('should reject unsupported URLs', () => {
+    expect(() => parseBaseUrl('ftp://api.coinplex.online')).toThrow('unsupported protocol');
+    expect(() => parseBaseUrl('https://api.coinplex.online/?x=1')).toThrow('not supported');
+    expect(() => new CoinPlex({ ...config, baseUrl: 'http://' })).toThrow('Invalid baseUrl');
+  });
+
+  test('should send requests to the configured target with the prefix applied', async () => {
+    const requests = [];
+    const transport = {
+      async send(request) {
+        requests.push(request);
+        const data = request.endpoint === '/api/user/login' ? { token: 'jwt' } : {};
+        return { statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data }) };
+      }
+    };
+
+    const client = new CoinPlex({ ...config, transport, baseUrl: 'https://proxy.internal:8443/coinplex' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await client.authenticate();
+    await client.wallet.getOverview();
+    console.log.mockRestore();
+
+    expect(requests.map(r => r.path)).toEqual([
+      '/coinplex/api/user/login',
+      '/coinplex/api/wallet/asset/overview'
+    ]);
+    expect(requests[1]).toMatchObject({
+      protocol: 'https:',
+      hostname: 'proxy.internal',
+      port: 8443,
+      endpoint: '/api/wallet/asset/overview'
+    });
+  });
+
+  test('should talk plain http to a local server', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      received.push(req.url);
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const data = req.url.endsWith('/api/user/login') ? { token: 'jwt' } : { totalAmount: '5' };
+        res.end(JSON.stringify({ code: 0, data }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const { port } = server.address();
+      const client = new CoinPlex({ ...config, baseUrl: `http://127.0.0.1:${port}/mock` });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await client.authenticate();
+      console.log.mockRestore();
+
+      expect(await client.wallet.getTotalValue()).toBe(5);
+      expect(received).toEqual(['/mock/api/user/login', '/mock/api/wallet/asset/overview']);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should report the endpoint without the prefix on network errors', async () => {
+    const client = new CoinPlex({ ...config, baseUrl: 'http://127.0.0.1:1/prefix', autoRetry: false });
+    const error = await client.auth.pipeline.execute('/api/user/login', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(CoinPlex.NetworkError);
+    expect(error.endpoint).toBe('/api/user/login');
+  });
+});
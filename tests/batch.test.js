@@ -0,0 +1,142 @@
+/**
+ * CoinPlex SDK Batch Execution Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { runBatch } = CoinPlex.utils.batch;
+
+const { createTestClient, ok, fail, params } = require('./helpers/client');
+
+/**
+ * Client whose handler gets the request parameters, with requests slow
+ * enough that `client.transport.peak` shows how many ran at once
+ */
+function createClient(handler, overrides = {}) {
+  return createTestClient(request => handler(params(request), request), { autoRetry: false, ...overrides }, { latency: 5 });
+}
+
+describe('Batch Execution', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should limit concurrency and keep item order', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const { results, fulfilled, rejected } = await runBatch([30, 10, 20, 5, 15], async (ms, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      active--;
+      return index;
+    }, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+    expect(results.map(r => r.value)).toEqual([0, 1, 2, 3, 4]);
+    expect(fulfilled).toBe(5);
+    expect(rejected).toBe(0);
+  });
+
+  test('should collect failures without stopping the batch', async () => {
+    const { results, fulfilled, rejected } = await runBatch(['a', 'b', 'c'], async (item) => {
+      if (item === 'b') throw new Error('bad item');
+      return item.toUpperCase();
+    });
+
+    expect(fulfilled).toBe(2);
+    expect(rejected).toBe(1);
+    expect(results[1]).toMatchObject({ item: 'b', index: 1, status: 'rejected' });
+    expect(results[1].error.message).toBe('bad item');
+    expect(results[2]).toEqual({ item: 'c', index: 2, status: 'fulfilled', value: 'C' });
+  });
+
+  test('should stop starting items when aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const pending = runBatch([1, 2, 3, 4], async (item) => {
+      started.push(item);
+      if (item === 2) controller.abort();
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }, { concurrency: 2, signal: controller.signal });
+
+    await expect(pending).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(started).toEqual([1, 2]);
+  });
+
+  test('should handle an empty list', async () => {
+    expect(await runBatch([], () => {})).toEqual({ results: [], fulfilled: 0, rejected: 0 });
+  });
+
+  test('should fetch products concurrently up to batchConcurrency', async () => {
+    const client = createClient(({ productId }) => (productId === '3'
+      ? fail(3001, 'Product not available')
+      : ok({ productId })), { batchConcurrency: 2 });
+    await client.authenticate();
+
+    const products = await client.financial.getAllProducts();
+
+    expect(products.map(p => p.productId)).toEqual(['1', '2', '4', '5', '6']);
+    expect(client.transport.peak).toBe(2);
+  });
+
+  test('should accept a per-call concurrency', async () => {
+    const client = createClient(({ days }) => ok({ days }));
+    await client.authenticate();
+
+    const trends = await client.income.getIncomeTrends([1, 7, 30, 90], { concurrency: 1 });
+
+    expect(Object.keys(trends)).toEqual(['1d', '7d', '30d', '90d']);
+    expect(trends['30d']).toEqual({ days: 30 });
+    expect(client.transport.peak).toBe(1);
+  });
+
+  test('should report failed positions in ad fan-outs', async () => {
+    const client = createClient(({ positionKey }) => (positionKey === 'BROKEN'
+      ? fail(5000, 'Server error')
+      : ok([{ id: 1 }])));
+    await client.authenticate();
+
+    const allAds = await client.ads.getAllAds(['NODE_CPLX_OPEN', 'BROKEN', 'HOME']);
+    const stats = await client.ads.getAdStats(['NODE_CPLX_OPEN', 'BROKEN', 'HOME']);
+
+    expect(allAds).toEqual({ NODE_CPLX_OPEN: [{ id: 1 }], BROKEN: [], HOME: [{ id: 1 }] });
+    expect(stats).toMatchObject({ totalPositions: 3, activePositions: 2, totalAds: 2 });
+    expect(stats.positions.BROKEN).toMatchObject({ hasAds: false, count: 0 });
+    expect(stats.positions.BROKEN.error).toBeDefined();
+  });
+
+  test('should report failed periods in income analytics as null with their errors', async () => {
+    const client = createClient((params, request) => {
+      if (request.endpoint === '/api/income/team/dataNew') {
+        return ok({ teamCount: 3, incomeAmount: '2' });
+      }
+      return params.days === 7 ? fail(5000, 'Server error') : ok({ days: params.days });
+    });
+    await client.authenticate();
+
+    const analytics = await client.income.getIncomeAnalytics();
+
+    expect(analytics.team.teamCount).toBe(3);
+    expect(analytics.periods).toEqual({ today: { days: 1 }, weekly: null, monthly: { days: 30 } });
+    expect(Object.keys(analytics.errors)).toEqual(['weekly']);
+    expect(analytics.errors.weekly).toMatchObject({ name: 'ApiError', code: 5000 });
+  });
+
+  test('should fail income analytics without team data', async () => {
+    const client = createClient((params, request) => (request.endpoint === '/api/income/team/dataNew'
+      ? fail(5000, 'Server error')
+      : ok({})));
+    await client.authenticate();
+
+    await expect(client.income.getIncomeAnalytics()).rejects.toBeInstanceOf(CoinPlex.ApiError);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * CoinPlex SDK Response Cache Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoinPlex = require('../index');
+
+const { TEST_CONFIG, createTestClient, ok } = require('./helpers/client');
+
+const createClient = (overrides, credentials = TEST_CONFIG.credentials) =>
+  createTestClient((request, count) => ok({ call: count }), { credentials, ...overrides });
+
+const endpoints = (client) => client.calls.map(request => request.endpoint);
+
+describe('Response Cache', () => {
+  let log;
+  let now;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('should not cache unless enabled', async () => {
+    const client = createClient();
+    await client.authenticate();
+
+    await client.wallet.getOverview();
+    await client.wallet.getOverview();
+
+    expect(client.calls).toHaveLength(2);
+    expect(client.cache).toBeNull();
+  });
+
+  test('should serve responses within the endpoint TTL', async () => {
+    const client = createClient({ cache: { ttl: { '/api/wallet/asset/overview': 5000 } } });
+    await client.authenticate();
+
+    expect(await client.wallet.getOverview()).toEqual({ call: 1 });
+    now += 4999;
+    expect(await client.wallet.getOverview()).toEqual({ call: 1 });
+    now += 1;
+    expect(await client.wallet.getOverview()).toEqual({ call: 2 });
+
+    expect(client.getStats().cache).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  test('should key entries by parameters and skip uncached endpoints', async () => {
+    const client = createClient({ cache: true });
+    await client.authenticate();
+
+    await client.income.getIncomeData(7);
+    await client.income.getIncomeData(30);
+    await client.income.getIncomeData(7);
+    await client.quantify.execute();
+    await client.quantify.execute();
+
+    expect(endpoints(client)).toEqual([
+      '/api/income/data', '/api/income/data', '/api/quantify/execute', '/api/quantify/execute'
+    ]);
+  });
+
+  test('should return copies that callers can modify', async () => {
+    const client = createClient({ cache: true });
+    await client.authenticate();
+
+    const first = await client.user.getProfile();
+    first.call = 99;
+
+    expect(await client.user.getProfile()).toEqual({ call: 1 });
+  });
+
+  test('should serve stale responses while revalidating', async () => {
+    const client = createClient({
+      cache: { ttl: { '/api/financial/view': 1000 }, staleWhileRevalidate: 10000 }
+    });
+    await client.authenticate();
+
+    await client.financial.getView();
+    now += 2000;
+
+    expect(await client.financial.getView()).toEqual({ call: 1 });
+    expect(await client.financial.getView()).toEqual({ call: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.calls).toHaveLength(2);
+    expect(await client.financial.getView()).toEqual({ call: 2 });
+
+    now += 20000;
+    expect(await client.financial.getView()).toEqual({ call: 3 });
+    expect(client.getStats().cache).toMatchObject({ hits: 1, stale: 2, misses: 2 });
+  });
+
+  test('should invalidate wallet and income after a quantify execution', async () => {
+    const client = createClient({ cache: true });
+    await client.authenticate();
+
+    await client.wallet.getOverview();
+    await client.income.getTeamData();
+    await client.financial.getView();
+    await client.quantify.execute();
+
+    await client.wallet.getOverview();
+    await client.income.getTeamData();
+    await client.financial.getView();
+
+    expect(endpoints(client)).toEqual([
+      '/api/wallet/asset/overview',
+      '/api/income/team/dataNew',
+      '/api/financial/view',
+      '/api/quantify/execute',
+      '/api/wallet/asset/overview',
+      '/api/income/team/dataNew'
+    ]);
+  });
+
+  test('should not store a response loaded across an invalidation', async () => {
+    const cache = new CoinPlex.ResponseCache();
+    let finish;
+    const load = () => new Promise(resolve => { finish = resolve; });
+
+    const pending = cache.fetch('acct', '/api/wallet/asset/overview', {}, load);
+    await new Promise(resolve => setImmediate(resolve));
+    await cache.invalidate('acct', ['/api/wallet/asset/overview']);
+    finish({ data: 'old' });
+    await pending;
+
+    expect(await cache.store.keys()).toEqual([]);
+  });
+
+  test('should invalidate explicitly and bypass per call', async () => {
+    const client = createClient({ cache: true });
+    await client.authenticate();
+
+    await client.wallet.getOverview();
+    await client.wallet.getOverview({ cache: false });
+    expect(client.calls).toHaveLength(2);
+
+    expect(await client.invalidateCache()).toBe(1);
+    await client.wallet.getOverview();
+    expect(client.calls).toHaveLength(3);
+  });
+
+  test('should keep accounts apart in a shared cache', async () => {
+    const cache = new CoinPlex.ResponseCache();
+    const first = createClient({ cache });
+    const second = createClient({ cache }, { prefix: '49', account: '987654321', code: '000000' });
+    await first.authenticate();
+    await second.authenticate();
+
+    await first.wallet.getOverview();
+    await second.wallet.getOverview();
+    await first.quantify.execute();
+    await second.wallet.getOverview();
+
+    expect(endpoints(second)).toEqual(['/api/wallet/asset/overview']);
+  });
+
+  test('should persist entries in a file store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coinplex-cache-'));
+    const file = path.join(dir, 'cache.json');
+
+    try {
+      const writer = createClient({ cache: { file } });
+      await writer.authenticate();
+      await writer.wallet.getOverview();
+
+      const reader = createClient({ cache: { file } });
+      await reader.authenticate();
+      expect(await reader.wallet.getOverview()).toEqual({ call: 1 });
+      expect(reader.calls).toHaveLength(0);
+
+      await reader.quantify.execute();
+      expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should treat store failures as misses', async () => {
+    const store = {
+      get: () => Promise.reject(new Error('down')),
+      set: () => Promise.reject(new Error('down')),
+      delete: () => Promise.resolve(),
+      keys: () => Promise.resolve([])
+    };
+    const client = createClient({ cache: { store } });
+    await client.authenticate();
+
+    expect(await client.wallet.getOverview()).toEqual({ call: 1 });
+    expect(client.getStats().cache.errors).toBe(2);
+    expect(() => createClient({ cache: { store: {} } })).toThrow('Invalid cache store');
+  });
+});
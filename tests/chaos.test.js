@@ -0,0 +1,116 @@
+/**
+ * CoinPlex SDK Chaos Transport Tests
+ */
+
+const CoinPlex = require('../index');
+const { ENDPOINTS } = require('../src/utils/constants');
+
+const { createFakeClient } = CoinPlex.testing;
+
+const retry = { baseDelay: 1, jitter: 0 };
+
+function createChaosClient(chaos, config = {}) {
+  return createFakeClient({ config: { retry, ...config, chaos } });
+}
+
+describe('Chaos Transport', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should inject the same faults for the same seed', async () => {
+    const plan = { seed: 42, faults: [{ type: 'status', status: 500, probability: 0.5 }] };
+
+    async function run() {
+      const client = createChaosClient(plan, { autoRetry: false });
+      await client.authenticate();
+      for (let i = 0; i < 10; i++) {
+        await client.wallet.getOverview().catch(() => {});
+      }
+      return client.transport.injected;
+    }
+
+    const first = await run();
+    const second = await run();
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(first.length).toBeLessThan(11);
+    expect(second).toEqual(first);
+  });
+
+  test('should retry through resets, timeouts and error statuses', async () => {
+    const endpoints = [ENDPOINTS.WALLET_OVERVIEW];
+    const client = createChaosClient({
+      faults: [
+        { type: 'reset', endpoints, times: 1 },
+        { type: 'timeout', endpoints, times: 1, delay: 5 },
+        { type: 'status', status: 429, retryAfter: 0, endpoints, times: 1 },
+        { type: 'status', status: 500, endpoints, times: 1 }
+      ]
+    }, { maxRetries: 4 });
+    const retries = [];
+    client.on('retry', event => retries.push(event.error.name));
+
+    await client.authenticate();
+    const overview = await client.wallet.getOverview();
+
+    expect(overview.totalAmount).toBe('1000.50');
+    expect(retries).toEqual(['NetworkError', 'TimeoutError', 'RateLimitError', 'ApiError']);
+    expect(client.getStats().connection.chaos).toMatchObject({
+      requests: 6,
+      injected: 4,
+      byType: { reset: 1, timeout: 1, status: 2 }
+    });
+  });
+
+  test('should log in again after an injected 401', async () => {
+    const client = createChaosClient({
+      faults: [{ type: 'status', status: 401, endpoints: [ENDPOINTS.USER_PROFILE], times: 1 }]
+    });
+
+    await client.authenticate();
+    const profile = await client.user.getProfile();
+
+    expect(profile.userId).toBe(12345);
+    expect(client.mock.requests.filter(request => request.endpoint === ENDPOINTS.LOGIN)).toHaveLength(2);
+  });
+
+  test('should surface truncated JSON and corrupted ciphertext', async () => {
+    const client = createChaosClient({
+      faults: [
+        { type: 'truncate', endpoints: [ENDPOINTS.WALLET_OVERVIEW] },
+        { type: 'corrupt', endpoints: [ENDPOINTS.INCOME_DATA, ENDPOINTS.INCOME_TEAM_DATA] }
+      ]
+    });
+    const decryptionFailures = [];
+    client.on('decryptionFailed', event => decryptionFailures.push(event.endpoint));
+
+    await client.authenticate();
+
+    await expect(client.wallet.getOverview()).rejects.toMatchObject({ name: 'ApiError', message: 'Invalid response from server' });
+    await expect(client.income.getIncomeData(7)).rejects.toBeInstanceOf(CoinPlex.DecryptionError);
+    await expect(client.income.getTeamData()).rejects.toBeInstanceOf(CoinPlex.DecryptionError);
+    expect(decryptionFailures).toEqual([ENDPOINTS.INCOME_DATA, ENDPOINTS.INCOME_TEAM_DATA]);
+  });
+
+  test('should lose the response of a delivered quantify execution without retrying', async () => {
+    const client = createChaosClient({
+      faults: [{ type: 'reset', endpoints: [ENDPOINTS.QUANTIFY_EXECUTE], delivered: true, times: 1 }]
+    });
+
+    await client.authenticate();
+
+    await expect(client.quantify.execute()).rejects.toBeInstanceOf(CoinPlex.NetworkError);
+    expect(client.mock.requests.filter(request => request.endpoint === ENDPOINTS.QUANTIFY_EXECUTE)).toHaveLength(1);
+  });
+
+  test('should reject unknown fault types', () => {
+    expect(() => createChaosClient({ faults: [{ type: 'flood' }] })).toThrow('Invalid chaos fault type');
+  });
+});
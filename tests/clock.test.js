@@ -0,0 +1,178 @@
+/**
+ * CoinPlex SDK Clock Tests
+ */
+
+const CoinPlex = require('../index');
+const { ENDPOINTS } = require('../src/utils/constants');
+
+const { VirtualClock, createFakeClient } = CoinPlex.testing;
+
+const START = new Date('2025-07-23T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+describe('Clock', () => {
+  let log;
+  let clock;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    clock = new VirtualClock(START);
+  });
+
+  test('should fire virtual timers in order as the clock advances', async () => {
+    const fired = [];
+    clock.setTimer(() => fired.push(`b@${clock.now() - START.getTime()}`), 200);
+    clock.setTimer(() => fired.push(`a@${clock.now() - START.getTime()}`), 100);
+    const cancel = clock.setTimer(() => fired.push('cancelled'), 150);
+    cancel();
+
+    await clock.advance(150);
+    expect(fired).toEqual(['a@100']);
+    expect(clock.now()).toBe(START.getTime() + 150);
+
+    expect(await clock.runAll()).toBe(1);
+    expect(fired).toEqual(['a@100', 'b@200']);
+    expect(clock.getPendingTimers()).toBe(0);
+  });
+
+  test('should cancel virtual sleeps on abort', async () => {
+    const controller = new AbortController();
+    const sleeping = clock.sleep(1000, controller.signal);
+
+    controller.abort();
+
+    await expect(sleeping).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(clock.getPendingTimers()).toBe(0);
+  });
+
+  test('should run a 10-iteration, 5-minute schedule without waiting', async () => {
+    const client = createFakeClient({ config: { clock } });
+    await client.authenticate();
+
+    let summary = null;
+    const scheduler = await client.quantify.scheduleExecutions({
+      iterations: 10,
+      intervalMinutes: 5,
+      onComplete: (result) => { summary = result; }
+    });
+
+    await clock.advance(44 * MINUTE);
+    expect(scheduler.getResults()).toHaveLength(9);
+    expect(summary).toBeNull();
+
+    await clock.advance(MINUTE);
+    expect(summary).toMatchObject({ totalIterations: 10, successful: 10 });
+
+    const executions = client.mock.requests.filter(request => request.endpoint === ENDPOINTS.QUANTIFY_EXECUTE);
+    expect(executions.map(request => request.params.timestamp)).toEqual(
+      Array.from({ length: 10 }, (_, i) => START.getTime() + i * 5 * MINUTE)
+    );
+    expect(scheduler.getResults()[9].timestamp).toBe('2025-07-23T08:45:00.000Z');
+    expect(client.quantify.getExecutionStats(scheduler.getResults()).averageInterval).toBe(300);
+  });
+
+  test('should drive DailyExecutor and ad monitoring from the client clock', async () => {
+    const client = createFakeClient({ config: { clock } });
+    const executor = client.createDailyExecutor({ iterations: 3, intervalMinutes: 10, logLevel: 'error' });
+
+    await executor.start();
+    await clock.advance(10 * MINUTE);
+    expect(executor.getStatus()).toMatchObject({ isRunning: true, completedIterations: 2 });
+    expect(executor.getStatus().nextExecution).toBe('2025-07-23T08:20:00.000Z');
+
+    await clock.advance(10 * MINUTE);
+    expect(executor.getStatus()).toMatchObject({ isRunning: false, successfulIterations: 3 });
+
+    const monitor = client.ads.monitorAds('NODE_CPLX_OPEN', 30);
+    await clock.advance(90 * MINUTE);
+    monitor.stop();
+
+    expect(client.mock.requests.filter(request => request.endpoint === ENDPOINTS.ADS_LIST)).toHaveLength(4);
+  });
+
+  test('should wait for retries on the client clock', async () => {
+    const client = createFakeClient({ config: { clock, retry: { baseDelay: 1000, jitter: 0 } } });
+    await client.authenticate();
+    client.mock.respond(ENDPOINTS.WALLET_OVERVIEW, { status: 503 });
+
+    let settled = false;
+    const overview = client.wallet.getOverview().finally(() => { settled = true; });
+
+    await clock.advance(999);
+    expect(settled).toBe(false);
+
+    client.mock.setScenario('default');
+    await clock.advance(1);
+    await expect(overview).resolves.toMatchObject({ totalAmount: '1000.50' });
+  });
+
+  test('should refill rate limits on the client clock', async () => {
+    const client = createFakeClient({
+      config: {
+        clock,
+        rateLimit: { endpoints: { [ENDPOINTS.WALLET_OVERVIEW]: { requests: 1, window: MINUTE } } }
+      }
+    });
+    await client.authenticate();
+    await client.wallet.getOverview();
+
+    let settled = false;
+    const second = client.wallet.getOverview().finally(() => { settled = true; });
+
+    await clock.advance(MINUTE - 1);
+    expect(settled).toBe(false);
+
+    await clock.advance(1);
+    await expect(second).resolves.toMatchObject({ totalAmount: '1000.50' });
+    expect(client.rateLimiter.getState()[ENDPOINTS.WALLET_OVERVIEW].available).toBe(0);
+  });
+
+  test('should expire tokens and cached responses on the client clock', async () => {
+    const client = createFakeClient({ tokenLifetime: 60 * MINUTE, config: { clock, cache: true } });
+    await client.authenticate();
+    expect(client.getTokenInfo()).toMatchObject({ expiresAt: new Date(START.getTime() + 60 * MINUTE), expiresIn: 60 * MINUTE });
+
+    await client.wallet.getOverview();
+    await clock.advance(10000 - 1);
+    await client.wallet.getOverview();
+    expect(client.mock.requests.filter(request => request.endpoint === ENDPOINTS.WALLET_OVERVIEW)).toHaveLength(1);
+
+    await clock.advance(1);
+    await client.wallet.getOverview();
+    expect(client.mock.requests.filter(request => request.endpoint === ENDPOINTS.WALLET_OVERVIEW)).toHaveLength(2);
+    expect(client.getTokenInfo().expiresIn).toBe(60 * MINUTE - 10000);
+
+    await clock.advance(60 * MINUTE - 10000);
+    expect(client.isAuthenticated()).toBe(false);
+  });
+
+  test('should wait out fake latency and read Retry-After dates on the client clock', async () => {
+    const client = createFakeClient({ scenario: 'slow', config: { clock, maxRetries: 0 } });
+
+    let settled = false;
+    const login = client.authenticate().finally(() => { settled = true; });
+    await clock.advance(2000 - 1);
+    expect(settled).toBe(false);
+    await clock.advance(1);
+    await login;
+
+    client.mock.respond(ENDPOINTS.WALLET_OVERVIEW, {
+      status: 429,
+      delay: 0,
+      headers: { 'Retry-After': new Date(START.getTime() + 2000 + MINUTE).toUTCString() },
+      body: JSON.stringify({ code: 429, msg: 'Too many requests' })
+    });
+    await expect(client.wallet.getOverview()).rejects.toMatchObject({ name: 'RateLimitError', retryAfter: MINUTE });
+  });
+
+  test('should reject an incomplete clock', () => {
+    expect(() => createFakeClient({ config: { clock: { now: () => 0 } } })).toThrow('Invalid clock');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * CoinPlex SDK Request Coalescing Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, ok, fail } = require('./helpers/client');
+
+// Every request takes a few ms, so concurrent callers overlap
+const createClient = (handler, overrides) => createTestClient(handler, overrides, { latency: 5 });
+
+describe('Request Coalescing', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should share one call between identical concurrent requests', async () => {
+    const client = createClient(() => ok({ totalAmount: '10', totalFlexibleAmount: '4', list: [] }));
+    await client.authenticate();
+
+    const [total, flexible, overview] = await Promise.all([
+      client.wallet.getTotalValue(),
+      client.wallet.getFlexibleBalance(),
+      client.wallet.getOverview()
+    ]);
+
+    expect(total).toBe(10);
+    expect(flexible).toBe(4);
+    expect(overview.totalAmount).toBe('10');
+    expect(client.calls).toHaveLength(1);
+    expect(client.getStats()).toMatchObject({ requests: 1, coalesced: 2 });
+  });
+
+  test('should give each caller its own copy of the response', async () => {
+    const client = createClient(() => ok({ list: [{ coinName: 'USDT' }] }));
+    await client.authenticate();
+
+    const [first, second] = await Promise.all([client.wallet.getOverview(), client.wallet.getOverview()]);
+    first.list.push({ coinName: 'CPLX' });
+
+    expect(second.list).toEqual([{ coinName: 'USDT' }]);
+  });
+
+  test('should share the profile lookups of getActivitySummary', async () => {
+    const client = createClient(() => ok({ userId: 7, nickname: 'n', level: 1, walletAmount: '5' }));
+    await client.authenticate();
+
+    const summary = await client.user.getActivitySummary();
+
+    expect(summary.profile.userId).toBe(7);
+    expect(client.calls).toHaveLength(1);
+  });
+
+  test('should send requests with different params separately', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+
+    await Promise.all([
+      client.request('/api/income/data', { days: 7 }),
+      client.request('/api/income/data', { days: 30 }),
+      client.request('/api/income/data', { days: 7 })
+    ]);
+
+    expect(client.calls).toHaveLength(2);
+  });
+
+  test('should ignore parameter order', () => {
+    const coalescer = new CoinPlex.RequestCoalescer();
+
+    expect(coalescer.getKey('/x', { a: 1, b: { c: 2, d: 3 } }))
+      .toBe(coalescer.getKey('/x', { b: { d: 3, c: 2 }, a: 1, e: undefined }));
+  });
+
+  test('should only share requests sent with the same options', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+
+    await Promise.all([
+      client.request('/api/financial/view', {}, { timeout: 1000 }),
+      client.request('/api/financial/view', {}, { timeout: 1000, signal: new AbortController().signal }),
+      client.request('/api/financial/view', {}, { timeout: 5000 }),
+      client.request('/api/financial/view', {}, { headers: { 'x-trace': '1' } }),
+      client.request('/api/financial/view', {}, { retry: false })
+    ]);
+
+    expect(client.calls.map(request => request.timeout)).toEqual([1000, 5000, expect.any(Number), expect.any(Number)]);
+    expect(client.calls[2].headers['x-trace']).toBe('1');
+  });
+
+  test('should not coalesce sequential requests', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+
+    await client.wallet.getOverview();
+    await client.wallet.getOverview();
+
+    expect(client.calls).toHaveLength(2);
+  });
+
+  test('should never coalesce quantify execution', async () => {
+    const client = createClient(() => ok({ hasTip: false }));
+    await client.authenticate();
+
+    await Promise.all([client.quantify.execute(), client.quantify.execute()]);
+
+    expect(client.calls).toHaveLength(2);
+  });
+
+  test('should share failures between waiting callers', async () => {
+    const client = createClient(() => fail(3001, 'Product not available'));
+    await client.authenticate();
+
+    const results = await Promise.allSettled([
+      client.financial.getProductDetail(1),
+      client.financial.getProductDetail(1)
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+    expect(results[1].reason).toBeInstanceOf(CoinPlex.ApiError);
+    expect(client.calls).toHaveLength(1);
+  });
+
+  test('should keep the shared call running until every caller aborts', async () => {
+    const client = createClient(() => ok({ totalAmount: '3' }));
+    await client.authenticate();
+
+    const controller = new AbortController();
+    const aborted = client.wallet.getOverview({ signal: controller.signal });
+    const kept = client.wallet.getOverview();
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect((await kept).totalAmount).toBe('3');
+    expect(client.calls[0].signal.aborted).toBe(false);
+  });
+
+  test('should cancel the shared call when all callers abort', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+
+    const first = new AbortController();
+    const second = new AbortController();
+    const pending = [
+      client.wallet.getOverview({ signal: first.signal }),
+      client.wallet.getOverview({ signal: second.signal })
+    ];
+    first.abort();
+    second.abort();
+
+    const results = await Promise.allSettled(pending);
+    expect(results.every(r => r.reason instanceof CoinPlex.AbortError)).toBe(true);
+    expect(client.calls[0].signal.aborted).toBe(true);
+
+    await client.wallet.getOverview();
+    expect(client.calls).toHaveLength(2);
+  });
+
+  test('should be disabled per call or per client', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+
+    await Promise.all([
+      client.request('/api/wallet/asset/overview', {}, { coalesce: false }),
+      client.request('/api/wallet/asset/overview', {})
+    ]);
+    expect(client.calls).toHaveLength(2);
+
+    const separate = createClient(() => ok({}), { coalesce: false });
+    await separate.authenticate();
+    await Promise.all([separate.wallet.getOverview(), separate.wallet.getOverview()]);
+    expect(separate.calls).toHaveLength(2);
+    expect(separate.getStats().coalesced).toBeUndefined();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * CoinPlex SDK Error Handling Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, fail, status } = require('./helpers/client');
+
+async function createClient(handler) {
+  const client = createTestClient(handler);
+  await client.authenticate();
+  return client;
+}
+
+describe('Error Handling', () => {
+  test('should reject unauthenticated requests with AuthenticationError', async () => {
+    const client = createTestClient();
+    await expect(client.wallet.getOverview()).rejects.toBeInstanceOf(CoinPlex.AuthenticationError);
+  });
+
+  test('should map a business error code to ApiError', async () => {
+    const client = await createClient(() => fail(1004, 'Insufficient balance'));
+
+    const error = await client.wallet.getOverview().catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.ApiError);
+    expect(error).toBeInstanceOf(CoinPlex.CoinPlexError);
+    expect(error.endpoint).toBe('/api/wallet/asset/overview');
+    expect(error.statusCode).toBe(200);
+    expect(error.code).toBe(1004);
+    expect(error.serverMessage).toBe('Insufficient balance');
+  });
+
+  test('should map token rejection to AuthenticationError', async () => {
+    const client = await createClient(() => fail(1001, 'Invalid authentication token'));
+
+    await expect(client.user.getProfile()).rejects.toBeInstanceOf(CoinPlex.AuthenticationError);
+  });
+
+  test('should map HTTP 429 to RateLimitError with retryAfter', async () => {
+    const client = await createClient(() => ({ ...status(429), headers: { 'retry-after': '2' } }));
+    client.config.autoRetry = false;
+
+    const error = await client.income.getTeamData().catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.RateLimitError);
+    expect(error.retryAfter).toBe(2000);
+  });
+
+  test('should reject invalid JSON with ApiError', async () => {
+    const client = await createClient(() => ({ statusCode: 200, headers: {}, body: '<html>' }));
+
+    const error = await client.financial.getView().catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.ApiError);
+    expect(error.message).toBe('Invalid response from server');
+  });
+
+  test('should reject undecryptable ciphertext with DecryptionError', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const client = await createClient(() => ({
+      statusCode: 200,
+      headers: {},
+      body: JSON.stringify({ code: 0, data: Buffer.from('x'.repeat(64)).toString('base64') })
+    }));
+
+    await expect(client.income.getIncomeData(1)).rejects.toBeInstanceOf(CoinPlex.DecryptionError);
+    log.mockRestore();
+  });
+
+  test('should wrap transport failures in NetworkError', async () => {
+    const client = await createClient(() => { throw new Error('ECONNRESET'); });
+    client.config.autoRetry = false;
+
+    const error = await client.ads.getList('NODE_CPLX_OPEN').catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.NetworkError);
+    expect(error.cause.message).toBe('ECONNRESET');
+  });
+});
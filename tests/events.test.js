@@ -0,0 +1,173 @@
+/**
+ * CoinPlex SDK Client Event Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, ok, fail, status } = require('./helpers/client');
+
+const createClient = (handler, overrides, options) => createTestClient(handler, overrides, { instantDelays: true, ...options });
+
+function record(client, names) {
+  const events = [];
+  for (const name of names) {
+    client.on(name, (event) => events.push({ name, ...event }));
+  }
+  return events;
+}
+
+describe('Client Events', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should be an EventEmitter', () => {
+    const client = createClient(() => ok({}));
+    expect(client).toBeInstanceOf(require('events').EventEmitter);
+  });
+
+  test('should emit authenticated after login', async () => {
+    const client = createClient(() => ok({}));
+    const events = record(client, ['authenticated']);
+
+    await client.authenticate();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ source: 'login', userId: null });
+    expect(events[0].expiresAt).toBeInstanceOf(Date);
+    expect(typeof events[0].latency).toBe('number');
+  });
+
+  test('should emit request and response with attempt and latency', async () => {
+    const client = createClient(() => ok({ totalAmount: '1' }));
+    await client.authenticate();
+    const events = record(client, ['request', 'response', 'error']);
+
+    await client.wallet.getOverview();
+
+    expect(events.map(e => e.name)).toEqual(['request', 'response']);
+    expect(events[0]).toMatchObject({ endpoint: '/api/wallet/asset/overview', attempt: 1, params: {} });
+    expect(events[1]).toMatchObject({ endpoint: '/api/wallet/asset/overview', attempt: 1, statusCode: 200, decryptionMethod: null });
+    expect(events[1].latency).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should emit retry events before the final response', async () => {
+    const client = createClient((request, count) => (count < 3 ? status(503) : ok({})));
+    await client.authenticate();
+    const events = record(client, ['request', 'retry', 'response']);
+
+    await client.financial.getView();
+
+    expect(events.map(e => `${e.name}:${e.attempt}`)).toEqual([
+      'request:1', 'retry:1', 'request:2', 'retry:2', 'request:3', 'response:3'
+    ]);
+    expect(events[1].error).toBeInstanceOf(CoinPlex.ApiError);
+    expect(typeof events[1].delay).toBe('number');
+  });
+
+  test('should measure latency on the client clock', async () => {
+    const clock = new CoinPlex.VirtualClock();
+    const client = createTestClient(() => clock.sleep(250).then(() => ok({})), { clock });
+    const events = record(client, ['authenticated', 'response']);
+
+    await client.authenticate();
+    const overview = client.wallet.getOverview();
+    await clock.advance(250);
+    await overview;
+
+    expect(events.map(e => `${e.name}:${e.latency}`)).toEqual(['authenticated:0', 'response:250']);
+  });
+
+  test('should relay rate limiter waits and backoffs', async () => {
+    const clock = new CoinPlex.VirtualClock();
+    const client = createTestClient((request, count) => (count === 2 ? status(429) : ok({})), {
+      clock,
+      autoRetry: false,
+      rateLimit: { endpoints: { '/api/wallet/asset/overview': { requests: 1, window: 60000 } } }
+    });
+    await client.authenticate();
+    const events = record(client, ['rateLimitWait', 'rateLimitBackoff']);
+
+    await client.wallet.getOverview();
+    const second = expect(client.wallet.getOverview()).rejects.toBeInstanceOf(CoinPlex.RateLimitError);
+    await clock.advance(60000);
+
+    await second;
+    expect(events).toEqual([
+      { name: 'rateLimitWait', endpoint: '/api/wallet/asset/overview', waitTime: 60000, queued: 1 },
+      { name: 'rateLimitBackoff', endpoint: '/api/wallet/asset/overview', duration: 60000 }
+    ]);
+  });
+
+  test('should emit error once when a call finally fails', async () => {
+    const client = createClient(() => fail(3001, 'Product not available'));
+    await client.authenticate();
+    const events = record(client, ['error', 'retry']);
+
+    await expect(client.financial.getProductDetail(9)).rejects.toBeInstanceOf(CoinPlex.ApiError);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ name: 'error', endpoint: '/api/financial/product/detail' });
+    expect(events[0].error.code).toBe(3001);
+  });
+
+  test('should not throw on failures without an error listener', async () => {
+    const client = createClient(() => status(500), { autoRetry: false });
+    await client.authenticate();
+
+    await expect(client.ads.getList('X')).rejects.toBeInstanceOf(CoinPlex.ApiError);
+  });
+
+  test('should emit decryptionFailed for undecryptable payloads', async () => {
+    const client = createClient(() => ok('QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo='));
+    await client.authenticate();
+    const events = record(client, ['decryptionFailed', 'decrypted']);
+
+    await expect(client.user.getProfile()).rejects.toBeInstanceOf(CoinPlex.DecryptionError);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ name: 'decryptionFailed', endpoint: '/api/user/info/personal', attempt: 1 });
+  });
+
+  test('should emit decrypted with the decryption method', async () => {
+    const client = createClient(() => ok({}));
+    client.use({
+      afterResponse: (ctx, response) => ({ ...response, _decryptionMethod: 'RSA' })
+    });
+    await client.authenticate();
+    const events = record(client, ['decrypted', 'response']);
+
+    await client.user.getProfile();
+
+    expect(events[0]).toMatchObject({ name: 'decrypted', method: 'RSA', attempt: 1 });
+    expect(events[1]).toMatchObject({ name: 'response', decryptionMethod: 'RSA' });
+  });
+
+  test('should emit tokenExpired and authenticated when a rejected token is replaced', async () => {
+    const client = createClient((request, count) => (count === 1 ? status(401) : ok({})));
+    await client.authenticate();
+    const events = record(client, ['tokenExpired', 'authenticated', 'response']);
+
+    await client.income.getTeamData();
+
+    expect(events.map(e => e.name)).toEqual(['tokenExpired', 'authenticated', 'response']);
+    expect(events[0].reason).toBe('rejected');
+  });
+
+  test('should emit error when login fails', async () => {
+    const client = createClient(() => ok({}), {}, { login: () => fail(2001, 'User not found') });
+    const events = record(client, ['error', 'authenticated']);
+
+    expect(await client.authenticate()).toBe(false);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ name: 'error', endpoint: '/api/user/login' });
+    expect(events[0].error.serverMessage).toBe('User not found');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * CoinPlex SDK Fixture Record and Replay Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoinPlex = require('../index');
+const { getFixtureKey } = require('../src/core/fixtures');
+const { decryptRSAResponse } = require('../src/core/decryption');
+
+const { apiResponse, VirtualClock } = CoinPlex.testing;
+
+const config = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' },
+  rateLimit: false
+};
+
+const ok = (data) => ({ statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data }) });
+
+function createTransport() {
+  const calls = [];
+  return {
+    calls,
+    async send(request) {
+      calls.push(request.endpoint);
+      if (request.path === '/api/user/login') {
+        return { ...ok({ token: 'jwt' }), headers: { 'set-cookie': 'session=abc' } };
+      }
+      return ok({ call: calls.length });
+    }
+  };
+}
+
+function readFixtures(dir) {
+  return fs.readdirSync(dir).map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+describe('Fixture Record and Replay', () => {
+  let log;
+  let dir;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coinplex-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function record() {
+    const transport = createTransport();
+    const client = new CoinPlex({ ...config, transport, fixtures: { mode: 'record', dir } });
+    await client.authenticate();
+    await client.wallet.getOverview();
+    await client.wallet.getOverview();
+    await client.quantify.execute();
+    return transport;
+  }
+
+  test('should record redacted requests and raw responses', async () => {
+    await record();
+
+    const fixtures = readFixtures(dir);
+    const login = fixtures.find(fixture => fixture.endpoint === '/api/user/login');
+    const overview = fixtures.find(fixture => fixture.endpoint === '/api/wallet/asset/overview');
+    const execute = fixtures.find(fixture => fixture.endpoint === '/api/quantify/execute');
+
+    expect(fixtures).toHaveLength(3);
+    expect(login.request.params).toEqual({
+      accountType: 0,
+      prefix: '[REDACTED]',
+      account: '[REDACTED]',
+      code: '[REDACTED]',
+      apiKey: '[REDACTED]'
+    });
+    expect(login.responses[0].headers['set-cookie']).toBe('[REDACTED]');
+    expect(JSON.parse(login.responses[0].body).data).toEqual({ token: '[REDACTED]' });
+    expect(overview.request.headers.Token).toBe('[REDACTED]');
+    expect(overview.responses.map(response => JSON.parse(response.body).data)).toEqual([{ call: 2 }, { call: 3 }]);
+    expect(execute.request.params).toEqual({ apiKey: '[REDACTED]' });
+    expect(JSON.stringify(fixtures)).not.toMatch(/123456789|test-key/);
+  });
+
+  test('should replay recordings in order without a network', async () => {
+    await record();
+
+    const client = new CoinPlex({
+      ...config,
+      credentials: { prefix: '1', account: '555', code: '999' },
+      fixtures: { mode: 'replay', dir }
+    });
+
+    expect(await client.authenticate()).toBe(true);
+    expect(await client.wallet.getOverview()).toEqual({ call: 2 });
+    expect(await client.wallet.getOverview()).toEqual({ call: 3 });
+    expect(await client.wallet.getOverview()).toEqual({ call: 3 });
+    expect(await client.quantify.execute({ nonce: 'other' })).toEqual({ call: 4 });
+
+    expect(client.getStats().connection).toEqual({ requests: 5, replayed: 5, missing: 0 });
+    client.transport.rewind();
+    expect(await client.wallet.getOverview()).toEqual({ call: 2 });
+  });
+
+  test('should fail without retrying when a request was not recorded', async () => {
+    await record();
+
+    const client = new CoinPlex({ ...config, fixtures: { mode: 'replay', dir }, maxRetries: 3 });
+    await client.authenticate();
+
+    await expect(client.income.getIncomeData(7)).rejects.toBeInstanceOf(CoinPlex.FixtureNotFoundError);
+    expect(client.transport.getStats().missing).toBe(1);
+  });
+
+  test('should key requests without volatile or secret parameters', () => {
+    const request = (params) => ({ endpoint: '/api/income/data', body: JSON.stringify(params) });
+
+    const first = getFixtureKey(request({ days: 7, timestamp: 1, sign: 'a', apiKey: 'one' }));
+    const second = getFixtureKey(request({ apiKey: 'two', sign: 'b', timestamp: 2, days: 7 }));
+    const other = getFixtureKey(request({ days: 30, timestamp: 1 }));
+
+    expect(first.file).toBe(second.file);
+    expect(first.file).toMatch(/^api_income_data-[0-9a-f]{12}\.json$/);
+    expect(other.file).not.toBe(first.file);
+  });
+
+  test('should key the current month apart from explicit months', () => {
+    const request = (yearMonth) => ({ endpoint: '/api/v2/wallet/record', body: JSON.stringify({ yearMonth }) });
+    const july = { clock: new VirtualClock(new Date('2025-07-23T08:00:00Z')) };
+    const august = { clock: new VirtualClock(new Date('2025-08-02T08:00:00Z')) };
+
+    expect(getFixtureKey(request('202507'), july).params).toEqual({ yearMonth: '[CURRENT_MONTH]' });
+    expect(getFixtureKey(request('202507'), july).file).toBe(getFixtureKey(request('202508'), august).file);
+    expect(getFixtureKey(request('202507'), august).params).toEqual({ yearMonth: '202507' });
+    expect(getFixtureKey(request('202506'), july).file).not.toBe(getFixtureKey(request('202505'), july).file);
+  });
+
+  test('should replay the records of each recorded month separately', async () => {
+    const clock = new VirtualClock(new Date('2025-08-02T08:00:00Z'));
+    const transport = {
+      async send(request) {
+        if (request.path === '/api/user/login') {
+          return ok({ token: 'jwt' });
+        }
+        const { yearMonth } = JSON.parse(request.body);
+        return ok({ list: [{ yearMonth }] });
+      }
+    };
+    const recorder = new CoinPlex({ ...config, clock, transport, fixtures: { mode: 'record', dir } });
+    await recorder.authenticate();
+    for (const yearMonth of ['202506', '202507']) {
+      await recorder.wallet.getRecords({ yearMonth });
+    }
+    await recorder.wallet.getRecords();
+
+    // Replayed a month later: the default now means September
+    await clock.advance(new Date('2025-09-10T08:00:00Z') - clock.now());
+    const client = new CoinPlex({ ...config, clock, fixtures: { mode: 'replay', dir } });
+    await client.authenticate();
+
+    expect((await client.wallet.getRecords({ yearMonth: '202507' })).list).toEqual([{ yearMonth: '202507' }]);
+    expect((await client.wallet.getRecords({ yearMonth: '202506' })).list).toEqual([{ yearMonth: '202506' }]);
+    expect((await client.wallet.getRecords()).list).toEqual([{ yearMonth: '202508' }]);
+    await expect(client.wallet.getRecords({ yearMonth: '202508' })).rejects.toBeInstanceOf(CoinPlex.FixtureNotFoundError);
+  });
+
+  test('should redact the token in encrypted login responses', async () => {
+    const transport = {
+      async send(request) {
+        return apiResponse(request.path === '/api/user/login' ? { token: 'eyJ.live.jwt', userId: 7 } : { ok: true });
+      }
+    };
+    const client = new CoinPlex({ ...config, transport, fixtures: { mode: 'record', dir } });
+    await client.authenticate();
+
+    const [login] = readFixtures(dir);
+    const data = JSON.parse(login.responses[0].body).data;
+    expect(typeof data).toBe('string');
+    expect(decryptRSAResponse(data)).toEqual({ token: '[REDACTED]', userId: 7 });
+  });
+
+  test('should replay with placeholder credentials from loadConfig', () => {
+    const keys = ['COINPLEX_API_KEY', 'COINPLEX_API_SECRET', 'COINPLEX_PREFIX', 'COINPLEX_ACCOUNT', 'COINPLEX_CODE', 'COINPLEX_FIXTURES'];
+    const saved = keys.map(key => process.env[key]);
+    keys.forEach(key => delete process.env[key]);
+
+    try {
+      expect(() => CoinPlex.loadConfig()).toThrow('apiKey is required');
+      const replay = CoinPlex.loadConfig({ overrides: { fixtures: { mode: 'replay' }, credentials: { account: 'kept' } } });
+      expect(replay).toMatchObject({ apiKey: 'replay', apiSecret: 'replay', credentials: { prefix: '0', account: 'kept', code: 'replay' } });
+    } finally {
+      keys.forEach((key, i) => { if (saved[i] !== undefined) process.env[key] = saved[i]; });
+    }
+  });
+
+  test('should reject an unknown fixtures mode', () => {
+    expect(() => new CoinPlex({ ...config, fixtures: { mode: 'capture' } })).toThrow('Invalid fixtures mode');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * CoinPlex SDK Test Helpers
+ *
+ * Client on a stub transport, for tests that script raw HTTP responses.
+ * Login always succeeds with the token 'jwt' unless `options.login`
+ * answers it; every other request goes to the test's handler.
+ */
+
+const CoinPlex = require('../../index');
+
+const TEST_CONFIG = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' },
+  rateLimit: false
+};
+
+const ok = (data) => ({ statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data }) });
+const fail = (code, msg) => ({ statusCode: 200, headers: {}, body: JSON.stringify({ code, msg }) });
+const status = (statusCode) => ({ statusCode, headers: {}, body: '' });
+
+/**
+ * Create a client whose transport answers requests from a handler
+ *
+ * @param {Function} handler - (request, count) => raw response, or a promise of one;
+ *   `count` is the number of requests to the endpoint so far, this one included
+ * @param {Object} [overrides={}] - Client configuration merged over TEST_CONFIG
+ * @param {Object} [options={}] - Stub options
+ * @param {Function} [options.login] - () => raw response answering login requests
+ * @param {number} [options.latency=0] - Milliseconds every other request takes
+ * @param {boolean} [options.instantDelays=false] - Resolve retry waits at once, recording
+ *   their durations in `client.delays`
+ * @returns {CoinPlex} Client, with the non-login requests in `client.calls` and the
+ *   peak number of requests in flight in `client.transport.peak`
+ */
+function createTestClient(handler, overrides = {}, options = {}) {
+  const calls = [];
+  const counts = {};
+  const transport = {
+    active: 0,
+    peak: 0,
+    async send(request) {
+      if (request.path === '/api/user/login') {
+        return options.login ? options.login() : ok({ token: 'jwt' });
+      }
+
+      calls.push(request);
+      counts[request.path] = (counts[request.path] || 0) + 1;
+      transport.active++;
+      transport.peak = Math.max(transport.peak, transport.active);
+      try {
+        if (options.latency) {
+          await new Promise(resolve => setTimeout(resolve, options.latency));
+        }
+        return await handler(request, counts[request.path]);
+      } finally {
+        transport.active--;
+      }
+    }
+  };
+
+  const delays = [];
+  const clock = options.instantDelays ? {
+    now: () => Date.now(),
+    sleep: (ms) => { delays.push(ms); return Promise.resolve(); },
+    setTimer: (callback, ms) => { const timer = setTimeout(callback, ms); return () => clearTimeout(timer); }
+  } : undefined;
+
+  const client = new CoinPlex({ ...TEST_CONFIG, clock, transport, ...overrides });
+  client.calls = calls;
+  client.delays = delays;
+  return client;
+}
+
+/**
+ * Create a stub API that issues a new token on every login
+ *
+ * Use `issuer.handler` as the handler and `issuer.login` as the `login`
+ * option. Requests carrying the latest token succeed with `{ token }`;
+ * any other token gets 1001. Setting `issuer.validToken` revokes the
+ * current token, as a login from another device would.
+ *
+ * @returns {Object} Issuer with `logins`, `validToken`, `login` and `handler`
+ */
+function createTokenIssuer() {
+  const issuer = {
+    logins: 0,
+    validToken: null,
+    async login() {
+      issuer.logins++;
+      issuer.validToken = `jwt-token-${issuer.logins}`;
+      await new Promise(resolve => setImmediate(resolve));
+      return ok({ token: issuer.validToken });
+    },
+    handler(request) {
+      return request.headers.Token === issuer.validToken
+        ? ok({ token: request.headers.Token })
+        : fail(1001, 'Invalid authentication token');
+    }
+  };
+  return issuer;
+}
+
+/**
+ * Count the requests a test client sent to an endpoint
+ *
+ * @param {CoinPlex} client - Client from createTestClient
+ * @param {string} endpoint - API endpoint path
+ * @returns {number} Request count
+ */
+function countCalls(client, endpoint) {
+  return client.calls.filter(request => request.path === endpoint).length;
+}
+
+/**
+ * Get the parameters a stub transport received
+ *
+ * @param {Object} request - Prepared request
+ * @returns {Object} Signed request body
+ */
+function params(request) {
+  return JSON.parse(request.body);
+}
+
+module.exports = {
+  TEST_CONFIG,
+  createTestClient,
+  createTokenIssuer,
+  countCalls,
+  ok,
+  fail,
+  status,
+  params
+};
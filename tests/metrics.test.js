@@ -0,0 +1,176 @@
+/**
+ * CoinPlex SDK Metrics Tests
+ */
+
+const http = require('http');
+const CoinPlex = require('../index');
+
+const { createTestClient, ok, fail, status } = require('./helpers/client');
+
+const createClient = (handler, overrides) => createTestClient(handler, overrides, { instantDelays: true });
+
+describe('Metrics', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should count requests, retries and errors per endpoint', async () => {
+    const client = createClient((request, count) => {
+      if (request.endpoint === '/api/financial/view') {
+        return count === 1 ? status(503) : ok({});
+      }
+      return fail(3001, 'Product not available');
+    });
+    await client.authenticate();
+
+    await client.financial.getView();
+    await client.financial.getProductDetail(1).catch(() => {});
+
+    const metrics = client.getMetrics();
+    expect(metrics.endpoints['/api/financial/view']).toMatchObject({
+      requests: 2,
+      responses: 1,
+      retries: 1,
+      errors: {}
+    });
+    expect(metrics.endpoints['/api/financial/product/detail']).toMatchObject({
+      requests: 1,
+      responses: 0,
+      errors: { ApiError: 1 }
+    });
+    expect(metrics.errors).toEqual({ ApiError: 1 });
+    expect(metrics.authentication.authenticated).toEqual({ login: 1 });
+  });
+
+  test('should build cumulative latency histograms', async () => {
+    const client = createClient(() => ok({}), { metrics: { buckets: [1000, 10] } });
+    await client.authenticate();
+
+    await client.wallet.getOverview();
+    const metrics = client.getMetrics();
+    metrics.endpoints['/api/wallet/asset/overview'].latency.buckets.forEach(bucket => {
+      expect(bucket.count).toBe(1);
+    });
+
+    client.metrics._onResponse({ endpoint: '/api/wallet/asset/overview', latency: 500 });
+    const { latency } = client.getMetrics().endpoints['/api/wallet/asset/overview'];
+    expect(latency.buckets).toEqual([{ le: 10, count: 1 }, { le: 1000, count: 2 }]);
+    expect(latency.count).toBe(2);
+    expect(latency.max).toBe(500);
+  });
+
+  test('should count decryption methods and failures', async () => {
+    const client = createClient(() => ok('QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo='));
+    await client.authenticate();
+
+    await client.user.getProfile().catch(() => {});
+    client.emit('decrypted', { endpoint: '/api/wallet/asset/overview', method: 'AES', attempt: 1, latency: 5 });
+
+    expect(client.getMetrics().decryption).toEqual({ methods: { AES: 1 }, failures: 1 });
+    expect(client.getMetrics().errors).toEqual({ DecryptionError: 1 });
+  });
+
+  test('should render the Prometheus exposition format', async () => {
+    const client = createClient(() => ok({}), { metrics: { buckets: [100] } });
+    await client.authenticate();
+    await client.wallet.getOverview();
+    client.metrics.decryption.methods.RSA = 2;
+
+    const text = client.getMetrics('prometheus');
+
+    expect(text).toContain('# TYPE coinplex_requests_total counter');
+    expect(text).toContain('coinplex_requests_total{endpoint="/api/wallet/asset/overview"} 1');
+    expect(text).toContain('# TYPE coinplex_request_duration_seconds histogram');
+    expect(text).toContain('coinplex_request_duration_seconds_bucket{endpoint="/api/wallet/asset/overview",le="0.1"} 1');
+    expect(text).toContain('coinplex_request_duration_seconds_bucket{endpoint="/api/wallet/asset/overview",le="+Inf"} 1');
+    expect(text).toContain('coinplex_request_duration_seconds_count{endpoint="/api/wallet/asset/overview"} 1');
+    expect(text).toContain('coinplex_decryptions_total{method="RSA"} 2');
+    expect(text).toContain('coinplex_authentications_total{source="login"} 1');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('should escape label values', () => {
+    const collector = new CoinPlex.MetricsCollector({ prefix: 'executor' });
+    collector._onError({ endpoint: '/a"b\\c\n', error: new CoinPlex.ApiError('boom') });
+
+    expect(collector.toPrometheus()).toContain('executor_errors_total{endpoint="/a\\"b\\\\c\\n",error="ApiError"} 1');
+  });
+
+  test('should aggregate a shared collector across clients', async () => {
+    const metrics = new CoinPlex.MetricsCollector();
+    const first = createClient(() => ok({}), { metrics });
+    const second = createClient(() => ok({}), { metrics });
+    await first.authenticate();
+    await second.authenticate();
+
+    await first.wallet.getOverview();
+    await second.wallet.getOverview();
+    second.resetStats();
+
+    expect(metrics.toJSON().endpoints['/api/wallet/asset/overview'].requests).toBe(2);
+  });
+
+  test('should reset owned metrics and support disabling them', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+    await client.wallet.getOverview();
+
+    client.resetStats();
+    expect(client.getMetrics().endpoints).toEqual({});
+    expect(() => client.getMetrics('statsd')).toThrow('Unknown metrics format');
+
+    const disabled = createClient(() => ok({}), { metrics: false });
+    expect(disabled.metrics).toBeNull();
+    expect(() => disabled.getMetrics()).toThrow('Metrics are disabled');
+  });
+
+  test('should serve metrics over HTTP', async () => {
+    const client = createClient(() => ok({}));
+    await client.authenticate();
+    await client.wallet.getOverview();
+
+    const server = http.createServer(CoinPlex.createMetricsHandler(client));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    const get = (method) => new Promise((resolve, reject) => {
+      http.request({ hostname: '127.0.0.1', port, path: '/metrics', method }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject).end();
+    });
+
+    try {
+      const response = await get('GET');
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('version=0.0.4');
+      expect(response.body).toContain('coinplex_responses_total{endpoint="/api/wallet/asset/overview"} 1');
+
+      expect((await get('POST')).statusCode).toBe(405);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should not serve disabled metrics', () => {
+    const client = createClient(() => ok({}), { metrics: false });
+    expect(() => CoinPlex.createMetricsHandler(client)).toThrow('Metrics are disabled');
+  });
+
+  test('should answer 500 when metrics cannot be rendered', () => {
+    const handler = CoinPlex.createMetricsHandler({ toPrometheus: () => { throw new Error('broken'); } });
+    const res = { writeHead: jest.fn(), end: jest.fn() };
+
+    handler({ method: 'GET' }, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(500, expect.any(Object));
+    expect(res.end).toHaveBeenCalledWith('Failed to render metrics\n');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * CoinPlex SDK Middleware Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { TEST_CONFIG, createTestClient, ok, params } = require('./helpers/client');
+
+describe('Middleware', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createTestClient((request) => {
+      if (request.path !== '/api/income/data') {
+        throw new Error(`Request failed: no route for ${request.path}`);
+      }
+      return ok({ quantifyIncome: '1.5' });
+    }, { autoRetry: false });
+  });
+
+  test('should reject middleware without hooks', () => {
+    expect(() => client.use({})).toThrow('Invalid middleware');
+  });
+
+  test('should run hooks in order for login and requests', async () => {
+    const seen = [];
+    client.use({
+      beforeSign: (ctx) => { seen.push(`beforeSign ${ctx.endpoint}`); },
+      afterSign: (ctx) => { seen.push(`afterSign ${ctx.endpoint}`); },
+      afterResponse: (ctx) => { seen.push(`afterResponse ${ctx.endpoint}`); }
+    });
+
+    await client.authenticate();
+    await client.income.getIncomeData(7);
+
+    expect(seen).toEqual([
+      'beforeSign /api/user/login',
+      'afterSign /api/user/login',
+      'afterResponse /api/user/login',
+      'beforeSign /api/income/data',
+      'afterSign /api/income/data',
+      'afterResponse /api/income/data'
+    ]);
+  });
+
+  test('should sign params and headers added before signing', async () => {
+    let signed;
+    client.use({
+      beforeSign: (ctx) => {
+        ctx.params.traceId = 'abc';
+        ctx.headers['X-Trace-Id'] = 'abc';
+      },
+      afterSign: (ctx) => { signed = ctx.payload; }
+    });
+
+    await client.authenticate();
+    await client.income.getIncomeData(1);
+
+    const sent = params(client.calls[0]);
+    expect(sent).toEqual(signed);
+    expect(sent.traceId).toBe('abc');
+    expect(CoinPlex.utils.signature.verifySignature(sent, TEST_CONFIG.apiSecret)).toBe(true);
+    expect(client.calls[0].headers['X-Trace-Id']).toBe('abc');
+  });
+
+  test('should let afterResponse transform the response', async () => {
+    client.use({
+      afterResponse: (ctx, response) => {
+        if (ctx.endpoint === '/api/income/data') {
+          return { ...response, data: { ...response.data, tagged: true } };
+        }
+      }
+    });
+
+    await client.authenticate();
+    const income = await client.income.getIncomeData(1);
+    expect(income).toEqual({ quantifyIncome: '1.5', tagged: true });
+  });
+
+  test('should let onError recover from a failure', async () => {
+    client.use({
+      onError: (ctx, error) => ({ statusCode: 200, data: { recovered: error.message } })
+    });
+
+    await client.authenticate();
+    const overview = await client.wallet.getOverview();
+    expect(overview.recovered).toContain('no route');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * CoinPlex SDK Mock Server Tests
+ */
+
+const CoinPlex = require('../index');
+const { MockServer } = require('../mock-server');
+
+const { ENDPOINTS } = CoinPlex.utils.constants;
+const { encryptRSAResponse, decryptRSAResponse } = CoinPlex.utils.decryption;
+
+const config = {
+  apiKey: 'mock-api-key',
+  apiSecret: 'mock-api-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' },
+  rateLimit: false,
+  autoRetry: false
+};
+
+describe('Mock Server', () => {
+  let log;
+  let server;
+  let client;
+
+  async function start(options = {}, clientOverrides = {}) {
+    server = new MockServer(options);
+    const baseUrl = await server.listen();
+    client = new CoinPlex({ ...config, baseUrl, ...clientOverrides });
+    return client;
+  }
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  afterEach(async () => {
+    if (client) client.destroy();
+    if (server) await server.close();
+    client = null;
+    server = null;
+  });
+
+  test('should round-trip data through the production RSA format', () => {
+    const data = { list: Array.from({ length: 30 }, (_, i) => ({ i, note: 'quantify income ü' })) };
+
+    expect(decryptRSAResponse(encryptRSAResponse(data))).toEqual(data);
+  });
+
+  test('should serve every endpoint with signed requests and encrypted data', async () => {
+    await start();
+    expect(await client.authenticate()).toBe(true);
+    expect(client.getTokenInfo().userId).toBe(12345);
+
+    const view = await client.request(ENDPOINTS.FINANCIAL_VIEW);
+    expect(view._decryptionMethod).toBe('RSA');
+    expect(view.data.balance).toBe('1000.50');
+
+    expect((await client.wallet.getOverview()).totalAmount).toBe('1000.50');
+    expect((await client.wallet.getRecords({ page: 3, pageSize: 10 })).list).toHaveLength(5);
+    expect(await client.financial.getAllProducts()).toHaveLength(6);
+    expect((await client.income.getIncomeData(7)).quantifyIncome).toBe('5.60000000');
+    expect((await client.income.getTeamData()).teamCount).toBe(1);
+    expect((await client.user.getProfile()).levelName).toBe('G1');
+    expect((await client.quantify.execute()).hasTip).toBe(true);
+    expect((await client.request(ENDPOINTS.CPLX_BUY_STATUS)).data).toEqual({ isOpen: false });
+    expect(await client.ads.getCPLXNodeAds()).toHaveLength(1);
+  });
+
+  test('should reject bad signatures, keys and credentials', async () => {
+    await start({ credentials: config.credentials }, { apiSecret: 'wrong-secret' });
+    expect(await client.authenticate()).toBe(false);
+    expect(client.auth.lastError).toMatchObject({ code: 1002, serverMessage: 'Invalid signature' });
+
+    client.destroy();
+    client = new CoinPlex({ ...config, baseUrl: server.url, credentials: { ...config.credentials, code: '111111' } });
+    expect(await client.authenticate()).toBe(false);
+    expect(client.auth.lastError).toMatchObject({ code: 2001 });
+  });
+
+  test('should require a token and let the client log in again', async () => {
+    await start();
+    await client.authenticate();
+
+    server.expireTokens();
+    await client.wallet.getOverview();
+
+    expect(server.requests.map(request => request.endpoint)).toEqual([
+      ENDPOINTS.LOGIN,
+      ENDPOINTS.WALLET_OVERVIEW,
+      ENDPOINTS.LOGIN,
+      ENDPOINTS.WALLET_OVERVIEW
+    ]);
+  });
+
+  test('should serve the empty wallet scenario', async () => {
+    await start({ scenario: 'empty-wallet' });
+    await client.authenticate();
+
+    expect((await client.wallet.getOverview()).totalAmount).toBe('0');
+    expect(await client.wallet.getRecentRecords()).toEqual([]);
+    expect((await client.income.getIncomeData(30)).quantifyIncome).toBe('0');
+    await expect(client.quantify.execute()).rejects.toMatchObject({ code: 1004 });
+  });
+
+  test('should apply custom scenarios and per-endpoint overrides', async () => {
+    await start({
+      scenario: {
+        extends: 'quantify-unavailable',
+        endpoints: { [ENDPOINTS.ADS_LIST]: { data: [{ id: 7 }] } }
+      }
+    });
+    await client.authenticate();
+
+    expect(await client.ads.getList('HOME')).toEqual([{ id: 7 }]);
+    await expect(client.quantify.execute()).rejects.toMatchObject({ code: 1005 });
+
+    server.respond(ENDPOINTS.QUANTIFY_EXECUTE, (params) => ({ data: { hasTip: false, nonce: params.nonce } }));
+    expect(await client.quantify.execute({ nonce: 'abc' })).toEqual({ hasTip: false, nonce: 'abc' });
+
+    server.respond(ENDPOINTS.ADS_LIST, (params, context) => ({ data: [{ requests: context.server.requests.length }] }));
+    expect(await client.ads.getList('HOME')).toEqual([{ requests: server.requests.length }]);
+
+    expect(() => server.setScenario('missing')).toThrow('Unknown mock scenario');
+  });
+
+  test('should simulate HTTP errors and slow responses', async () => {
+    await start({ scenario: 'server-error' }, { timeout: 50 });
+    await client.authenticate();
+
+    await expect(client.wallet.getOverview()).rejects.toMatchObject({ name: 'ApiError', statusCode: 500 });
+
+    server.setScenario('rate-limited');
+    await expect(client.wallet.getOverview()).rejects.toMatchObject({ name: 'RateLimitError', retryAfter: 1000 });
+
+    server.setScenario('default').respond(ENDPOINTS.WALLET_OVERVIEW, { delay: 200, data: {} });
+    await expect(client.wallet.getOverview()).rejects.toBeInstanceOf(CoinPlex.TimeoutError);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * CoinPlex SDK Client Pool Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { CoinPlexPool } = CoinPlex;
+
+const shared = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  rateLimit: false
+};
+
+const accounts = [
+  { prefix: '49', account: '111111111', code: '000000' },
+  { prefix: '49', account: '222222222', code: '000000' },
+  { prefix: '49', account: '333333333', code: '000000' }
+];
+
+const ok = (data) => ({ statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data }) });
+
+/**
+ * Fake transport answering login per account and wallet overviews
+ */
+function createTransport(options = {}) {
+  const transport = {
+    logins: [],
+    async send(request) {
+      if (request.path === '/api/user/login') {
+        const { account } = JSON.parse(request.body);
+        transport.logins.push(account);
+        if (options.failLogin === account) {
+          return { statusCode: 200, headers: {}, body: JSON.stringify({ code: 2001, msg: 'User not found' }) };
+        }
+        return ok({ token: `jwt-${account}` });
+      }
+      return ok({});
+    }
+  };
+  return transport;
+}
+
+describe('CoinPlexPool', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should validate accounts', () => {
+    expect(() => new CoinPlexPool({ ...shared })).toThrow('accounts');
+    expect(() => new CoinPlexPool({ ...shared, accounts: [accounts[0], accounts[0]] })).toThrow('Duplicate account');
+    expect(new CoinPlexPool({ ...shared, accounts: [accounts[0], { ...accounts[0], prefix: '48' }] }).ids()).toEqual(['49111111111', '48111111111']);
+    expect(() => new CoinPlexPool({ ...shared, accounts, concurrency: 0 })).toThrow('concurrency');
+    expect(() => new CoinPlexPool({ ...shared, accounts: [{ prefix: '49' }] })).toThrow('Missing required credential');
+  });
+
+  test('should create clients sharing transport, rate limiter and metrics', () => {
+    const rateLimiter = new CoinPlex.RateLimiter();
+    const pool = new CoinPlexPool({
+      ...shared,
+      rateLimit: undefined,
+      rateLimiter,
+      transport: createTransport(),
+      accounts: [...accounts.slice(0, 2), { id: 'backup', credentials: accounts[2], timeout: 5000 }]
+    });
+
+    expect(pool.size).toBe(3);
+    expect(pool.ids()).toEqual(['49111111111', '49222222222', 'backup']);
+
+    const clients = pool.ids().map(id => pool.get(id));
+    clients.forEach(client => {
+      expect(client.transport).toBe(pool.transport);
+      expect(client.rateLimiter.parent).toBe(rateLimiter);
+      expect(client.metrics).toBe(pool.metrics);
+    });
+    expect(pool.get('backup').config.timeout).toBe(5000);
+    expect(() => pool.get('nobody')).toThrow('Unknown account');
+  });
+
+  test('should share data endpoint limits but not login limits between accounts', async () => {
+    const rateLimiter = new CoinPlex.RateLimiter({
+      endpoints: {
+        '/api/user/login': { requests: 1, window: 300000 },
+        '/api/wallet/asset/overview': { requests: 5, window: 60000 }
+      }
+    });
+    const transport = createTransport();
+    const pool = new CoinPlexPool({ ...shared, rateLimit: undefined, rateLimiter, transport, accounts });
+
+    await pool.forEach(client => client.wallet.getOverview());
+
+    expect(transport.logins.sort()).toEqual(['111111111', '222222222', '333333333']);
+    expect(rateLimiter.getState()['/api/wallet/asset/overview'].available).toBe(2);
+    expect(rateLimiter.getState()['/api/user/login']).toBeUndefined();
+    expect(pool.get('49111111111').rateLimiter.getState()).toMatchObject({
+      '/api/user/login': { available: 0 },
+      '/api/wallet/asset/overview': { available: 2 }
+    });
+  });
+
+  test('should report the waits of every account on the shared rate limiter', async () => {
+    const rateLimiter = new CoinPlex.RateLimiter({ endpoints: { '/api/wallet/asset/overview': { requests: 2, window: 100 } } });
+    const pool = new CoinPlexPool({ ...shared, rateLimit: undefined, rateLimiter, transport: createTransport(), accounts });
+    const waits = [];
+    rateLimiter.on('wait', (event) => waits.push(event));
+
+    await pool.forEach(client => client.wallet.getOverview());
+
+    expect(waits).toHaveLength(1);
+    expect(waits[0]).toMatchObject({ endpoint: '/api/wallet/asset/overview', queued: 1 });
+  });
+
+  test('should authenticate lazily, once per account', async () => {
+    const transport = createTransport();
+    const pool = new CoinPlexPool({ ...shared, transport, accounts });
+
+    expect(transport.logins).toEqual([]);
+
+    await Promise.all([pool.getClient('49111111111'), pool.getClient('49111111111')]);
+    await pool.forEach(client => client.wallet.getOverview());
+
+    expect(transport.logins.sort()).toEqual(['111111111', '222222222', '333333333']);
+  });
+
+  test('should isolate failures and aggregate results', async () => {
+    const pool = new CoinPlexPool({ ...shared, transport: createTransport({ failLogin: '222222222' }), accounts });
+
+    const summary = await pool.forEach(async (client, { id }) => {
+      if (id === '49333333333') {
+        throw new Error('task failed');
+      }
+      return client.getToken();
+    });
+
+    expect(summary).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+    expect(summary.results[0]).toEqual({ id: '49111111111', status: 'fulfilled', value: 'jwt-111111111' });
+    expect(summary.results[1].status).toBe('rejected');
+    expect(summary.results[1].error.serverMessage).toBe('User not found');
+    expect(summary.results[2].error.message).toBe('task failed');
+  });
+
+  test('should limit concurrency across forEach calls', async () => {
+    const pool = new CoinPlexPool({ ...shared, transport: createTransport(), accounts, concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+    };
+
+    await Promise.all([pool.forEach(task), pool.forEach(task)]);
+
+    expect(peak).toBe(2);
+  });
+
+  test('should run a subset of accounts', async () => {
+    const pool = new CoinPlexPool({ ...shared, transport: createTransport(), accounts });
+
+    const summary = await pool.forEach((client, { id, index }) => `${index}:${id}`, { accounts: ['49333333333'] });
+
+    expect(summary.results).toEqual([{ id: '49333333333', status: 'fulfilled', value: '0:49333333333' }]);
+    await expect(pool.forEach(() => {}, { accounts: ['nobody'] })).rejects.toThrow('Unknown account');
+  });
+
+  test('should stop starting accounts when aborted', async () => {
+    const pool = new CoinPlexPool({ ...shared, transport: createTransport(), accounts, concurrency: 1 });
+    const controller = new AbortController();
+    const started = [];
+
+    const pending = pool.forEach(async (client, { id }) => {
+      started.push(id);
+      controller.abort();
+    }, { signal: controller.signal });
+
+    await expect(pending).rejects.toBeInstanceOf(CoinPlex.AbortError);
+    expect(started).toEqual(['49111111111']);
+    expect(pool._slots.active).toBe(0);
+  });
+
+  test('should aggregate statistics and metrics', async () => {
+    const pool = new CoinPlexPool({ ...shared, transport: createTransport(), accounts });
+
+    await pool.forEach(client => client.wallet.getOverview());
+
+    const stats = pool.getStats();
+    expect(stats).toMatchObject({ requests: 3, successful: 3, failed: 0, authenticated: 3 });
+    expect(stats.accounts['49222222222']).toMatchObject({ requests: 1, authenticated: true });
+    expect(pool.getMetrics().endpoints['/api/wallet/asset/overview'].requests).toBe(3);
+    expect(pool.getMetrics().authentication.authenticated).toEqual({ login: 3 });
+  });
+});
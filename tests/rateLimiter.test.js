@@ -0,0 +1,89 @@
+/**
+ * CoinPlex SDK Rate Limiter Tests
+ */
+
+const CoinPlex = require('../index');
+
+const config = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' }
+};
+
+describe('Rate Limiter', () => {
+  test('should apply RATE_LIMITS by default', () => {
+    const limiter = new CoinPlex.RateLimiter();
+
+    expect(limiter.getLimit('/api/user/login')).toEqual({ requests: 5, window: 300000, burst: 5 });
+    expect(limiter.getLimit('/api/wallet/asset/overview')).toEqual({ requests: 60, window: 60000, burst: 10 });
+  });
+
+  test('should let config override endpoint limits', () => {
+    const client = new CoinPlex({
+      ...config,
+      rateLimit: { burst: 3, endpoints: { '/api/ads/list': { requests: 2, window: 1000 } } }
+    });
+
+    expect(client.rateLimiter.getLimit('/api/ads/list')).toEqual({ requests: 2, window: 1000, burst: 2 });
+    expect(client.rateLimiter.getLimit('/api/user/info/personal').burst).toBe(3);
+    expect(client.rateLimiter.getLimit('/api/quantify/execute').requests).toBe(12);
+  });
+
+  test('should be disabled with rateLimit: false', () => {
+    const client = new CoinPlex({ ...config, rateLimit: false });
+    expect(client.rateLimiter).toBeNull();
+  });
+
+  test('should queue requests beyond the burst in order', async () => {
+    const limiter = new CoinPlex.RateLimiter({ endpoints: { '/test': { requests: 2, window: 100 } } });
+    const waits = [];
+    limiter.on('wait', (event) => waits.push(event));
+
+    const order = [];
+    const startedAt = Date.now();
+    await Promise.all([1, 2, 3, 4].map(i => limiter.acquire('/test').then(() => order.push(i))));
+
+    expect(order).toEqual([1, 2, 3, 4]);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect(waits.map(w => w.queued)).toEqual([1, 2]);
+    expect(waits[0].waitTime).toBeGreaterThan(0);
+  });
+
+  test('should keep endpoints independent', async () => {
+    const limiter = new CoinPlex.RateLimiter({ endpoints: { '/slow': { requests: 1, window: 10000 } } });
+    await limiter.acquire('/slow');
+
+    const waited = await limiter.acquire('/fast');
+    expect(waited).toBeLessThan(50);
+  });
+
+  test('should back off an endpoint after a 429 response', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    let overviewCalls = 0;
+    const transport = {
+      async send(request) {
+        if (request.path === '/api/user/login') {
+          return { statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data: { token: 'jwt' } }) };
+        }
+        overviewCalls++;
+        if (overviewCalls === 1) {
+          return { statusCode: 429, headers: { 'retry-after': '0.15' }, body: '' };
+        }
+        return { statusCode: 200, headers: {}, body: JSON.stringify({ code: 0, data: { totalAmount: '1' } }) };
+      }
+    };
+    const client = new CoinPlex({ ...config, transport });
+    client._delay = () => Promise.resolve();
+    const backoffs = [];
+    client.rateLimiter.on('backoff', (event) => backoffs.push(event));
+
+    await client.authenticate();
+    const startedAt = Date.now();
+    const total = await client.wallet.getTotalValue();
+
+    expect(total).toBe(1);
+    expect(backoffs).toEqual([{ endpoint: '/api/wallet/asset/overview', duration: 150 }]);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(140);
+    log.mockRestore();
+  });
+});
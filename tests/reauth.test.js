@@ -0,0 +1,89 @@
+/**
+ * CoinPlex SDK Re-authentication Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, createTokenIssuer } = require('./helpers/client');
+
+const createClient = (issuer, overrides) => createTestClient(issuer.handler, overrides, { login: issuer.login });
+
+describe('Re-authentication', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should coalesce concurrent authenticate() calls', async () => {
+    const issuer = createTokenIssuer();
+    const client = createClient(issuer);
+
+    const results = await Promise.all([client.authenticate(), client.authenticate()]);
+    expect(results).toEqual([true, true]);
+    expect(issuer.logins).toBe(1);
+  });
+
+  test('should re-login once for concurrent requests with an expired token', async () => {
+    const issuer = createTokenIssuer();
+    const onTokenRefresh = jest.fn();
+    const client = createClient(issuer, { onTokenRefresh });
+    await client.authenticate();
+
+    client.auth.tokenExpiry = new Date(Date.now() - 1000);
+
+    const results = await Promise.all([
+      client.user.getProfile(),
+      client.wallet.getOverview(),
+      client.financial.getView()
+    ]);
+
+    expect(issuer.logins).toBe(2);
+    expect(results.map(r => r.token)).toEqual(['jwt-token-2', 'jwt-token-2', 'jwt-token-2']);
+    expect(onTokenRefresh).toHaveBeenCalledTimes(1);
+    expect(onTokenRefresh.mock.calls[0][0]).toMatchObject({
+      token: 'jwt-token-2',
+      previousToken: 'jwt-token-1',
+      reason: 'expired'
+    });
+  });
+
+  test('should replay a request once after the token is rejected', async () => {
+    const issuer = createTokenIssuer();
+    const onTokenRefresh = jest.fn();
+    const client = createClient(issuer, { onTokenRefresh });
+    await client.authenticate();
+
+    // Server-side invalidation, e.g. login from another device
+    issuer.validToken = 'revoked-elsewhere';
+
+    const [profile, overview] = await Promise.all([
+      client.user.getProfile(),
+      client.wallet.getOverview()
+    ]);
+
+    expect(profile.token).toBe('jwt-token-2');
+    expect(overview.token).toBe('jwt-token-2');
+    expect(issuer.logins).toBe(2);
+    expect(client.calls).toHaveLength(4);
+    expect(onTokenRefresh.mock.calls[0][0].reason).toBe('rejected');
+  });
+
+  test('should not re-login when disabled or after logout', async () => {
+    const issuer = createTokenIssuer();
+    const client = createClient(issuer, { autoReauth: false });
+    await client.authenticate();
+    client.auth.tokenExpiry = new Date(Date.now() - 1000);
+
+    await expect(client.user.getProfile()).rejects.toBeInstanceOf(CoinPlex.AuthenticationError);
+
+    client.config.autoReauth = true;
+    client.logout();
+    await expect(client.user.getProfile()).rejects.toBeInstanceOf(CoinPlex.AuthenticationError);
+    expect(issuer.logins).toBe(1);
+  });
+});
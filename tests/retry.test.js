@@ -0,0 +1,94 @@
+/**
+ * CoinPlex SDK Retry Policy Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { createTestClient, countCalls, ok, fail, status } = require('./helpers/client');
+
+const createClient = (handler, overrides) => createTestClient(handler, overrides, { instantDelays: true });
+const serverError = () => status(500);
+
+describe('Retry Policy', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should back off exponentially within the jitter range', () => {
+    const policy = new CoinPlex.RetryPolicy({ baseDelay: 100, jitter: 0.5, random: () => 1 });
+    const error = new CoinPlex.NetworkError('reset');
+
+    expect([1, 2, 3].map(attempt => policy.getDelay(error, attempt, '/x'))).toEqual([50, 100, 200]);
+
+    const noJitter = new CoinPlex.RetryPolicy({ baseDelay: 100, jitter: 0, maxDelay: 250 });
+    expect([1, 2, 3].map(attempt => noJitter.getDelay(error, attempt, '/x'))).toEqual([100, 200, 250]);
+  });
+
+  test('should honour Retry-After', () => {
+    const policy = new CoinPlex.RetryPolicy({ baseDelay: 100, jitter: 0 });
+    const error = new CoinPlex.RateLimitError('slow down', { retryAfter: 5000 });
+
+    expect(policy.getDelay(error, 1, '/x')).toBe(5000);
+    expect(policy.shouldRetry(new CoinPlex.RateLimitError('slow down', { retryAfter: 600000 }), 1, '/x')).toBe(false);
+  });
+
+  test('should use maxRetries from config', async () => {
+    const client = createClient(serverError, { maxRetries: 1 });
+    await client.authenticate();
+
+    await expect(client.financial.getView()).rejects.toBeInstanceOf(CoinPlex.ApiError);
+    expect(countCalls(client, '/api/financial/view')).toBe(2);
+  });
+
+  test('should retry transient failures until success', async () => {
+    const client = createClient((request, count) => count < 3 ? serverError() : ok({ balance: '1' }));
+    await client.authenticate();
+
+    const view = await client.financial.getView();
+    expect(view.balance).toBe('1');
+    expect(client.delays).toHaveLength(2);
+  });
+
+  test('should not retry non-transient errors', async () => {
+    const client = createClient(() => fail(1004, 'no'));
+    await client.authenticate();
+
+    await expect(client.financial.getView()).rejects.toBeInstanceOf(CoinPlex.ApiError);
+    expect(countCalls(client, '/api/financial/view')).toBe(1);
+  });
+
+  test('should not blindly retry quantify execution', async () => {
+    const client = createClient(serverError);
+    await client.authenticate();
+
+    await expect(client.quantify.execute()).rejects.toBeInstanceOf(CoinPlex.ApiError);
+    expect(countCalls(client, '/api/quantify/execute')).toBe(1);
+  });
+
+  test('should retry quantify execution after a 429', async () => {
+    const client = createClient((request, count) => count === 1
+      ? status(429)
+      : ok({ hasTip: true }));
+    await client.authenticate();
+
+    const result = await client.quantify.execute();
+    expect(result.hasTip).toBe(true);
+    expect(countCalls(client, '/api/quantify/execute')).toBe(2);
+  });
+
+  test('should apply endpoint rules from config', async () => {
+    const client = createClient(serverError, {
+      retry: { endpoints: { '/api/financial/view': { maxAttempts: 2 } } }
+    });
+    await client.authenticate();
+
+    await expect(client.financial.getView()).rejects.toBeInstanceOf(CoinPlex.ApiError);
+    expect(countCalls(client, '/api/financial/view')).toBe(2);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * CoinPlex SDK Sandbox Tests
+ */
+
+const CoinPlex = require('../index');
+
+const { VirtualClock } = CoinPlex.testing;
+
+const START = new Date('2025-07-23T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('Sandbox', () => {
+  let log;
+  let clock;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    clock = new VirtualClock(START);
+  });
+
+  test('should credit quantify income as 10002 records once executions complete', async () => {
+    const client = CoinPlex.sandbox({ balance: 1000, quantifyRate: 0.001 }, { clock });
+    await client.authenticate();
+
+    const result = await client.quantify.execute();
+    expect(result.expectedCompletionTime).toBe(START.getTime() + 5 * MINUTE);
+    expect(await client.user.getProfile()).toMatchObject({ pendingAmount: '1', totalIncome: '0' });
+
+    await clock.advance(5 * MINUTE);
+    await client.quantify.execute();
+    await clock.advance(5 * MINUTE);
+
+    const records = await client.wallet.getRecords({ yearMonth: '202507' });
+    expect(records.list.map(record => [record.typeCode, record.type, record.amount])).toEqual([
+      [10002, 'Quantify income', '1.001'],
+      [10002, 'Quantify income', '1']
+    ]);
+    expect(records.list[1].date).toBe('07/23/2025 08:05:00');
+    expect((await client.income.getIncomeData(1)).quantifyIncome).toBe('2.001');
+    expect(await client.user.getProfile()).toMatchObject({ totalBalance: '1002.001', pendingAmount: '0' });
+  });
+
+  test('should stop quantify executions at the daily limit', async () => {
+    const client = CoinPlex.sandbox({ quantifyLimit: 2, quantifyDuration: 0 }, { clock });
+    await client.authenticate();
+
+    await client.quantify.execute();
+    await client.quantify.execute();
+    await expect(client.quantify.execute()).rejects.toMatchObject({ name: 'ApiError', code: 1005 });
+
+    await clock.advance(DAY);
+    await expect(client.quantify.execute()).resolves.toMatchObject({ hasTip: true });
+  });
+
+  test('should lock purchased amounts and return the capital at maturity', async () => {
+    const client = CoinPlex.sandbox({ balance: 1000 }, { clock });
+    await client.authenticate();
+
+    const order = client.sandbox.purchase(2, 600, { days: 30 });
+    expect(order).toMatchObject({ productId: 2, amount: 600, status: 'active' });
+
+    const overview = await client.wallet.getOverview();
+    expect(overview).toMatchObject({ totalAmount: '1000', totalFrozen: '600', totalFlexibleAmount: '400' });
+    expect(overview.list[0]).toMatchObject({ coinName: 'USDT', balance: '400', frozen: '600' });
+    expect(await client.financial.getView()).toMatchObject({ orderAmount: '600', balance: '400' });
+    expect((await client.financial.getProductDetail(2)).userOrderAmount).toBe('600');
+
+    await clock.advance(30 * DAY - 1);
+    expect(client.sandbox.getState()).toMatchObject({ balance: 400, locked: 600 });
+
+    await clock.advance(1);
+    expect(client.sandbox.getState()).toMatchObject({ balance: 1000, locked: 0 });
+    const records = await client.wallet.getRecords({ yearMonth: '202508' });
+    expect(records.list).toEqual([expect.objectContaining({ typeCode: 102, amount: '600', date: '08/22/2025 08:00:00' })]);
+  });
+
+  test('should gate products by user level and limits', async () => {
+    const client = CoinPlex.sandbox({ level: 2, balance: 30000 }, { clock });
+    await client.authenticate();
+
+    expect((await client.financial.getProductDetail(3)).hasBuy).toBe(false);
+    expect(() => client.sandbox.purchase(3, 500)).toThrow(expect.objectContaining({ code: 2002 }));
+
+    client.sandbox.setLevel(3);
+    expect((await client.financial.getProductDetail(3)).hasBuy).toBe(true);
+    expect(client.sandbox.purchase(3, 500).days).toBe(60);
+
+    // Amounts given as strings add up as numbers toward the product maximum
+    expect(client.sandbox.purchase(1, '4000').amount).toBe(4000);
+    expect(() => client.sandbox.purchase(1, '1001')).toThrow(expect.objectContaining({ code: 3002 }));
+    expect(client.sandbox.purchase(1, '1000').amount).toBe(1000);
+
+    expect(() => client.sandbox.purchase(1, 100)).toThrow(expect.objectContaining({ code: 3002 }));
+    expect(() => client.sandbox.purchase(1, 5001)).toThrow(expect.objectContaining({ code: 3002 }));
+    expect(() => client.sandbox.purchase(1, 'abc')).toThrow(expect.objectContaining({ code: 3002 }));
+    expect(() => client.sandbox.purchase(1, 500, { days: 30 })).toThrow(expect.objectContaining({ code: 3001 }));
+    expect(() => client.sandbox.purchase(9, 500)).toThrow(CoinPlex.ApiError);
+    expect(() => client.sandbox.setLevel(8)).toThrow('Invalid sandbox level');
+  });
+
+  test('should reject purchases and executions without balance', async () => {
+    const client = CoinPlex.sandbox({ balance: 300 }, { clock });
+    await client.authenticate();
+
+    expect(() => client.sandbox.purchase(1, 400)).toThrow(expect.objectContaining({ code: 1004 }));
+    client.sandbox.purchase(1, 300);
+    await expect(client.quantify.execute()).rejects.toMatchObject({ code: 1004 });
+
+    client.sandbox.deposit(50);
+    await expect(client.quantify.execute()).resolves.toMatchObject({ hasTip: true });
+    expect((await client.wallet.getRecords({ yearMonth: '202507' })).list.map(record => record.typeCode)).toEqual([201, 101]);
+  });
+});
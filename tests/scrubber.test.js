@@ -0,0 +1,138 @@
+/**
+ * CoinPlex SDK Scrubber Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoinPlex = require('../index');
+const { decryptRSAResponse } = require('../src/core/decryption');
+const { decodeJwtPayload } = require('../src/utils/jwt');
+
+const { Scrubber } = CoinPlex;
+const { profile, apiResponse } = CoinPlex.testing;
+
+function jwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.c2lnbmF0dXJl`;
+}
+
+describe('Scrubber', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should replace PII fields with stable pseudonyms', () => {
+    const scrubber = new Scrubber({ salt: 'bug-1234' });
+    const data = scrubber.scrub({
+      profile: profile(),
+      team: [{ userId: 12345, nickname: 'mock_user', amount: '10' }]
+    });
+
+    expect(data.profile).toMatchObject({ totalBalance: '1000.50', level: 2, mobilePrefix: '49' });
+    expect(data.profile.userId).toEqual(expect.any(Number));
+    expect(String(data.profile.userId)).toHaveLength(5);
+    expect(data.profile.userId).not.toBe(12345);
+    expect(data.profile.mobile).toMatch(/^\d{10}$/);
+    expect(data.profile.email).toMatch(/^user\.[0-9a-f]{8}@example\.invalid$/);
+    expect(data.profile.inviteCode).toMatch(/^[A-Z2-9]{6}$/);
+    expect(data.profile.inviteCode).not.toBe('MOCK01');
+    expect(data.team[0]).toEqual({ userId: data.profile.userId, nickname: data.profile.nickname, amount: '10' });
+
+    expect(new Scrubber({ salt: 'bug-1234' }).scrub(profile())).toEqual(data.profile);
+    expect(new Scrubber({ salt: 'other' }).scrub(profile()).email).not.toBe(data.profile.email);
+    expect(scrubber.getStats()).toEqual({
+      replacements: { userId: 2, nickname: 2, inviteCode: 1, mobile: 1, email: 1 },
+      pseudonyms: 5
+    });
+  });
+
+  test('should scrub encrypted response bodies and optionally re-encrypt them', () => {
+    const capture = {
+      request: { headers: { token: '[REDACTED]' }, params: {} },
+      responses: [apiResponse(profile())]
+    };
+
+    const plain = new Scrubber({ salt: 's' }).scrub(capture);
+    const body = JSON.parse(plain.responses[0].body);
+    expect(plain.request.headers.token).toBe('[REDACTED]');
+    expect(body).toMatchObject({ code: 0, data: { totalBalance: '1000.50' } });
+    expect(body.data.email).not.toBe('mock@example.com');
+
+    const reencrypted = new Scrubber({ salt: 's', reencrypt: true }).scrub(capture);
+    const data = JSON.parse(reencrypted.responses[0].body).data;
+    expect(typeof data).toBe('string');
+    expect(decryptRSAResponse(data)).toEqual(body.data);
+  });
+
+  test('should scrub JWT claims and keep the expiry', () => {
+    const scrubber = new Scrubber({ salt: 's' });
+    const token = jwt({ userId: 12345, mobile: '1234567890', exp: 1753300000 });
+    const { token: scrubbed } = scrubber.scrub({ token });
+
+    expect(scrubbed).not.toBe(token);
+    expect(decodeJwtPayload(scrubbed)).toEqual({
+      userId: scrubber.pseudonym('userId', 12345),
+      mobile: scrubber.pseudonym('mobile', '1234567890'),
+      exp: 1753300000
+    });
+    expect(scrubber.scrub({ token: 'opaque-session' }).token).toMatch(/^token_[0-9a-f]{32}$/);
+  });
+
+  test('should scrub log lines', () => {
+    const scrubber = new Scrubber({ salt: 's' });
+    const email = scrubber.pseudonym('email', 'mock@example.com');
+    const userId = scrubber.pseudonym('userId', '12345');
+
+    const text = scrubber.scrubText([
+      '[2025-07-23T08:00:00.000Z] [INFO] [CoinPlex] Logged in userId=12345 nickname: mock_user',
+      '[2025-07-23T08:00:01.000Z] [DEBUG] [CoinPlex] Profile {"userId":12345,"email":"mock@example.com"}',
+      '{"level":"info","mobile":"1234567890","balance":"1000.50"}',
+      'Contact mock@example.com, token [REDACTED]',
+      ''
+    ].join('\n'));
+    const lines = text.split('\n');
+
+    expect(lines[0]).toBe(`[2025-07-23T08:00:00.000Z] [INFO] [CoinPlex] Logged in userId=${userId} nickname: ${scrubber.pseudonym('nickname', 'mock_user')}`);
+    expect(lines[1]).toContain(`{"userId":${userId},"email":"${email}"}`);
+    expect(JSON.parse(lines[2])).toMatchObject({ level: 'info', balance: '1000.50', mobile: expect.stringMatching(/^\d{10}$/) });
+    expect(lines[3]).toBe(`Contact ${email}, token [REDACTED]`);
+    expect(lines[4]).toBe('');
+  });
+
+  test('should scrub a directory into another', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coinplex-scrub-'));
+    const out = path.join(dir, 'scrubbed');
+
+    try {
+      fs.mkdirSync(path.join(dir, 'fixtures'));
+      const fixture = `${JSON.stringify({ endpoint: '/api/user/info/personal', responses: [apiResponse(profile())] }, null, 2)}\n`;
+      fs.writeFileSync(path.join(dir, 'fixtures', 'profile.json'), fixture);
+      fs.writeFileSync(path.join(dir, 'debug.log'), 'sent code to mock@example.com\n');
+      fs.writeFileSync(path.join(dir, 'image.png'), 'mock@example.com');
+
+      const scrubber = new Scrubber({ salt: 's' });
+      const files = await scrubber.scrubDirectory(dir, out);
+      const email = scrubber.pseudonym('email', 'mock@example.com');
+
+      expect(files).toEqual(['debug.log', path.join('fixtures', 'profile.json')]);
+      expect(fs.readFileSync(path.join(dir, 'fixtures', 'profile.json'), 'utf8')).toBe(fixture);
+      expect(fs.readFileSync(path.join(out, 'debug.log'), 'utf8')).toBe(`sent code to ${email}\n`);
+      expect(fs.existsSync(path.join(out, 'image.png'))).toBe(false);
+
+      const scrubbed = fs.readFileSync(path.join(out, 'fixtures', 'profile.json'), 'utf8');
+      expect(scrubbed).toMatch(/^{\n {2}"endpoint"/);
+      expect(JSON.parse(JSON.parse(scrubbed).responses[0].body).data.email).toBe(email);
+      await expect(scrubber.scrubDirectory(dir)).rejects.toThrow('requires an output directory');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
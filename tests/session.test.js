@@ -0,0 +1,176 @@
+/**
+ * CoinPlex SDK Session Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoinPlex = require('../index');
+
+const { TEST_CONFIG, createTestClient, createTokenIssuer } = require('./helpers/client');
+
+const createClient = (issuer, overrides) => createTestClient(issuer.handler, overrides, { login: issuer.login });
+
+describe('Session Store', () => {
+  let log;
+  let directory;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'coinplex-session-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should reject an incomplete custom store', () => {
+    expect(() => new CoinPlex({ ...TEST_CONFIG, sessionStore: { get() {} } })).toThrow('Invalid session store');
+  });
+
+  test('should share one login between clients using the same memory store', async () => {
+    const issuer = createTokenIssuer();
+    const sessionStore = new CoinPlex.MemorySessionStore();
+    const clients = [1, 2, 3].map(() => createClient(issuer, { sessionStore }));
+
+    await Promise.all(clients.map(client => client.authenticate()));
+
+    expect(issuer.logins).toBe(1);
+    expect(clients.map(client => client.getToken())).toEqual(['jwt-token-1', 'jwt-token-1', 'jwt-token-1']);
+  });
+
+  test('should persist sessions to a file and lock concurrent logins', async () => {
+    const issuer = createTokenIssuer();
+    const sessionFile = path.join(directory, 'sessions.json');
+    const clients = [1, 2].map(() => createClient(issuer, {
+      sessionStore: new CoinPlex.FileSessionStore(sessionFile, { pollInterval: 5 })
+    }));
+
+    await Promise.all(clients.map(client => client.authenticate()));
+    expect(issuer.logins).toBe(1);
+
+    const stored = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+    expect(stored['api.coinplex.online|49|123456789'].token).toBe('jwt-token-1');
+    expect(fs.readdirSync(directory)).toEqual(['sessions.json']);
+
+    const later = createClient(issuer, { sessionFile });
+    await later.authenticate();
+    expect(later.getToken()).toBe('jwt-token-1');
+    expect(issuer.logins).toBe(1);
+  });
+
+  test('should take over a stale lock', async () => {
+    const store = new CoinPlex.FileSessionStore(path.join(directory, 'sessions.json'), { lockTimeout: 200 });
+    const lockPath = store.getLockPath('key');
+    fs.writeFileSync(lockPath, '99999');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+
+    const release = await store.lock('key');
+    await release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('should not release a lock another store took over', async () => {
+    const sessionFile = path.join(directory, 'sessions.json');
+    const first = new CoinPlex.FileSessionStore(sessionFile);
+    const releaseFirst = await first.lock('key');
+    const lockPath = first.getLockPath('key');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+
+    const releaseSecond = await new CoinPlex.FileSessionStore(sessionFile, { lockTimeout: 200 }).lock('key');
+    await releaseFirst();
+    expect(fs.existsSync(lockPath)).toBe(true);
+
+    await releaseSecond();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('should lock each key separately', async () => {
+    const sessionFile = path.join(directory, 'sessions.json');
+    const releaseFirst = await new CoinPlex.FileSessionStore(sessionFile).lock('first');
+
+    const other = new CoinPlex.FileSessionStore(sessionFile, { lockTimeout: 50, pollInterval: 5 });
+    const releaseSecond = await other.lock('second');
+    await expect(other.lock('first')).rejects.toThrow('Timed out waiting for session lock');
+
+    await releaseSecond();
+    await releaseFirst();
+  });
+
+  test('should keep a held lock from going stale', async () => {
+    const sessionFile = path.join(directory, 'sessions.json');
+    const release = await new CoinPlex.FileSessionStore(sessionFile, { staleLockAge: 60 }).lock('key');
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const other = new CoinPlex.FileSessionStore(sessionFile, { staleLockAge: 60, lockTimeout: 100, pollInterval: 5 });
+    await expect(other.lock('key')).rejects.toThrow('Timed out waiting for session lock');
+    await release();
+  });
+
+  test('should wait for the lock as long as a login with its retries may take', () => {
+    const client = new CoinPlex({ ...TEST_CONFIG, sessionFile: path.join(directory, 'sessions.json'), timeout: 5000, maxRetries: 2 });
+    expect(client.auth.sessionStore.options.lockTimeout).toBe(15000);
+    expect(new CoinPlex({ ...TEST_CONFIG, sessionFile: path.join(directory, 'sessions.json') }).auth.sessionStore.options.lockTimeout).toBe(120000);
+  });
+
+  test('should check the store again when the lock times out', async () => {
+    const issuer = createTokenIssuer();
+    const sessionStore = new CoinPlex.MemorySessionStore();
+    const holder = createClient(issuer, { sessionStore });
+    const client = createClient(issuer, {
+      sessionStore: {
+        get: (key) => sessionStore.get(key),
+        set: (key, session) => sessionStore.set(key, session),
+        delete: (key) => sessionStore.delete(key),
+        // The holder logs in while we wait, and we give up waiting
+        lock: async () => {
+          await holder.authenticate();
+          throw new Error('Timed out waiting for session lock');
+        }
+      }
+    });
+
+    await client.authenticate();
+
+    expect(issuer.logins).toBe(1);
+    expect(client.getToken()).toBe('jwt-token-1');
+  });
+
+  test('should lock the file store while discarding a rejected token', async () => {
+    const issuer = createTokenIssuer();
+    const sessionStore = new CoinPlex.FileSessionStore(path.join(directory, 'sessions.json'));
+    const client = createClient(issuer, { sessionStore });
+    await client.authenticate();
+
+    const lock = jest.spyOn(sessionStore, 'lock');
+    const remove = jest.spyOn(sessionStore, 'delete');
+    issuer.validToken = 'revoked';
+    await client.user.getProfile();
+
+    expect(lock).toHaveBeenCalledTimes(2);
+    expect(lock.mock.invocationCallOrder[0]).toBeLessThan(remove.mock.invocationCallOrder[0]);
+    expect(fs.readdirSync(directory)).toEqual(['sessions.json']);
+  });
+
+  test('should not reuse a stored token the API rejected', async () => {
+    const issuer = createTokenIssuer();
+    const sessionStore = new CoinPlex.MemorySessionStore();
+    const client = createClient(issuer, { sessionStore });
+    await client.authenticate();
+
+    issuer.validToken = 'revoked';
+    const profile = await client.user.getProfile();
+
+    expect(profile.token).toBe('jwt-token-2');
+    expect((await sessionStore.get(client.auth.getSessionKey())).token).toBe('jwt-token-2');
+  });
+});
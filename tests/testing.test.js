@@ -0,0 +1,106 @@
+/**
+ * CoinPlex SDK Testing Kit Tests
+ */
+
+const CoinPlex = require('../index');
+const { processApiResponse } = require('../src/core/decryption');
+const { ENDPOINTS } = require('../src/utils/constants');
+
+const {
+  responses,
+  apiResponse,
+  errorResponse,
+  walletOverview,
+  productDetail,
+  createFakeClient
+} = CoinPlex.testing;
+
+const decode = (response) => processApiResponse(JSON.parse(response.body));
+
+describe('Testing Kit', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('should build responses encrypted like the production API', () => {
+    const raw = responses.incomeData(7, { taskIncome: '1.5' });
+    const envelope = JSON.parse(raw.body);
+
+    expect(raw.statusCode).toBe(200);
+    expect(typeof envelope.data).toBe('string');
+    expect(decode(raw)).toMatchObject({
+      _decryptionMethod: 'RSA',
+      data: { taskIncome: '1.5', quantifyIncome: '5.60000000', recommendQuantifyIncome: '0' }
+    });
+
+    expect(decode(responses.profile({ level: 4 })).data).toMatchObject({ level: 4, levelName: 'G3' });
+    expect(decode(responses.recordsPage({ page: 3 })).data.list).toHaveLength(5);
+    expect(decode(responses.quantifyResult()).data.hasTip).toBe(true);
+    expect(decode(responses.quantifyResult({}, 1000)).data.expectedCompletionTime).toBe(301000);
+    expect(JSON.parse(apiResponse({ a: 1 }, { encrypt: false }).body).data).toEqual({ a: 1 });
+    expect(JSON.parse(errorResponse(1004, 'Insufficient balance').body)).toEqual({
+      code: 1004,
+      msg: 'Insufficient balance',
+      data: null
+    });
+  });
+
+  test('should derive dependent fields from overrides', () => {
+    const empty = walletOverview({ totalAmount: '0' });
+    expect(empty.list[0]).toMatchObject({ coinName: 'USDT', balance: '0' });
+
+    expect(productDetail(1).hasBuy).toBe(true);
+    expect(productDetail(3).hasBuy).toBe(false);
+    expect(productDetail(1, { userBalance: '50' }).hasBuy).toBe(false);
+    expect(productDetail(6, { userLevel: 6 })).toMatchObject({ hasBuy: true, limitLevelMinName: 'G5' });
+  });
+
+  test('should serve a fake client through its full pipeline', async () => {
+    const client = createFakeClient();
+    await client.authenticate();
+
+    const profile = await client.user.getProfile();
+    const overview = await client.wallet.getOverview();
+    const records = await client.wallet.getRecords({ page: 1, pageSize: 10 });
+    const product = await client.financial.getProductDetail(2);
+    const income = await client.income.getIncomeData(30);
+    const result = await client.quantify.execute();
+
+    expect(client).toBeInstanceOf(CoinPlex);
+    expect(profile.userId).toBe(12345);
+    expect(overview.totalAmount).toBe('1000.50');
+    expect(records.list).toHaveLength(10);
+    expect(product.productId).toBe(2);
+    expect(income.quantifyIncome).toBe('24.00000000');
+    expect(result.expectedCompletionTime).toBeGreaterThan(Date.now());
+    expect(client.mock.requests.map(request => request.endpoint)).toContain(ENDPOINTS.INCOME_DATA);
+  });
+
+  test('should apply scenarios and overrides', async () => {
+    const client = createFakeClient({ scenario: 'empty-wallet' });
+    await client.authenticate();
+
+    expect((await client.wallet.getOverview()).totalAmount).toBe('0');
+    await expect(client.quantify.execute()).rejects.toMatchObject({ code: 1004 });
+
+    client.mock.respond(ENDPOINTS.QUANTIFY_EXECUTE, { data: { hasTip: false } });
+    expect(await client.quantify.execute()).toMatchObject({ hasTip: false });
+
+    client.mock.expireTokens();
+    expect((await client.wallet.getOverview()).totalAmount).toBe('0');
+  });
+
+  test('should time out slow responses', async () => {
+    const client = createFakeClient({ config: { timeout: 20, maxRetries: 0 } });
+    await client.authenticate();
+
+    client.mock.respond(ENDPOINTS.WALLET_OVERVIEW, { delay: 1000, data: {} });
+    await expect(client.wallet.getOverview()).rejects.toBeInstanceOf(CoinPlex.TimeoutError);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * CoinPlex SDK Transport Tests
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const CoinPlex = require('../index');
+
+const config = {
+  apiKey: 'test-key',
+  apiSecret: 'test-secret',
+  credentials: { prefix: '49', account: '123456789', code: '000000' }
+};
+
+function createFakeTransport(routes) {
+  const calls = [];
+  return {
+    calls,
+    async send(request) {
+      calls.push(request);
+      const data = routes[request.path];
+      return {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ code: 0, msg: 'success', data })
+      };
+    }
+  };
+}
+
+describe('Transport', () => {
+  test('should reject a transport without send()', () => {
+    expect(() => new CoinPlex({ ...config, transport: {} })).toThrow('Invalid transport');
+  });
+
+  test('should use HttpsTransport by default', () => {
+    const client = new CoinPlex(config);
+    expect(client.transport).toBeInstanceOf(CoinPlex.HttpsTransport);
+    expect(client.auth.transport).toBe(client.transport);
+  });
+
+  test('should route login and requests through the custom transport', async () => {
+    const transport = createFakeTransport({
+      '/api/user/login': { token: 'jwt-token' },
+      '/api/wallet/asset/overview': { totalAmount: '12.5' }
+    });
+    const client = new CoinPlex({ ...config, transport });
+
+    expect(await client.authenticate()).toBe(true);
+    expect(await client.wallet.getTotalValue()).toBe(12.5);
+
+    expect(transport.calls.map(call => call.path)).toEqual([
+      '/api/user/login',
+      '/api/wallet/asset/overview'
+    ]);
+
+    const [login, overview] = transport.calls;
+    expect(JSON.parse(login.body).sign).toBeDefined();
+    expect(login.headers.Token).toBeUndefined();
+    expect(overview.headers.Token).toBe('jwt-token');
+    expect(overview.headers.Origin).toBe('https://coinplex.online');
+  });
+});
+
+describe('HttpsTransport', () => {
+  let server;
+  let handler;
+  let transport;
+
+  const send = (path = '/api/ads/list') => transport.send({
+    protocol: 'http:',
+    hostname: '127.0.0.1',
+    port: server.address().port,
+    path,
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}'
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => handler(req, res));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    transport = new CoinPlex.HttpsTransport();
+  });
+
+  afterEach(() => {
+    transport.destroy();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should reuse pooled connections and report it', async () => {
+    handler = (req, res) => res.end('{"code":0}');
+
+    await send();
+    await send();
+    await send();
+
+    expect(transport.getStats()).toMatchObject({
+      requests: 3,
+      connectionsOpened: 1,
+      connectionsReused: 2,
+      sockets: { active: 0, idle: 1 }
+    });
+    expect(transport.getStats().reuseRate).toBeCloseTo(2 / 3);
+  });
+
+  test('should open a connection per request with keep-alive disabled', async () => {
+    transport = new CoinPlex.HttpsTransport({ keepAlive: false });
+    handler = (req, res) => res.end('{"code":0}');
+
+    await send();
+    await send();
+
+    expect(transport.getStats()).toMatchObject({ connectionsOpened: 2, connectionsReused: 0 });
+  });
+
+  test.each([
+    ['gzip', zlib.gzipSync],
+    ['deflate', zlib.deflateSync],
+    ['deflate', zlib.deflateRawSync],
+    ['br', zlib.brotliCompressSync]
+  ])('should decode %s responses', async (encoding, compress) => {
+    const body = JSON.stringify({ code: 0, data: { text: 'zażółć'.repeat(50) } });
+    let acceptEncoding;
+    handler = (req, res) => {
+      acceptEncoding = req.headers['accept-encoding'];
+      res.writeHead(200, { 'Content-Encoding': encoding });
+      res.end(compress(Buffer.from(body)));
+    };
+
+    const response = await send();
+
+    expect(acceptEncoding).toBe('gzip, deflate, br');
+    expect(response.body).toBe(body);
+    const stats = transport.getStats();
+    expect(stats.compressedResponses).toBe(1);
+    expect(stats.bytesDecoded).toBe(Buffer.byteLength(body));
+    expect(stats.bytesReceived).toBeLessThan(stats.bytesDecoded);
+  });
+
+  test('should not request compression when disabled', async () => {
+    transport = new CoinPlex.HttpsTransport({ compression: false });
+    let acceptEncoding;
+    handler = (req, res) => {
+      acceptEncoding = req.headers['accept-encoding'];
+      res.end('{"code":0}');
+    };
+
+    await send();
+    expect(acceptEncoding).toBeUndefined();
+  });
+
+  test('should reject a body that fails to decode', async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { 'Content-Encoding': 'gzip' });
+      res.end('not gzip');
+    };
+
+    const error = await send().catch(e => e);
+    expect(error).toBeInstanceOf(CoinPlex.NetworkError);
+    expect(error.message).toContain('failed to decode gzip');
+  });
+
+  test('should report a reset pooled connection without resending', async () => {
+    let count = 0;
+    handler = (req, res) => {
+      count++;
+      if (count === 2) {
+        req.socket.destroy();
+        return;
+      }
+      res.end('{"code":0}');
+    };
+
+    await send();
+    const error = await send().catch(e => e);
+
+    expect(error).toBeInstanceOf(CoinPlex.NetworkError);
+    expect(error.cause.code).toBe('ECONNRESET');
+    expect(count).toBe(2);
+  });
+
+  test('should not resend a timed-out request on a pooled connection', async () => {
+    let count = 0;
+    handler = (req, res) => {
+      count++;
+      if (count === 1) res.end('{"code":0}');
+    };
+
+    await send();
+    const error = await transport.send({
+      protocol: 'http:',
+      hostname: '127.0.0.1',
+      port: server.address().port,
+      path: '/api/ads/list',
+      body: '{}',
+      timeout: 30
+    }).catch(e => e);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(error).toBeInstanceOf(CoinPlex.TimeoutError);
+    expect(count).toBe(2);
+  });
+
+  test('should expose transport statistics through the client', () => {
+    const client = new CoinPlex({ ...config, maxSockets: 4, compression: false });
+
+    expect(client.transport.options).toMatchObject({ maxSockets: 4, maxFreeSockets: 4, compression: false });
+    expect(client.getStats().connection).toMatchObject({ requests: 0, connectionsOpened: 0 });
+    client.destroy();
+  });
+});